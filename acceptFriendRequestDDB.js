@@ -0,0 +1,86 @@
+/**
+ * AWS Lambda function to accept a pending friend request.
+ *
+ * Both players' entries in the `player-friends` DynamoDB table (see `lib/friends.js`) become `accepted` in
+ * one transaction, which only succeeds if the request is still pending. The caller is authenticated with a
+ * Bearer JWT (see `lib/auth.js`) and may only accept requests sent to them, unless the token has admin
+ * rights. The request is then released from the caller's pending requests count.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} [event.queryStringParameters.username] - The player accepting (defaults to the caller).
+ * @param {string} event.queryStringParameters.friend - The player who sent the request.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The request was accepted.
+ * - 401/403: Missing or invalid token, or a request accepted for another player without admin rights.
+ * - 404: No pending request from that player.
+ */
+
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { cancellationReasons, dynamo } from './lib/clients.js';
+import {
+    FRIEND_STATUS,
+    FRIENDS_TABLE_NAME,
+    releaseIncomingRequest
+} from './lib/friends.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { USER_TABLE_NAME } from './lib/users.js';
+
+/**
+ * Accepts the friend request sent by `friend`. Routed as `PUT /players/{username}/friends/{friend}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const acceptFriendRequest = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    const { friend } = req.params;
+
+    if (!friend) {
+        throw new HttpError(400, "Username of the friend is required.");
+    }
+
+    const now = new Date().toISOString();
+    const accept = (owner, other, expectedStatus) => ({
+        Update: {
+            TableName: FRIENDS_TABLE_NAME,
+            Key: { username: owner, friend: other },
+            UpdateExpression: 'SET #status = :accepted, #updatedAt = :now',
+            ConditionExpression: '#status = :expected',
+            ExpressionAttributeNames: { '#status': 'status', '#updatedAt': 'updated-at' },
+            ExpressionAttributeValues: {
+                ':accepted': FRIEND_STATUS.accepted,
+                ':expected': expectedStatus,
+                ':now': now
+            }
+        }
+    });
+
+    try {
+        await dynamo.transactWrite({
+            TransactItems: [
+                accept(username, friend, FRIEND_STATUS.incoming),
+                accept(friend, username, FRIEND_STATUS.outgoing)
+            ]
+        });
+    } catch (error) {
+        if (cancellationReasons(error)?.includes('ConditionalCheckFailed')) {
+            throw new HttpError(404, `No pending friend request from "${friend}".`);
+        }
+        throw error;
+    }
+    await releaseIncomingRequest(dynamo, USER_TABLE_NAME, username);
+
+    return {
+        message: "Friend request accepted.",
+        data: { username: friend, status: FRIEND_STATUS.accepted, since: now }
+    };
+};
+
+export const handler = createHandler({
+    PUT: queryAdapter(acceptFriendRequest, { params: ['username', 'friend'] })
+});
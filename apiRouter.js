@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Single API Gateway entrypoint exposing every operation as a RESTful route.
+ *
+ * Accepts API Gateway REST API (v1) and HTTP API (v2) proxy events. Writes take JSON bodies. The
+ * single-purpose Lambdas (`getUserInfoDDB`, `updatePlayerStatsDDB`, ...) keep their query string
+ * interface as thin adapters over the same operations while clients migrate.
+ *
+ * Routes:
+ * - `POST /users`: Register a user, body `{ username, displayName?, character? }`.
+ * - `GET /users/{username}`: User information.
+ * - `PATCH /users/{username}`: Edit a profile, body `{ displayName?, character? }`.
+ * - `DELETE /users/{username}`: Delete a user and all of their data.
+ * - `GET /users/{username}/export`: Everything stored about a user.
+ * - `PUT /users/{username}/character`: Select a character, body `{ "colour": string }`.
+ * - `GET /players/{username}/stats`: Player stats.
+ * - `POST /players/{username}/stats`: Submit a run, body `{ level, coinsCollected, enemiesDefeated, completionTime }`.
+ * - `GET /players/{username}/saves`: Save slots, without their data.
+ * - `GET /players/{username}/saves/{slot}`: One save slot.
+ * - `PUT /players/{username}/saves/{slot}`: Save the game, body `{ version, schemaVersion, data }`.
+ * - `DELETE /players/{username}/saves/{slot}`: Clear a save slot (query `version`).
+ * - `PUT /players/{username}/replays/{level}`: Upload the gzipped replay of a fastest time (query `time`).
+ * - `GET /players/{username}/achievements`: Unlocked achievements and progress towards the others.
+ * - `GET /players/{username}/friends`: Friends and pending friend requests.
+ * - `POST /players/{username}/friends`: Send a friend request, body `{ username }`.
+ * - `PUT /players/{username}/friends/{friend}`: Accept a friend request.
+ * - `DELETE /players/{username}/friends/{friend}`: Remove a friend, or decline or cancel a request.
+ * - `GET /leaderboards`: Top coins and enemies (query `period`, `periodId`).
+ * - `GET /leaderboards/friends`: The caller and their friends ranked (query `period`, `periodId`).
+ * - `GET /leaderboards/levels/{level}`: Fastest times of a level (query `username`, `period`, `periodId`).
+ * - `GET /leaderboards/levels/{level}/replays/{username}`: Fetch URL of a player's replay (query `time`).
+ * - `GET /leaderboards/{board}`: One page of a board (query `level`, `limit`, `nextToken`, `period`, `periodId`).
+ * - `GET /characters`: Character image URLs by colour.
+ * - `GET /characters/catalogue`: Character catalogue with the caller's unlocks.
+ * - `GET /characters/{colour}/spritesheet`: Spritesheet URL of a colour.
+ * - `GET /assets/cookies`: Signed CloudFront cookies for the assets.
+ * - `PUT /admin/players/{username}/ban`: Ban or shadow-ban a player, body `{ status, reason? }` (admins only).
+ * - `DELETE /admin/players/{username}/ban`: Lift a player's ban (admins only).
+ * - `PATCH /admin/players/{username}/stats`: Correct or reset a player's stats (admins only).
+ * - `DELETE /admin/players/{username}/times/{level}/{time}`: Delete one of a player's fastest times (admins only).
+ * - `GET /admin/players/{username}/audit`: A player's moderation audit log (admins only).
+ * - `GET /analytics`: The latest player analytics snapshot (admins only).
+ */
+
+import { acceptFriendRequest } from './acceptFriendRequestDDB.js';
+import { banPlayer, unbanPlayer } from './banPlayerDDB.js';
+import { createUser } from './createUserDDB.js';
+import { deleteFastestTime } from './deleteFastestTimeDDB.js';
+import { deletePlayerSave } from './deletePlayerSaveDDB.js';
+import { deleteUser } from './deleteUserDDB.js';
+import { editPlayerStats } from './editPlayerStatsDDB.js';
+import { exportUserData } from './exportUserDataDDB.js';
+import { getAchievements } from './getAchievementsDDB.js';
+import { getAnalytics } from './getAnalyticsS3.js';
+import { getAssetCookies } from './getAssetCookiesS3.js';
+import { getCharacterCatalogue } from './getCharacterCatalogueDDB.js';
+import { getCharacterURLs } from './getCharacterURLS3.js';
+import { getFriends } from './getFriendsDDB.js';
+import { getFriendsLeaderboard } from './getFriendsLeaderboardDDB.js';
+import { getLeaderboardStats } from './getLeaderboardStatsDDB.js';
+import { getLevelLeaderboard } from './getLevelLeaderboardDDB.js';
+import { getModerationAudit } from './getModerationAuditDDB.js';
+import { getPlayerSave, listPlayerSaves } from './getPlayerSaveDDB.js';
+import { getPlayerSpritesheet } from './getPlayerSpritesheetS3.js';
+import { getPlayerStats } from './getPlayerStatsDDB.js';
+import { getReplay } from './getReplayDDB.js';
+import { getUserInfo } from './getUserInfoDDB.js';
+import { createRouter } from './lib/router.js';
+import { removeFriend } from './removeFriendDDB.js';
+import { sendFriendRequest } from './sendFriendRequestDDB.js';
+import { updateCharacter } from './updateCharacterDDB.js';
+import { updatePlayerSave } from './updatePlayerSaveDDB.js';
+import { submitRun } from './updatePlayerStatsDDB.js';
+import { updateProfile } from './updateUserProfileDDB.js';
+import { uploadReplay } from './uploadReplayS3.js';
+
+/** @type {import('./lib/router.js').Route[]} */
+export const ROUTES = [
+    { path: '/users', operations: { POST: createUser } },
+    { path: '/users/{username}', operations: { GET: getUserInfo, PATCH: updateProfile, DELETE: deleteUser } },
+    { path: '/users/{username}/export', operations: { GET: exportUserData } },
+    { path: '/users/{username}/character', operations: { PUT: updateCharacter } },
+    { path: '/players/{username}/stats', operations: { GET: getPlayerStats, POST: submitRun } },
+    { path: '/players/{username}/saves', operations: { GET: listPlayerSaves } },
+    {
+        path: '/players/{username}/saves/{slot}',
+        operations: { GET: getPlayerSave, PUT: updatePlayerSave, DELETE: deletePlayerSave },
+    },
+    { path: '/players/{username}/replays/{level}', operations: { PUT: uploadReplay } },
+    { path: '/players/{username}/achievements', operations: { GET: getAchievements } },
+    { path: '/players/{username}/friends', operations: { GET: getFriends, POST: sendFriendRequest } },
+    {
+        path: '/players/{username}/friends/{friend}',
+        operations: { PUT: acceptFriendRequest, DELETE: removeFriend },
+    },
+    { path: '/leaderboards', operations: { GET: getLeaderboardStats } },
+    { path: '/leaderboards/friends', operations: { GET: getFriendsLeaderboard } },
+    { path: '/leaderboards/levels/{level}', operations: { GET: getLevelLeaderboard } },
+    { path: '/leaderboards/levels/{level}/replays/{username}', operations: { GET: getReplay } },
+    { path: '/leaderboards/{board}', operations: { GET: getLeaderboardStats } },
+    { path: '/characters', operations: { GET: getCharacterURLs } },
+    { path: '/characters/catalogue', operations: { GET: getCharacterCatalogue } },
+    { path: '/characters/{colour}/spritesheet', operations: { GET: getPlayerSpritesheet } },
+    { path: '/assets/cookies', operations: { GET: getAssetCookies } },
+    { path: '/admin/players/{username}/ban', operations: { PUT: banPlayer, DELETE: unbanPlayer } },
+    { path: '/admin/players/{username}/stats', operations: { PATCH: editPlayerStats } },
+    { path: '/admin/players/{username}/times/{level}/{time}', operations: { DELETE: deleteFastestTime } },
+    { path: '/admin/players/{username}/audit', operations: { GET: getModerationAudit } },
+    { path: '/analytics', operations: { GET: getAnalytics } },
+];
+
+export const handler = createRouter(ROUTES);
@@ -0,0 +1,40 @@
+/**
+ * AWS Lambda function to unlock achievements for players whose stats were recorded before achievements
+ * existed, or before an achievement was added to `config/achievements.js`.
+ *
+ * Scans `player-stats` and awards every achievement each player's current stats earn (see
+ * `lib/achievements.js`). Achievements already unlocked are left untouched, so the job can be run again
+ * safely. Invoked manually; when the Lambda is about to time out it stops and returns `nextKey`, which
+ * can be passed back as `startKey` to continue.
+ *
+ * @param {Object} [event] - The invocation payload.
+ * @param {Object} [event.startKey] - The `nextKey` returned by a previous, unfinished run.
+ * @param {Object} [context] - The Lambda context, used to stop before the timeout.
+ * @returns {Promise<Object>} - The number of players scanned and achievements unlocked, and `nextKey` if the
+ * scan is not finished.
+ */
+
+import { awardAchievements } from './lib/achievements.js';
+import { dynamo } from './lib/clients.js';
+import { instrument, log } from './lib/instrumentation.js';
+
+/** Time left, in milliseconds, at which the job stops and returns where it got to. */
+const STOP_BEFORE_TIMEOUT_MS = 30 * 1000;
+
+export const handler = instrument(async (event = {}, context) => {
+    let ExclusiveStartKey = event.startKey;
+    let players = 0;
+    let unlocked = 0;
+
+    do {
+        const result = await dynamo.scan({ TableName: 'player-stats', ExclusiveStartKey });
+        for (const stats of result.Items || []) {
+            unlocked += (await awardAchievements(dynamo, stats.username, stats)).length;
+            players++;
+        }
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey && !(context?.getRemainingTimeInMillis?.() < STOP_BEFORE_TIMEOUT_MS));
+
+    log.info("Achievement backfill", { players, unlocked, finished: !ExclusiveStartKey });
+    return { players, unlocked, nextKey: ExclusiveStartKey ?? null };
+});
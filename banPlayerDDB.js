@@ -0,0 +1,136 @@
+/**
+ * AWS Lambda function for admins to ban or shadow-ban a player, or to lift a ban.
+ *
+ * The status is stored in the `moderation` table, which outlives the player's account, and recorded in the
+ * `moderation-audit` table (see `lib/moderation.js`). Banning removes the player from every leaderboard,
+ * including the daily, weekly and seasonal boards; `banned` players then have their runs rejected and cannot
+ * register the username again, while `shadow-banned` players keep playing without their scores being ranked.
+ * Lifting a ban puts the player back on the all-time boards; period boards only pick up the runs they submit
+ * from then on.
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and must have admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} event.queryStringParameters.username - The player.
+ * @param {string} [event.queryStringParameters.status] - `banned` or `shadow-banned`, for PUT.
+ * @param {string} [event.queryStringParameters.reason] - Why, recorded in the audit log.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The player's moderation status.
+ * - 400: Missing or unsupported status.
+ * - 401/403: Missing or invalid token, or a caller without admin rights.
+ * - 404: (PUT) The player has no stats, or (DELETE) is not banned.
+ * - 409: The player's moderation status changed during the request; try again.
+ */
+
+import { authenticate, requireAdmin } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { log } from './lib/instrumentation.js';
+import {
+    auditPut,
+    MODERATION_STATUSES,
+    moderationOf,
+    moderationWrite,
+    readModeration,
+    readPlayerStats,
+    removePlayerFromBoards,
+    validateReason,
+    writeModeration,
+    writePlayerBoards,
+} from './lib/moderation.js';
+
+/**
+ * Authorises an admin and reads the moderation status of the player they act on.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<{ actor: string, username: string, previous: (object|undefined), reason: (string|undefined) }>}
+ * @throws {HttpError} - 400 for an invalid reason, 401/403 for a caller without admin rights.
+ */
+const readPlayer = async (req) => {
+    const actor = requireAdmin(await authenticate(req));
+    const { username } = req.params;
+    if (!username) {
+        throw new HttpError(400, "Username is required.");
+    }
+    const reason = validateReason(req.body?.reason);
+    return { actor, username, previous: await readModeration(dynamo, username), reason };
+};
+
+/**
+ * Bans or shadow-bans a player. Routed as `PUT /admin/players/{username}/ban` with a body of
+ * `{ status, reason? }`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const banPlayer = async (req) => {
+    const { actor, username, previous, reason } = await readPlayer(req);
+    const { status } = req.body || {};
+    if (!MODERATION_STATUSES.includes(status)) {
+        throw new HttpError(400, `Status must be one of ${MODERATION_STATUSES.join(", ")}.`);
+    }
+    // Only players who have played can be banned
+    await readPlayerStats(dynamo, username);
+
+    const moderation = {
+        status,
+        reason: reason ?? null,
+        "updated-by": actor,
+        "updated-at": new Date().toISOString(),
+    };
+    await writeModeration(dynamo, [
+        moderationWrite(username, moderation, previous),
+        auditPut({
+            username,
+            actor,
+            action: "ban",
+            changes: { moderation: { from: moderationOf(previous), to: moderation } },
+            reason,
+        }),
+    ]);
+    // The ban stands if this fails; banning again or `recomputeLeaderboardsDDB` finishes the cleanup
+    const removed = await removePlayerFromBoards(dynamo, username);
+
+    log.info("Player banned", { username, actor, status, removed });
+    return { message: "Player banned.", data: { username, moderation } };
+};
+
+/**
+ * Lifts a player's ban and puts them back on the all-time leaderboards. Routed as
+ * `DELETE /admin/players/{username}/ban`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const unbanPlayer = async (req) => {
+    const { actor, username, previous, reason } = await readPlayer(req);
+    if (!previous) {
+        throw new HttpError(404, "Player is not banned.");
+    }
+
+    await writeModeration(dynamo, [
+        moderationWrite(username, undefined, previous),
+        auditPut({
+            username,
+            actor,
+            action: "unban",
+            changes: { moderation: { from: moderationOf(previous), to: undefined } },
+            reason,
+        }),
+    ]);
+    // The player may have deleted their account while banned, leaving no stats to rank
+    const { Item: stats } = await dynamo.get({ TableName: "player-stats", Key: { username }, ConsistentRead: true });
+    await writePlayerBoards(dynamo, username, stats);
+
+    log.info("Player unbanned", { username, actor });
+    return { message: "Player unbanned.", data: { username, moderation: null } };
+};
+
+export const handler = createHandler({
+    PUT: queryAdapter(banPlayer, { params: ['username'], body: ['status', 'reason'] }),
+    DELETE: queryAdapter(unbanPlayer, { params: ['username'], body: ['reason'] }),
+});
@@ -0,0 +1,89 @@
+/**
+ * AWS Lambda function to compute the player analytics and export every player's stats for offline analysis.
+ *
+ * Scans `player-stats` a page at a time, feeding each player to the analytics (see `lib/analytics.js`) and
+ * writing the page to the analytics bucket as one part of each export format: `exports/<time>/
+ * player-stats-00001.csv`, `...-00001.ndjson`, and so on, each CSV part with its own header row. The
+ * analytics are then stored as a snapshot under `snapshots/<time>.json` and as `snapshots/latest.json`,
+ * which `getAnalyticsS3` serves. Intended to run on a schedule, e.g. a daily EventBridge rule.
+ *
+ * Exports include banned and shadow-banned players, with their `moderation` status read from the
+ * `moderation` table; the analytics leave them out.
+ *
+ * @param {Object} [event] - The invocation payload.
+ * @param {string[]} [event.formats] - Export formats to write (default every one of `EXPORT_FORMATS`); an
+ * empty list only computes the analytics.
+ * @returns {Promise<Object>} - The snapshot key, the number of players scanned, and the export parts written.
+ */
+
+import { PutObjectCommand } from '@aws-sdk/client-s3';
+import {
+    EXPORT_FORMATS,
+    EXPORT_PREFIX,
+    getAnalyticsConfig,
+    LATEST_SNAPSHOT_KEY,
+    SNAPSHOT_PREFIX,
+} from './config/analytics.js';
+import { createAnalytics, toCsv, toNdjson, toPlayerRecord } from './lib/analytics.js';
+import { dynamo, s3Client } from './lib/clients.js';
+import { instrument, log } from './lib/instrumentation.js';
+import { listModeration } from './lib/moderation.js';
+
+/** How each export format is written, and its content type. */
+const WRITERS = {
+    csv: { write: toCsv, contentType: "text/csv; charset=utf-8" },
+    ndjson: { write: toNdjson, contentType: "application/x-ndjson" },
+};
+
+export const handler = instrument(async (event = {}) => {
+    const { bucket } = getAnalyticsConfig();
+    const formats = event.formats ?? EXPORT_FORMATS;
+    const unsupported = formats.filter((format) => !EXPORT_FORMATS.includes(format));
+    if (unsupported.length > 0) {
+        throw new Error(`Unsupported export formats: ${unsupported.join(", ")}`);
+    }
+
+    const generatedAt = new Date().toISOString();
+    // e.g. 2026-10-19T120000Z, without the colons some tools reject in paths
+    const stamp = generatedAt.replace(/:/g, "").replace(/\.\d+/, "");
+    const exportPrefix = `${EXPORT_PREFIX}${stamp}/`;
+    const analytics = createAnalytics();
+    const moderation = await listModeration(dynamo);
+    let scanned = 0;
+    let parts = 0;
+    let ExclusiveStartKey;
+
+    do {
+        const result = await dynamo.scan({ TableName: 'player-stats', ExclusiveStartKey });
+        const records = (result.Items || []).map((stats) => toPlayerRecord(stats, moderation.get(stats.username)));
+        records.forEach(analytics.add);
+        scanned += records.length;
+
+        parts++;
+        await Promise.all(formats.map((format) => s3Client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: `${exportPrefix}player-stats-${String(parts).padStart(5, "0")}.${format}`,
+            Body: WRITERS[format].write(records),
+            ContentType: WRITERS[format].contentType,
+        }))));
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    const snapshot = {
+        generatedAt,
+        ...analytics.result(),
+        export: formats.length > 0 ? { prefix: exportPrefix, formats, parts } : null,
+    };
+    const snapshotKey = `${SNAPSHOT_PREFIX}${stamp}.json`;
+    for (const Key of [snapshotKey, LATEST_SNAPSHOT_KEY]) {
+        await s3Client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key,
+            Body: JSON.stringify(snapshot),
+            ContentType: 'application/json',
+        }));
+    }
+
+    log.info("Analytics built", { snapshotKey, scanned, parts: formats.length > 0 ? parts : 0 });
+    return { snapshotKey, players: scanned, export: snapshot.export };
+});
@@ -0,0 +1,37 @@
+/**
+ * AWS Lambda function to rebuild the asset manifest read by `lib/assetIndex.js`.
+ *
+ * Lists every asset group in the bucket and writes the index as JSON to `ASSET_MANIFEST_KEY`, so the
+ * asset endpoints can load one small object instead of listing the bucket. Intended to run on S3
+ * `ObjectCreated`/`ObjectRemoved` notifications for the asset prefixes, or after each asset deploy.
+ *
+ * @returns {Promise<Object>} - The manifest key and the number of files indexed per group.
+ */
+
+import { PutObjectCommand } from '@aws-sdk/client-s3';
+import { getAssetConfig } from './config/assets.js';
+import { listAssets } from './lib/assetIndex.js';
+import { s3Client } from './lib/clients.js';
+import { instrument } from './lib/instrumentation.js';
+
+export const handler = instrument(async () => {
+    const { bucket, manifestKey } = getAssetConfig();
+    if (!manifestKey) {
+        throw new Error("ASSET_MANIFEST_KEY must be configured");
+    }
+
+    const manifest = await listAssets(bucket);
+    await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: manifestKey,
+        Body: JSON.stringify(manifest),
+        ContentType: 'application/json',
+    }));
+
+    return {
+        manifestKey,
+        files: Object.fromEntries(
+            Object.entries(manifest).map(([group, files]) => [group, Object.keys(files).length])
+        ),
+    };
+});
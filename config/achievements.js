@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Achievement definitions.
+ *
+ * Each achievement lists the criteria a player's `player-stats` must meet to earn it; all criteria must
+ * be met. Achievements are evaluated after every accepted run (see `updatePlayerStatsDDB.js`) and, once
+ * earned, are kept even if the definition later changes, so criteria should only ever be made easier.
+ *
+ * Supported criteria:
+ * - `{ stat, atLeast }`: A lifetime stat is at least the given value. Stats are `coinsCollected`,
+ *   `enemiesDefeated` and `levelsCompleted` (number of distinct levels completed).
+ * - `{ stat: "fastestTime", level, below }`: The player's fastest time on a level is below the given
+ *   number of seconds.
+ */
+
+import { LEVEL_RULES } from './levels.js';
+
+/**
+ * @typedef {Object} AchievementCriterion
+ * @property {string} stat - The stat checked.
+ * @property {number} [atLeast] - Minimum value of a lifetime stat.
+ * @property {number} [level] - The level, for `fastestTime`.
+ * @property {number} [below] - Time to beat in seconds, for `fastestTime`.
+ */
+
+/**
+ * @typedef {Object} Achievement
+ * @property {string} name
+ * @property {string} description
+ * @property {AchievementCriterion[]} criteria
+ */
+
+/** @type {Object<string, Achievement>} */
+export const ACHIEVEMENTS = {
+    "coins-1000": {
+        name: "Treasure Hunter",
+        description: "Collect 1,000 coins.",
+        criteria: [{ stat: "coinsCollected", atLeast: 1000 }],
+    },
+    "enemies-100": {
+        name: "Exterminator",
+        description: "Defeat 100 enemies.",
+        criteria: [{ stat: "enemiesDefeated", atLeast: 100 }],
+    },
+    "all-levels": {
+        name: "Explorer",
+        description: "Complete every level.",
+        criteria: [{ stat: "levelsCompleted", atLeast: Object.keys(LEVEL_RULES).length }],
+    },
+    "level-3-under-40": {
+        name: "Speed Demon",
+        description: "Beat level 3 in under 40 seconds.",
+        criteria: [{ stat: "fastestTime", level: 3, below: 40 }],
+    },
+};
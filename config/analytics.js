@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Settings of the player analytics (see `lib/analytics.js`), partly read from the environment:
+ *
+ * - `ANALYTICS_BUCKET`: S3 bucket holding the analytics snapshots and the player stats exports (default
+ *   `spacedash-analytics`). Keep it private: unlike the asset bucket, it is not served through the CDN.
+ * - `ANALYTICS_CACHE_TTL_SECONDS`: How long a warm Lambda, and the caller, reuse the latest snapshot
+ *   (default 300).
+ */
+
+/** Key of the latest snapshot; each snapshot is also kept under `SNAPSHOT_PREFIX`. */
+export const LATEST_SNAPSHOT_KEY = "snapshots/latest.json";
+export const SNAPSHOT_PREFIX = "snapshots/";
+
+/** Prefix of the player stats exports, each written to its own folder named after the snapshot time. */
+export const EXPORT_PREFIX = "exports/";
+
+/** Export formats: CSV for spreadsheets, NDJSON (one JSON object per line) for scripts and query engines. */
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+/** Percentiles of the completion times reported for each level. */
+export const PERCENTILES = [10, 25, 50, 75, 90, 99];
+
+/** Width of the completion time histogram buckets, in seconds. */
+export const HISTOGRAM_BUCKET_SECONDS = 5;
+
+/**
+ * Maximum number of histogram buckets per level, i.e. 10 minutes past the fastest time. The last bucket
+ * holds every slower time, so an outlier such as a legacy time of years cannot blow up the histogram.
+ */
+export const HISTOGRAM_MAX_BUCKETS = 120;
+
+/**
+ * @returns {{ bucket: string, cacheTtlMs: number }}
+ */
+export const getAnalyticsConfig = () => ({
+    bucket: process.env.ANALYTICS_BUCKET || "spacedash-analytics",
+    cacheTtlMs: Number(process.env.ANALYTICS_CACHE_TTL_SECONDS ?? 300) * 1000,
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Location of the game assets, read from the environment:
+ *
+ * - `ASSET_BUCKET`: S3 bucket holding the assets (default `spacedash`).
+ * - `ASSET_REGION`: Region of the bucket (default `AWS_REGION`, then `us-east-1`).
+ * - `CDN_DOMAIN`: CloudFront origin serving the bucket (default the production distribution).
+ * - `ASSET_MANIFEST_KEY`: Key of a prebuilt manifest (see `buildAssetManifestS3.js`). When set, the asset
+ *   index is read from the manifest instead of listing the bucket.
+ * - `ASSET_CACHE_TTL_SECONDS`: How long a warm Lambda reuses the asset index (default 300).
+ * - `CDN_KEY_PAIR_ID`: CloudFront public key ID used to sign URLs and cookies. Signing is disabled, and every
+ *   URL is returned unsigned, when this is not set (local development).
+ * - `CDN_PRIVATE_KEY`: PEM private key matching `CDN_KEY_PAIR_ID` (`\n` escapes are accepted).
+ * - `CDN_COOKIE_DOMAIN`: Domain the signed cookies are set for, shared by the API and the CDN,
+ *   e.g. `.spacedash.example`.
+ */
+
+/**
+ * Asset folders in the bucket, by group name.
+ */
+export const ASSET_PREFIXES = {
+    characters: "characters/",
+    spritesheets: "spritesheets/",
+};
+
+/**
+ * Access policy of the assets, matched on key prefix; the first matching rule applies and unmatched keys
+ * are public. `signed` assets are served through signed URLs that expire after `expiresInSeconds`.
+ *
+ * @type {{ prefix: string, access: ("public"|"signed"), expiresInSeconds?: number }[]}
+ */
+export const ASSET_ACCESS_POLICIES = [
+    // Premium and unlockable skins
+    { prefix: "spritesheets/red.", access: "signed", expiresInSeconds: 15 * 60 },
+    { prefix: "spritesheets/purple.", access: "signed", expiresInSeconds: 15 * 60 },
+    { prefix: "spritesheets/", access: "signed", expiresInSeconds: 60 * 60 },
+    { prefix: "characters/", access: "public" },
+    // Ghost replays (see `config/replays.js`)
+    { prefix: "replays/", access: "signed", expiresInSeconds: 15 * 60 },
+];
+
+/**
+ * Key prefix of the assets covered by signed cookies. A CloudFront cookie policy holds one resource
+ * pattern, which cannot follow each player's unlocks, so the cookies only cover assets every player may
+ * fetch; premium and unlockable skins are only served through signed URLs.
+ */
+export const SIGNED_COOKIE_PREFIX = "replays/";
+
+/** Lifetime of signed cookies. */
+export const SIGNED_COOKIE_TTL_SECONDS = 60 * 60;
+
+/**
+ * @returns {{ bucket: string, region: string, cdnDomain: string, manifestKey: string|undefined, cacheTtlMs: number }}
+ */
+export const getAssetConfig = () => ({
+    bucket: process.env.ASSET_BUCKET || "spacedash",
+    region: process.env.ASSET_REGION || process.env.AWS_REGION || "us-east-1",
+    cdnDomain: (process.env.CDN_DOMAIN || "https://d3vva0g6vi1eo1.cloudfront.net").replace(/\/$/, ""),
+    manifestKey: process.env.ASSET_MANIFEST_KEY || undefined,
+    cacheTtlMs: Number(process.env.ASSET_CACHE_TTL_SECONDS ?? 300) * 1000,
+});
+
+/**
+ * @returns {{ keyPairId: string|undefined, privateKey: string|undefined, cookieDomain: string|undefined }}
+ */
+export const getSigningConfig = () => ({
+    keyPairId: process.env.CDN_KEY_PAIR_ID || undefined,
+    privateKey: process.env.CDN_PRIVATE_KEY?.replace(/\\n/g, "\n"),
+    cookieDomain: process.env.CDN_COOKIE_DOMAIN || undefined,
+});
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview The character catalogue.
+ *
+ * Each colour lists its display name, its portrait and spritesheet keys in the `spacedash` bucket, the
+ * frame size Phaser needs to slice the spritesheet, and the lifetime stats from `player-stats` needed to
+ * unlock it. Characters without requirements are available to every player.
+ *
+ * Supported requirements: `coinsCollected`, `enemiesDefeated` and `levelsCompleted` (number of distinct
+ * levels completed).
+ */
+
+/**
+ * @typedef {Object} Character
+ * @property {string} displayName
+ * @property {string} portrait - S3 key of the portrait shown on the profile page.
+ * @property {string} spritesheet - S3 key of the in-game spritesheet.
+ * @property {{ width: number, height: number }} frame - Size of one spritesheet frame, in pixels.
+ * @property {Object<string, number>} requires - Minimum lifetime stats needed to unlock the character.
+ */
+
+/** @type {Object<string, Character>} */
+export const CHARACTERS = {
+    blue: {
+        displayName: "Blue",
+        portrait: "characters/blue.png",
+        spritesheet: "spritesheets/blue.png",
+        frame: { width: 32, height: 48 },
+        requires: {},
+    },
+    green: {
+        displayName: "Green",
+        portrait: "characters/green.png",
+        spritesheet: "spritesheets/green.png",
+        frame: { width: 32, height: 48 },
+        requires: { levelsCompleted: 1 },
+    },
+    red: {
+        displayName: "Red",
+        portrait: "characters/red.png",
+        spritesheet: "spritesheets/red.png",
+        frame: { width: 32, height: 48 },
+        requires: { enemiesDefeated: 100 },
+    },
+    purple: {
+        displayName: "Purple",
+        portrait: "characters/purple.png",
+        spritesheet: "spritesheets/purple.png",
+        frame: { width: 32, height: 48 },
+        requires: { coinsCollected: 500 },
+    },
+};
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Per-level rules used to validate submitted runs.
+ *
+ * Only levels listed here can be submitted. The limits describe the best a legitimate run can achieve,
+ * so they should be updated together with the level designs in the game.
+ *
+ * - `maxCoins`: Coins placed in the level.
+ * - `maxEnemies`: Enemies spawned in the level.
+ * - `minCompletionTime`: Fastest plausible completion time, in seconds.
+ * - `requires`: Levels that must already be completed before this level can be played.
+ */
+
+/**
+ * @typedef {Object} LevelRules
+ * @property {number} maxCoins
+ * @property {number} maxEnemies
+ * @property {number} minCompletionTime
+ * @property {number[]} requires
+ */
+
+/** @type {Object<string, LevelRules>} */
+export const LEVEL_RULES = {
+    1: { maxCoins: 50, maxEnemies: 20, minCompletionTime: 15, requires: [] },
+    2: { maxCoins: 75, maxEnemies: 30, minCompletionTime: 20, requires: [1] },
+    3: { maxCoins: 100, maxEnemies: 40, minCompletionTime: 25, requires: [2] },
+};
+
+/** Number of fastest times kept per level for each player. */
+export const MAX_TIMES_PER_LEVEL = 5;
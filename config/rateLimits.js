@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Rate limits of the write endpoints (see `lib/rateLimit.js`).
+ *
+ * Each route has a token bucket per caller (`user`) and per IP address (`ip`). A bucket holds up to
+ * `capacity` requests and refills at `refillPerMinute`, so a client can send a burst of `capacity` requests
+ * and then keep going at the refill rate. The IP limits are looser, since players can share an address.
+ * Routes that are not listed are not limited; the legacy single-purpose Lambdas share their route's limits.
+ */
+
+/**
+ * @typedef {Object} BucketLimit
+ * @property {number} capacity - Maximum number of requests in a burst.
+ * @property {number} refillPerMinute - Requests allowed per minute once the burst is spent.
+ */
+
+/** @type {Object<string, { user?: BucketLimit, ip?: BucketLimit }>} */
+export const RATE_LIMITS = {
+    // The fastest plausible run takes 15 seconds (see `config/levels.js`); 6 a minute leaves room for retries
+    "POST /players/{username}/stats": {
+        user: { capacity: 10, refillPerMinute: 6 },
+        ip: { capacity: 30, refillPerMinute: 30 },
+    },
+    "PUT /players/{username}/replays/{level}": {
+        user: { capacity: 10, refillPerMinute: 6 },
+        ip: { capacity: 30, refillPerMinute: 30 },
+    },
+    "PUT /players/{username}/saves/{slot}": {
+        user: { capacity: 10, refillPerMinute: 6 },
+        ip: { capacity: 30, refillPerMinute: 30 },
+    },
+    "PUT /users/{username}/character": {
+        user: { capacity: 5, refillPerMinute: 2 },
+        ip: { capacity: 20, refillPerMinute: 10 },
+    },
+    "PATCH /users/{username}": {
+        user: { capacity: 5, refillPerMinute: 2 },
+        ip: { capacity: 20, refillPerMinute: 10 },
+    },
+    "POST /players/{username}/friends": {
+        user: { capacity: 10, refillPerMinute: 2 },
+        ip: { capacity: 30, refillPerMinute: 10 },
+    },
+    "POST /users": {
+        user: { capacity: 3, refillPerMinute: 1 },
+        ip: { capacity: 5, refillPerMinute: 1 },
+    },
+};
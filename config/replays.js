@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Format and limits of the ghost replays (see `lib/replays.js`).
+ *
+ * A replay is a gzipped JSON document:
+ *
+ * ```json
+ * { "version": 1, "level": 3, "completionTime": 38.5, "frames": [{ "t": 0, "x": 16, "y": 320 }, ...] }
+ * ```
+ *
+ * `frames` is the per-frame log recorded by the game, in order. Each frame is an object whose `t` is the
+ * number of seconds since the start of the run; the other fields (positions, inputs) are passed through
+ * to the client untouched. The last frame must be within `TIME_TOLERANCE_SECONDS` of `completionTime`.
+ */
+
+import { MAX_TIMES_PER_LEVEL } from './levels.js';
+
+/** Key prefix of the replays in the asset bucket. */
+export const REPLAY_PREFIX = "replays/";
+
+/** Replay format versions the API accepts. */
+export const REPLAY_VERSIONS = [1];
+
+/** Maximum size of an uploaded (gzipped) replay, in bytes. */
+export const MAX_REPLAY_BYTES = 256 * 1024;
+
+/** Maximum size of a replay once decompressed, in bytes. */
+export const MAX_REPLAY_UNCOMPRESSED_BYTES = 4 * 1024 * 1024;
+
+/** Maximum number of frames: ten minutes at 60 frames per second. */
+export const MAX_REPLAY_FRAMES = 10 * 60 * 60;
+
+/** Allowed difference between the last frame and the completion time, in seconds. */
+export const TIME_TOLERANCE_SECONDS = 0.5;
+
+/**
+ * Number of replays kept per level for each player; the slowest are unlinked first. Only stored fastest
+ * times have replays, so this matches `MAX_TIMES_PER_LEVEL`.
+ */
+export const MAX_REPLAYS_PER_LEVEL = MAX_TIMES_PER_LEVEL;
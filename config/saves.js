@@ -0,0 +1,9 @@
+/**
+ * @fileoverview Limits of the cloud save slots (see `lib/saves.js`).
+ */
+
+/** Number of save slots per player, numbered from 1. */
+export const SAVE_SLOTS = 3;
+
+/** Maximum size of a save's JSON data, in bytes; well below DynamoDB's 400 KB item limit. */
+export const MAX_SAVE_BYTES = 64 * 1024;
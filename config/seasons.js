@@ -0,0 +1,20 @@
+/**
+ * @fileoverview Named seasons for seasonal leaderboards.
+ *
+ * Runs submitted between a season's `start` (inclusive) and `end` (exclusive) count towards that season's
+ * boards. Seasons should not overlap; if they do, a run counts towards the first matching season only.
+ * Past seasons must stay listed so their boards remain readable.
+ */
+
+/**
+ * @typedef {Object} Season
+ * @property {string} id - Identifier used in `periodId` and in the board keys.
+ * @property {string} name - Display name.
+ * @property {string} start - ISO 8601 start time.
+ * @property {string} end - ISO 8601 end time.
+ */
+
+/** @type {Season[]} */
+export const SEASONS = [
+    { id: "season-1", name: "Season 1", start: "2026-09-01T00:00:00Z", end: "2026-12-01T00:00:00Z" },
+];
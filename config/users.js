@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Rules for usernames and profile fields in the `spacedash-user` table.
+ */
+
+/**
+ * Usernames are 3 to 20 letters, digits, underscores or hyphens. They are the key of every per-player
+ * table and appear on the leaderboards, so they cannot be changed after registration.
+ */
+export const USERNAME_RULES = {
+    minLength: 3,
+    maxLength: 20,
+    pattern: /^[A-Za-z0-9_-]+$/,
+};
+
+/** Usernames that cannot be registered, compared case-insensitively. */
+export const RESERVED_USERNAMES = ["admin", "administrator", "moderator", "spacedash", "system"];
+
+/** Maximum length of a display name. */
+export const DISPLAY_NAME_MAX_LENGTH = 30;
+
+/** Character given to new users who do not choose one. */
+export const DEFAULT_CHARACTER = "blue";
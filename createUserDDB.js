@@ -0,0 +1,81 @@
+/**
+ * AWS Lambda function to register a user in the `spacedash-user` DynamoDB table.
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and registers the username of their
+ * token; admins may register any username. Usernames must follow the rules in `config/users.js` and are
+ * unique: the item is written with a condition that no user already holds the username, so concurrent
+ * registrations of the same name cannot both succeed. Banned usernames cannot be registered again after the
+ * account is deleted (see `lib/moderation.js`).
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {string} event.body - JSON body `{ "username"?: string, "displayName"?: string, "character"?: string }`.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 201: The created user.
+ * - 400: Invalid username, display name or character.
+ * - 401/403: Missing or invalid token, or another username registered without admin rights.
+ * - 403: The character is locked (new users only have the characters without requirements), or the
+ *   username is banned.
+ * - 409: The username is already taken.
+ * - 429: Too many requests; `Retry-After` gives the seconds to wait (see `config/rateLimits.js`).
+ */
+
+import { DEFAULT_CHARACTER } from './config/users.js';
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { assertSelectable } from './lib/characters.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError } from './lib/http.js';
+import { moderationStatus, readModeration } from './lib/moderation.js';
+import { enforceRateLimit } from './lib/rateLimit.js';
+import { USER_TABLE_NAME, validateDisplayName, validateUsername } from './lib/users.js';
+
+/**
+ * Registers a user. Routed as `POST /users`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const createUser = async (req) => {
+    const identity = await authenticate(req);
+    const body = req.body || {};
+    const username = validateUsername(authorizeUser(identity, body.username));
+    await enforceRateLimit(req, identity, "POST /users");
+    const displayName = validateDisplayName(body.displayName ?? username);
+    const character = body.character ?? DEFAULT_CHARACTER;
+
+    // A new player has no stats, so only characters without unlock requirements can be chosen
+    assertSelectable(character, undefined);
+
+    // Bans outlive the account, so deleting it and registering again does not lift them
+    if (moderationStatus(await readModeration(dynamo, username)) === "banned") {
+        throw new HttpError(403, `Username "${username}" is banned.`, { code: 'username_banned' });
+    }
+
+    const now = new Date().toISOString();
+    const user = {
+        username,
+        'display-name': displayName,
+        character,
+        'created-at': now,
+        'updated-at': now,
+    };
+
+    try {
+        await dynamo.put({
+            TableName: USER_TABLE_NAME,
+            Item: user,
+            ConditionExpression: 'attribute_not_exists(username)',
+        });
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new HttpError(409, `Username "${username}" is already taken.`, { code: 'username_taken' });
+        }
+        throw error;
+    }
+
+    return { statusCode: 201, message: "User created successfully.", data: user };
+};
+
+export const handler = createHandler({ POST: createUser });
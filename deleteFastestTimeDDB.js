@@ -0,0 +1,85 @@
+/**
+ * AWS Lambda function for admins to delete one of a player's fastest times, e.g. a time set with a cheat.
+ *
+ * The time is removed from the player's `fastest-times` in `player-stats` and the removal recorded in the
+ * `moderation-audit` table in one transaction (see `lib/moderation.js`). The level's all-time leaderboard
+ * entry is then updated to the player's next best time, or removed if none is left, and the time's replay
+ * is deleted. The runs of each period are not stored, so the player's next best time in a period is not
+ * known: their entries on the daily, weekly and seasonal boards holding the deleted time are removed.
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and must have admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} event.queryStringParameters.username - The player.
+ * @param {string} event.queryStringParameters.level - The level.
+ * @param {string} event.queryStringParameters.time - The completion time to delete, in seconds.
+ * @param {string} [event.queryStringParameters.reason] - Why, recorded in the audit log.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The level's remaining fastest times.
+ * - 400: Missing or invalid level or time.
+ * - 401/403: Missing or invalid token, or a caller without admin rights.
+ * - 404: The player has no stats, or no such time on the level.
+ * - 409: The player's stats changed during the request; try again.
+ */
+
+import { authenticate, requireAdmin } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { editPlayerStatsItem, readPlayerStats, validateReason } from './lib/moderation.js';
+
+/**
+ * Deletes a fastest time. Routed as `DELETE /admin/players/{username}/times/{level}/{time}`, with an
+ * optional `reason` in the query string or body.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const deleteFastestTime = async (req) => {
+    const actor = requireAdmin(await authenticate(req));
+    const { username, level } = req.params;
+    const time = Number(req.params.time);
+    if (!username) {
+        throw new HttpError(400, "Username is required.");
+    }
+    if (!/^[1-9]\d*$/.test(level ?? "")) {
+        throw new HttpError(400, "Level must be a positive integer.");
+    }
+    if (!Number.isFinite(time) || time <= 0) {
+        throw new HttpError(400, "Time must be a positive number of seconds.");
+    }
+    const reason = validateReason(req.body?.reason ?? req.query.reason);
+
+    const previous = await readPlayerStats(dynamo, username);
+    const stored = previous["fastest-times"];
+    const times = Array.isArray(stored?.[level]) ? stored[level] : [];
+    if (!times.map(Number).includes(time)) {
+        throw new HttpError(404, `Player has no time of ${time} seconds on level ${level}.`);
+    }
+
+    const remaining = times.filter((candidate) => Number(candidate) !== time);
+    const fastestTimes = { ...stored, [level]: remaining };
+    if (remaining.length === 0) {
+        delete fastestTimes[level];
+    }
+    await editPlayerStatsItem(dynamo, {
+        username,
+        actor,
+        action: "delete-time",
+        next: { "fastest-times": Object.keys(fastestTimes).length > 0 ? fastestTimes : undefined },
+        previous,
+        reason,
+    });
+
+    return {
+        message: "Fastest time deleted.",
+        data: { username, level: Number(level), fastestTimes: remaining.map(Number) },
+    };
+};
+
+export const handler = createHandler({
+    DELETE: queryAdapter(deleteFastestTime, { params: ['username', 'level', 'time'] }),
+});
@@ -0,0 +1,71 @@
+/**
+ * AWS Lambda function to clear a player's cloud save slot in the `player-saves` DynamoDB table.
+ *
+ * An optional `version` query parameter makes the deletion conditional, like a write (see
+ * `updatePlayerSaveDDB.js`), so a device does not delete a save it has not seen. The caller is
+ * authenticated with a Bearer JWT (see `lib/auth.js`) and may only clear their own slots, unless the token
+ * has admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} [event.queryStringParameters.username] - The player (defaults to the caller).
+ * @param {string} event.queryStringParameters.slot - The slot to clear.
+ * @param {string} [event.queryStringParameters.version] - The version the client expects to delete.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 204: The slot was cleared.
+ * - 400: Invalid slot or version.
+ * - 401/403: Missing or invalid token, or another player's save cleared without admin rights.
+ * - 404: The slot is empty.
+ * - 409: The slot's version has changed; `details.server` is the stored slot.
+ */
+
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { getSaveItem, parseSlot, saveConflict, SAVES_TABLE_NAME } from './lib/saves.js';
+
+/**
+ * Clears a save slot. Routed as `DELETE /players/{username}/saves/{slot}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const deletePlayerSave = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    const slot = parseSlot(req.params.slot);
+    const version = req.query.version === undefined ? undefined : Number(req.query.version);
+
+    if (version !== undefined && (!Number.isInteger(version) || version < 1)) {
+        throw new HttpError(400, "Version must be a positive integer.");
+    }
+
+    try {
+        await dynamo.delete({
+            TableName: SAVES_TABLE_NAME,
+            Key: { username, slot },
+            ...(version === undefined
+                ? { ConditionExpression: 'attribute_exists(slot)' }
+                : {
+                    ConditionExpression: '#version = :expected',
+                    ExpressionAttributeNames: { '#version': 'version' },
+                    ExpressionAttributeValues: { ':expected': version }
+                })
+        });
+    } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+        const current = await getSaveItem(dynamo, username, slot);
+        throw current ? saveConflict(current) : new HttpError(404, `Save slot ${slot} is empty.`);
+    }
+
+    return {};
+};
+
+export const handler = createHandler({
+    DELETE: queryAdapter(deletePlayerSave, { params: ['username', 'slot'] })
+});
@@ -0,0 +1,49 @@
+/**
+ * AWS Lambda function to delete a user's account and all of their data, for account deletion requests.
+ *
+ * Removes the user's items from every table listed in `USER_DATA_SOURCES` (see `lib/users.js`), such as
+ * their leaderboard entries and `player-stats`, finishing with the `spacedash-user` item. Their ghost
+ * replays are deleted from the asset bucket first (see `lib/replays.js`).
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and may only delete their own account,
+ * unless the token has admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} [event.queryStringParameters.username] - The user to delete (defaults to the caller).
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The number of items deleted from each table.
+ * - 401/403: Missing or invalid token, or another user deleted without admin rights.
+ * - 404: Nothing is stored for the user.
+ */
+
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { log } from './lib/instrumentation.js';
+import { deleteReplays } from './lib/replays.js';
+import { deleteUserData } from './lib/users.js';
+
+/**
+ * Deletes a user and their data. Routed as `DELETE /users/{username}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const deleteUser = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+
+    const replays = await deleteReplays(username);
+    const deleted = { replays, ...await deleteUserData(dynamo, username) };
+    if (Object.values(deleted).every((count) => count === 0)) {
+        throw new HttpError(404, "User not found.");
+    }
+
+    log.info("Deleted user data", { username, deletedBy: identity.username, deleted });
+    return { message: "User deleted successfully.", data: { username, deleted } };
+};
+
+export const handler = createHandler({ DELETE: queryAdapter(deleteUser, { params: ['username'] }) });
@@ -0,0 +1,139 @@
+/**
+ * AWS Lambda function for admins to correct or reset fields of a player's stats.
+ *
+ * The JSON body lists the fields to change; a field set to `null` is reset, i.e. removed from the
+ * `player-stats` item. The edit only succeeds if the fields still hold the values read at the start of the
+ * request, and is recorded in the `moderation-audit` table in the same transaction (see
+ * `lib/moderation.js`). The player's all-time leaderboard entries are then brought in line, the daily,
+ * weekly and seasonal entries of edited totals and removed times are removed, and replays of fastest times
+ * that were removed are deleted.
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and must have admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} event.queryStringParameters.username - The player.
+ * @param {string} event.body - The fields to change, as JSON:
+ * `{ coinsCollected?, enemiesDefeated?, levelsCompleted?, fastestTimes?, reason? }`.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The player's updated stats.
+ * - 400: No fields to change, or an invalid value.
+ * - 401/403: Missing or invalid token, or a caller without admin rights.
+ * - 404: The player has no stats.
+ * - 409: The player's stats changed during the request; try again.
+ */
+
+import { MAX_TIMES_PER_LEVEL } from './config/levels.js';
+import { authenticate, requireAdmin } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { editPlayerStatsItem, readPlayerStats, validateReason } from './lib/moderation.js';
+
+/**
+ * @param {*} value - The requested value.
+ * @param {string} label - The field, for the error message.
+ * @returns {number}
+ */
+const toCount = (value, label) => {
+    if (!Number.isInteger(value) || value < 0) {
+        throw new HttpError(400, `${label} must be a non-negative integer.`);
+    }
+    return value;
+};
+
+/**
+ * @param {*} value - The requested completed levels.
+ * @returns {(Set<number>|undefined)} - The levels, or undefined for none, since DynamoDB cannot store an
+ * empty set.
+ */
+const toLevels = (value) => {
+    if (!Array.isArray(value) || !value.every((level) => Number.isInteger(level) && level > 0)) {
+        throw new HttpError(400, "Levels completed must be an array of positive integers.");
+    }
+    return value.length > 0 ? new Set(value) : undefined;
+};
+
+/**
+ * @param {*} value - The requested fastest times, `{ level: number[] }`.
+ * @returns {(Object<string, number[]>|undefined)} - The times of each level sorted fastest first, leaving out
+ * levels without times, or undefined if no level has any.
+ */
+const toFastestTimes = (value) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+        throw new HttpError(400, "Fastest times must be an object of times by level.");
+    }
+
+    const times = {};
+    for (const [level, levelTimes] of Object.entries(value)) {
+        if (!/^[1-9]\d*$/.test(level)) {
+            throw new HttpError(400, `Level "${level}" must be a positive integer.`);
+        }
+        if (!Array.isArray(levelTimes) || levelTimes.length > MAX_TIMES_PER_LEVEL ||
+            !levelTimes.every((time) => Number.isFinite(time) && time > 0)) {
+            throw new HttpError(
+                400,
+                `Fastest times of level ${level} must be up to ${MAX_TIMES_PER_LEVEL} positive numbers of seconds.`
+            );
+        }
+        if (levelTimes.length > 0) {
+            times[level] = [...levelTimes].sort((a, b) => a - b);
+        }
+    }
+    return Object.keys(times).length > 0 ? times : undefined;
+};
+
+/** Editable fields: the attribute each is stored under and how the requested value is checked. */
+const FIELDS = {
+    coinsCollected: { attribute: "coins-collected", parse: (value) => toCount(value, "Coins collected") },
+    enemiesDefeated: { attribute: "enemies-defeated", parse: (value) => toCount(value, "Enemies defeated") },
+    levelsCompleted: { attribute: "levels-completed", parse: toLevels },
+    fastestTimes: { attribute: "fastest-times", parse: toFastestTimes },
+};
+
+/**
+ * Edits a player's stats. Routed as `PATCH /admin/players/{username}/stats`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const editPlayerStats = async (req) => {
+    const actor = requireAdmin(await authenticate(req));
+    const { username } = req.params;
+    const body = req.body || {};
+    if (!username) {
+        throw new HttpError(400, "Username is required.");
+    }
+
+    const next = {};
+    for (const [field, { attribute, parse }] of Object.entries(FIELDS)) {
+        if (body[field] !== undefined) {
+            next[attribute] = body[field] === null ? undefined : parse(body[field]);
+        }
+    }
+    if (Object.keys(next).length === 0) {
+        throw new HttpError(400, `At least one of ${Object.keys(FIELDS).join(", ")} is required.`);
+    }
+    const reason = validateReason(body.reason);
+
+    const previous = await readPlayerStats(dynamo, username);
+    const updated = await editPlayerStatsItem(dynamo, {
+        username,
+        actor,
+        action: "edit-stats",
+        next,
+        previous,
+        reason,
+    });
+    const levels = updated["levels-completed"];
+
+    return {
+        message: "Player stats updated.",
+        // Sets do not serialise to JSON
+        data: { ...updated, ...(levels && { "levels-completed": [...levels].map(Number).sort((a, b) => a - b) }) },
+    };
+};
+
+export const handler = createHandler({ PATCH: queryAdapter(editPlayerStats, { params: ['username'] }) });
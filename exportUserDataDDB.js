@@ -0,0 +1,51 @@
+/**
+ * AWS Lambda function to export everything stored about a user, for data access requests.
+ *
+ * Returns the user's items from every table listed in `USER_DATA_SOURCES` (see `lib/users.js`), by
+ * source name. The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and may only export their
+ * own data, unless the token has admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} [event.queryStringParameters.username] - The user to export (defaults to the caller).
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The user's data, with the time of the export.
+ * - 401/403: Missing or invalid token, or another user exported without admin rights.
+ * - 404: Nothing is stored for the user.
+ */
+
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { readUserData } from './lib/users.js';
+
+/**
+ * Exports a user's data. Routed as `GET /users/{username}/export`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const exportUserData = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+
+    const data = await readUserData(dynamo, username);
+    if (Object.values(data).every((items) => items.length === 0)) {
+        throw new HttpError(404, "User not found.");
+    }
+    // Sets do not serialise to JSON
+    data.playerStats = data.playerStats.map((stats) => {
+        const levels = stats["levels-completed"];
+        return { ...stats, ...(levels && { "levels-completed": [...levels].map(Number).sort((a, b) => a - b) }) };
+    });
+
+    return {
+        data: { username, exportedAt: new Date().toISOString(), ...data },
+        headers: { 'Cache-Control': 'no-store' },
+    };
+};
+
+export const handler = createHandler({ GET: queryAdapter(exportUserData, { params: ['username'] }) });
@@ -0,0 +1,58 @@
+/**
+ * AWS Lambda function to list a player's achievements.
+ *
+ * Every achievement in `config/achievements.js` is returned with its name and description. Unlocked
+ * achievements include the time they were unlocked (`unlockedAt`); locked ones include the player's
+ * `progress` towards each criterion, read from their `player-stats`. The caller is authenticated with a
+ * Bearer JWT (see `lib/auth.js`); admins may read another player's achievements.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters included in the request.
+ * @param {string} [event.queryStringParameters.username] - The player (defaults to the caller).
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The achievements, with the number unlocked.
+ * - 401/403: Missing or invalid token, or another player's achievements requested without admin rights.
+ */
+
+import { ACHIEVEMENTS } from './config/achievements.js';
+import { evaluateAchievements, getUnlockedAchievements } from './lib/achievements.js';
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, queryAdapter } from './lib/http.js';
+
+/**
+ * Returns a player's achievements. Routed as `GET /players/{username}/achievements`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getAchievements = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+
+    const [{ Item: stats }, unlocked] = await Promise.all([
+        dynamo.get({ TableName: 'player-stats', Key: { username } }),
+        getUnlockedAchievements(dynamo, username),
+    ]);
+
+    const achievements = evaluateAchievements(stats).map(({ id, progress }) => ({
+        id,
+        name: ACHIEVEMENTS[id].name,
+        description: ACHIEVEMENTS[id].description,
+        unlocked: Boolean(unlocked[id]),
+        ...(unlocked[id] ? { unlockedAt: unlocked[id] } : { progress }),
+    }));
+
+    return {
+        data: {
+            username,
+            unlockedCount: achievements.filter((achievement) => achievement.unlocked).length,
+            achievements,
+        }
+    };
+};
+
+export const handler = createHandler({ GET: queryAdapter(getAchievements, { params: ['username'] }) });
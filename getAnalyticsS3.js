@@ -0,0 +1,47 @@
+/**
+ * AWS Lambda function to retrieve the latest player analytics snapshot, for game design.
+ *
+ * Returns the snapshot built by `buildAnalyticsS3` (see `lib/analytics.js` for its fields), read from the
+ * analytics bucket and cached in memory. The response may be cached by the client for as long as the
+ * Lambda caches it, `ANALYTICS_CACHE_TTL_SECONDS`. The snapshot's `export` names the folder of the player
+ * stats export written with it.
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and must have admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The snapshot, with its `generatedAt` time also in `meta`.
+ * - 401/403: Missing or invalid token, or a caller without admin rights.
+ * - 404: No snapshot has been built yet.
+ */
+
+import { getAnalyticsConfig } from './config/analytics.js';
+import { getLatestSnapshot } from './lib/analytics.js';
+import { authenticate, requireAdmin } from './lib/auth.js';
+import { createHandler, HttpError } from './lib/http.js';
+
+/**
+ * Returns the latest analytics snapshot. Routed as `GET /analytics`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getAnalytics = async (req) => {
+    requireAdmin(await authenticate(req));
+
+    const snapshot = await getLatestSnapshot();
+    if (!snapshot) {
+        throw new HttpError(404, "No analytics snapshot has been built yet.");
+    }
+
+    return {
+        data: snapshot,
+        meta: { generatedAt: snapshot.generatedAt },
+        headers: { 'Cache-Control': `private, max-age=${Math.floor(getAnalyticsConfig().cacheTtlMs / 1000)}` },
+    };
+};
+
+export const handler = createHandler({ GET: getAnalytics });
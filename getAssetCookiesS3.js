@@ -0,0 +1,45 @@
+/**
+ * AWS Lambda function to issue CloudFront signed cookies for the game assets.
+ *
+ * Clients that load many signed assets, such as the ghost replays of a level's leaderboard, can use the
+ * cookies instead of fetching a signed URL per asset. The cookies only cover the assets under
+ * `SIGNED_COOKIE_PREFIX`, which every player may fetch, and expire after `SIGNED_COOKIE_TTL_SECONDS` (see
+ * `config/assets.js`); premium and unlockable skins are never covered. The caller is authenticated with a
+ * Bearer JWT (see `lib/auth.js`) so that only players receive them.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @returns {Promise<Object>} - The HTTP response object, with the cookies in `Set-Cookie` headers.
+ *
+ * Possible responses:
+ * - 200: The cookies were set; `data.expiresAt` is when they expire.
+ * - 401: Missing or invalid bearer token.
+ * - 404: Signing is not configured, so assets are served without signatures.
+ */
+
+import { assetCookies } from './lib/assetSigning.js';
+import { authenticate } from './lib/auth.js';
+import { createHandler, HttpError } from './lib/http.js';
+
+/**
+ * Issues signed asset cookies to the caller. Routed as `GET /assets/cookies`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getAssetCookies = async (req) => {
+    await authenticate(req);
+
+    const signed = assetCookies();
+    if (!signed) {
+        throw new HttpError(404, "Signed asset cookies are not enabled.");
+    }
+
+    return {
+        data: { expiresAt: signed.expiresAt },
+        cookies: signed.cookies,
+        headers: { "Cache-Control": "no-store" },
+    };
+};
+
+export const handler = createHandler({ GET: getAssetCookies });
@@ -0,0 +1,45 @@
+/**
+ * AWS Lambda function to retrieve the character catalogue for the calling player.
+ *
+ * Each character in `config/characters.js` is returned with its display name, portrait and spritesheet
+ * CloudFront URLs, Phaser frame dimensions and unlock requirements. The caller is authenticated with a
+ * Bearer JWT (see `lib/auth.js`), and each character is marked `unlocked` or not from the caller's
+ * `player-stats`, with their `progress` towards each requirement. Signed asset URLs expire; `meta.expiresAt`
+ * gives the earliest expiry in the catalogue.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The catalogue, as an array of characters.
+ * - 401: Missing or invalid bearer token.
+ */
+
+import { earliestExpiry } from './lib/assetSigning.js';
+import { authenticate } from './lib/auth.js';
+import { buildCatalogue } from './lib/characters.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler } from './lib/http.js';
+
+/**
+ * Returns the character catalogue with the caller's unlocks. Routed as `GET /characters/catalogue`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getCharacterCatalogue = async (req) => {
+    const { username } = await authenticate(req);
+    const { Item } = await dynamo.get({
+        TableName: 'player-stats',
+        Key: { username },
+    });
+
+    const catalogue = buildCatalogue(Item);
+    return {
+        data: catalogue,
+        meta: { expiresAt: earliestExpiry(catalogue.map(({ urlsExpireAt }) => ({ expiresAt: urlsExpireAt }))) },
+    };
+};
+
+export const handler = createHandler({ GET: getCharacterCatalogue });
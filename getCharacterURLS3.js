@@ -3,62 +3,44 @@
  * and return the URLs in a JSON response. These character images are rendered on the user's profile
  * for selection.
  *
- * @returns {Promise<Object>} - A response object containing a JSON with character colours as keys and 
- * their corresponding CloudFront URLs as values.
+ * The images are looked up in the cached asset index (see `lib/assetIndex.js`), so the bucket is only
+ * listed when the cache is cold. Images whose access policy requires it are returned as signed URLs
+ * (see `lib/assetSigning.js`), and `meta.expiresAt` gives the earliest expiry so the client knows when to
+ * fetch them again.
+ *
+ * @returns {Promise<Object>} - A response object whose `data` maps character colours to their
+ * corresponding CloudFront URLs.
  *
  * Possible responses:
  * - 200: Success with a list of CloudFront URLs for all valid character images.
  * - 500: Internal server error during file retrieval.
  */
 
-import { S3Client, ListObjectsV2Command } from '@aws-sdk/client-s3';
-
-const s3Client = new S3Client({ region: 'us-east-1' });
-const bucketName = 'spacedash';
-const cloudfrontDomain = 'https://d3vva0g6vi1eo1.cloudfront.net';
-
-export const handler = async (event) => {
-    const characterURLs = {};
+import { getAssetIndex } from './lib/assetIndex.js';
+import { assetLink, earliestExpiry } from './lib/assetSigning.js';
+import { createHandler } from './lib/http.js';
+import { log } from './lib/instrumentation.js';
 
-    try {
-        // List all objects in the 'characters/' folder
-        const command = new ListObjectsV2Command({
-            Bucket: bucketName,
-            Prefix: 'characters/', // Folder prefix
-        });
-        const response = await s3Client.send(command);
-        const { Contents } = response;
-
-        if (Contents && Contents.length > 0) {
-            // Filter out folder-like objects (keys ending with '/')
-            const validFiles = Contents.filter(({ Key }) => Key && !Key.endsWith('/'));
+/**
+ * Returns the CloudFront URL of every character image by colour. Routed as `GET /characters`.
+ *
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getCharacterURLs = async () => {
+    const { characters } = await getAssetIndex();
 
-            // Construct CloudFront URLs for each valid object
-            validFiles.forEach(({ Key }) => {
-                const colour = Key.split('/').pop().split('.').shift(); // Extract 'blue' from 'characters/blue.png'
-                const characterURL = `${cloudfrontDomain}/${Key}`; // Direct CloudFront URL
-                characterURLs[colour] = characterURL;
-            });
-        } else {
-            console.warn("No objects found in the specified folder.");
-        }
+    if (Object.keys(characters).length === 0) {
+        log.warn("No character images found in the asset index.");
+    }
 
-        // Return response with CORS headers
-        return {
-            statusCode: 200,
-            headers: {
-                "Access-Control-Allow-Origin": "*",
-                "Access-Control-Allow-Methods": "GET",
-                "Access-Control-Allow-Headers": "Content-Type",
-            },
-            body: JSON.stringify(characterURLs),
-        };
+    // Construct CloudFront URLs for each character image
+    const links = Object.entries(characters).map(([colour, key]) => [colour, assetLink(key)]);
+    const characterURLs = Object.fromEntries(links.map(([colour, { url }]) => [colour, url]));
 
-    } catch (error) {
-        console.error('Error listing character images:', error.message);
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ message: 'Error retrieving character URLs' }),
-        };
-    }
+    return {
+        data: characterURLs,
+        meta: { expiresAt: earliestExpiry(links.map(([, link]) => link)) },
+    };
 };
+
+export const handler = createHandler({ GET: getCharacterURLs });
@@ -0,0 +1,50 @@
+/**
+ * AWS Lambda function to list a player's friends and pending friend requests from the `player-friends`
+ * DynamoDB table (see `lib/friends.js`).
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`); admins may list another player's
+ * friends.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters included in the request.
+ * @param {string} [event.queryStringParameters.username] - The player (defaults to the caller).
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: `{ username, friends, incoming, outgoing }`, where `incoming` are requests waiting for the
+ *   player's answer and `outgoing` are requests the player has sent.
+ * - 401/403: Missing or invalid token, or another player's friends requested without admin rights.
+ */
+
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { FRIEND_STATUS, listFriendItems } from './lib/friends.js';
+import { createHandler, queryAdapter } from './lib/http.js';
+
+/**
+ * Lists a player's friends and friend requests. Routed as `GET /players/{username}/friends`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getFriends = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    const items = await listFriendItems(dynamo, username);
+
+    const withStatus = (status, dateField, dateAttribute) => items
+        .filter((item) => item.status === status)
+        .map((item) => ({ username: item.friend, [dateField]: item[dateAttribute] }));
+
+    return {
+        data: {
+            username,
+            friends: withStatus(FRIEND_STATUS.accepted, 'since', 'updated-at'),
+            incoming: withStatus(FRIEND_STATUS.incoming, 'requestedAt', 'created-at'),
+            outgoing: withStatus(FRIEND_STATUS.outgoing, 'requestedAt', 'created-at')
+        }
+    };
+};
+
+export const handler = createHandler({ GET: queryAdapter(getFriends, { params: ['username'] }) });
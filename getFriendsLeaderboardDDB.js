@@ -0,0 +1,66 @@
+/**
+ * AWS Lambda function to rank a player against their friends.
+ *
+ * The caller and their accepted friends (see `lib/friends.js`) are ranked by coins collected, enemies
+ * defeated and the fastest time of each level, using their entries in the `leaderboard` table. The
+ * response has the same shape as the global `topCoins`/`topEnemies` of `getLeaderboardStatsDDB`, and
+ * accepts the same `period` and `periodId` query parameters. Players without a score on a board are left
+ * off that board.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters included in the request.
+ * @param {string} [event.queryStringParameters.username] - The player (defaults to the caller; admins only).
+ * @param {string} [event.queryStringParameters.period] - `all` (default), `daily`, `weekly` or `season`.
+ * @param {string} [event.queryStringParameters.periodId] - A past period, e.g. `previous`.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: `{ username, topCoins, topEnemies, topTimes }`, where `topTimes` maps each level to its
+ *   ranked `{ username, time }` entries.
+ * - 400: Invalid period.
+ * - 401/403: Missing or invalid token, or another player's board requested without admin rights.
+ */
+
+import { LEVEL_RULES } from './config/levels.js';
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { listFriends } from './lib/friends.js';
+import { createHandler } from './lib/http.js';
+import { putMetric } from './lib/instrumentation.js';
+import { rankPlayers } from './lib/leaderboard.js';
+import { resolvePeriod } from './lib/periods.js';
+
+/**
+ * Ranks a player and their friends. Routed as `GET /leaderboards/friends`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getFriendsLeaderboard = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.query.username);
+    const { periodKey, periodId } = resolvePeriod(req.query.period, req.query.periodId);
+    putMetric("LeaderboardReads");
+
+    const players = [username, ...await listFriends(dynamo, username)];
+    const levels = Object.keys(LEVEL_RULES);
+
+    const [topCoins, topEnemies, ...levelTimes] = await Promise.all([
+        rankPlayers(dynamo, 'coins', undefined, players, periodKey),
+        rankPlayers(dynamo, 'enemies', undefined, players, periodKey),
+        ...levels.map((level) => rankPlayers(dynamo, 'time', level, players, periodKey))
+    ]);
+
+    return {
+        data: {
+            ...(periodKey && { period: req.query.period, periodId }),
+            username,
+            topCoins,
+            topEnemies,
+            topTimes: Object.fromEntries(levels.map((level, index) => [level, levelTimes[index]]))
+        }
+    };
+};
+
+export const handler = createHandler({ GET: getFriendsLeaderboard });
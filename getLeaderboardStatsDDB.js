@@ -1,111 +1,114 @@
 /**
- * @fileoverview AWS Lambda function to retrieve leaderboard stats from a DynamoDB table,
- * including top 10 players for coins and enemies defeated, and all fastest times for all levels for all users.
+ * @fileoverview AWS Lambda function to retrieve leaderboard stats from DynamoDB.
+ *
+ * Without a `board` query parameter it returns the top 10 players for coins and enemies defeated, and the
+ * top 10 times of each level under `topTimes`, keyed by level. With `board` (`coins`, `enemies` or `time`,
+ * plus `level` for `time`) it returns one page of that board, paginated with `limit` and `nextToken`.
+ *
+ * A `period` query parameter (`all`, `daily`, `weekly` or `season`) selects the time window, and `periodId`
+ * selects a past window, e.g. `period=weekly&periodId=previous` for last week's board.
+ *
+ * Rankings are read from the denormalised `leaderboard` table (see `lib/leaderboard.js`) rather than by
+ * scanning and sorting `player-stats` on every request; the summary reads a fixed number of board pages
+ * however many players there are.
  */
 
-import { DynamoDB } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocument } from '@aws-sdk/lib-dynamodb';
+import { LEVEL_RULES } from './config/levels.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { putMetric } from './lib/instrumentation.js';
+import { BOARDS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, queryBoard } from './lib/leaderboard.js';
+import { resolvePeriod } from './lib/periods.js';
 
-const dynamo = DynamoDBDocument.from(new DynamoDB());
-
-export const handler = async (event) => {
-    let body;
-    let statusCode = '200';
-    const headers = {
-        'Content-Type': 'application/json',
-        "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET,OPTIONS",
-        "Access-Control-Allow-Headers": "Content-Type"
-    };
-
-    try {
-        switch (event.httpMethod) {
-            case 'GET':
-                // Define parameters to scan the "player-stats" table
-                const params = {
-                    TableName: 'player-stats'
-                };
-                const data = await dynamo.scan(params);
-
-                // Throw an error if no data is found
-                if (!data.Items) {
-                    throw new Error("No data found in DynamoDB");
-                }
+/**
+ * Reads one page of a single board.
+ *
+ * @param {string} board - The board to read.
+ * @param {Object} query - The query string parameters (`level`, `limit`, `nextToken`).
+ * @param {string} [periodKey] - The period of the board, if not all time.
+ * @returns {Promise<Object>}
+ */
+const getBoardPage = async (board, { level, limit, nextToken }, periodKey) => {
+    if (!Object.hasOwn(BOARDS, board)) {
+        throw new HttpError(400, `Unsupported board "${board}".`);
+    }
+    if (board === 'time' && !level) {
+        throw new HttpError(400, 'Level query parameter is required for the time board.');
+    }
 
-                const players = data.Items;
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new HttpError(400, `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    }
 
-                /**
-                 * Top 10 players with the most coins collected.
-                 * @type {Array}
-                 */
-                const topCoins = players
-                    .sort((a, b) => (b['coins-collected'] || 0) - (a['coins-collected'] || 0))
-                    .slice(0, 10)
-                    .map((player) => ({
-                        username: player.username,
-                        coins: player['coins-collected'] || 0
-                    }));
+    const { entries, nextToken: next } = await queryBoard(dynamo, board, {
+        level,
+        periodKey,
+        limit: pageSize,
+        nextToken
+    });
 
-                /**
-                 * Top 10 players with the most enemies defeated.
-                 * @type {Array}
-                 */
-                const topEnemies = players
-                    .sort((a, b) => (b['enemies-defeated'] || 0) - (a['enemies-defeated'] || 0))
-                    .slice(0, 10)
-                    .map((player) => ({
-                        username: player.username,
-                        enemies: player['enemies-defeated'] || 0
-                    }));
+    return {
+        board,
+        ...(board === 'time' && { level }),
+        entries,
+        nextToken: next
+    };
+};
 
-                /**
-                 * All fastest times for all levels for all users.
-                 * @type {Array}
-                 */
-                const allFastestTimes = players.map((player) => {
-                    const fastestTimes = {};
-                    const times = player['fastest-times'];
+/**
+ * Returns the leaderboard summary, or one page of a board when a `board` parameter is given. Routed as
+ * `GET /leaderboards` and `GET /leaderboards/{board}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getLeaderboardStats = async ({ params, query }) => {
+    const { periodKey, periodId } = resolvePeriod(query.period, query.periodId);
+    const period = periodKey ? { period: query.period, periodId } : {};
+    putMetric("LeaderboardReads");
 
-                    if (times && typeof times === 'object') {
-                        for (const level in times) {
-                            if (times[level]?.L) {
-                                const levelTimes = times[level].L
-                                    .map((timeObj) => parseFloat(timeObj.N)) // Extract numbers stored as "N"
-                                    .filter((time) => !isNaN(time));
+    if (params.board) {
+        return { data: { ...period, ...await getBoardPage(params.board, query, periodKey) } };
+    }
 
-                                // Store the sorted times for the level
-                                fastestTimes[level] = levelTimes.sort((a, b) => a - b);
-                            }
-                        }
-                    }
+    const levels = Object.keys(LEVEL_RULES);
+    const [coins, enemies, ...times] = await Promise.all([
+        queryBoard(dynamo, 'coins', { periodKey }),
+        queryBoard(dynamo, 'enemies', { periodKey }),
+        ...levels.map((level) => queryBoard(dynamo, 'time', { level, periodKey }))
+    ]);
 
-                    return {
-                        username: player.username,
-                        fastestTimes: fastestTimes
-                    };
-                });
+    /**
+     * Top 10 players with the most coins collected.
+     * @type {Array}
+     */
+    const topCoins = coins.entries.map(({ username, coins }) => ({ username, coins }));
 
-                // Combine results into the response body
-                body = {
-                    topCoins,
-                    topEnemies,
-                    allFastestTimes
-                };
-                break;
+    /**
+     * Top 10 players with the most enemies defeated.
+     * @type {Array}
+     */
+    const topEnemies = enemies.entries.map(({ username, enemies }) => ({ username, enemies }));
 
-            default:
-                throw new Error(`Unsupported method "${event.httpMethod}"`);
-        }
-    } catch (err) {
-        statusCode = '400';
-        body = { error: err.message };
-    } finally {
-        body = JSON.stringify(body);
-    }
+    /**
+     * Top 10 fastest times of each level, keyed by level.
+     * @type {Object}
+     */
+    const topTimes = Object.fromEntries(levels.map((level, index) => [
+        level,
+        times[index].entries.map(({ username, time }) => ({ username, time }))
+    ]));
 
+    // Combine results into the response body
     return {
-        statusCode,
-        body,
-        headers,
+        data: {
+            ...period,
+            topCoins,
+            topEnemies,
+            topTimes
+        }
     };
 };
+
+export const handler = createHandler({ GET: queryAdapter(getLeaderboardStats, { params: ['board'] }) });
@@ -0,0 +1,68 @@
+/**
+ * AWS Lambda function to retrieve the fastest-time leaderboard of a single level.
+ *
+ * This function handles HTTP GET requests sent through API Gateway. It requires a `level` query
+ * parameter and returns the 10 fastest times for that level across all players, read from the `time`
+ * board of the `leaderboard` table. When a `username` query parameter is also given, the response
+ * includes that player's rank, their best time, and the players directly ahead of and behind them.
+ * `period` and `periodId` select a daily, weekly or seasonal board as in `getLeaderboardStatsDDB`.
+ *
+ * @param {Object} event - The event object passed by AWS Lambda.
+ * @param {string} event.httpMethod - The HTTP method of the request (only `GET` is supported).
+ * @param {Object} [event.queryStringParameters] - Query parameters included in the request.
+ * @param {string} [event.queryStringParameters.level] - The level to rank (required).
+ * @param {string} [event.queryStringParameters.username] - A player whose own rank should be included.
+ * @param {string} [event.queryStringParameters.period] - `all` (default), `daily`, `weekly` or `season`.
+ * @param {string} [event.queryStringParameters.periodId] - A past window of the period, or `previous`.
+ * @returns {Promise<Object>} - A response object containing the HTTP status code, headers, and body.
+ *
+ * Possible responses:
+ * - 200: `{ level, topTimes, player }`. `player` is `null` when no username was given or the player
+ *   has no time on the level.
+ * - 400: Bad request due to a missing level or an invalid period.
+ * - 404: The level does not exist.
+ * - 405: Unsupported HTTP method.
+ */
+import { LEVEL_RULES } from './config/levels.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { putMetric } from './lib/instrumentation.js';
+import { getPlayerRank, queryBoard } from './lib/leaderboard.js';
+import { resolvePeriod } from './lib/periods.js';
+
+/**
+ * Returns a level's fastest times and, optionally, a player's rank. Routed as
+ * `GET /leaderboards/levels/{level}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getLevelLeaderboard = async ({ params, query }) => {
+    const { level } = params;
+    const { username, period, periodId: requestedPeriodId } = query;
+    if (!level) {
+        throw new HttpError(400, "Level is required.");
+    }
+    if (!Object.hasOwn(LEVEL_RULES, level)) {
+        throw new HttpError(404, `Level "${level}" does not exist.`);
+    }
+
+    const { periodKey, periodId } = resolvePeriod(period, requestedPeriodId);
+    putMetric("LeaderboardReads");
+
+    const [top, player] = await Promise.all([
+        queryBoard(dynamo, 'time', { level, periodKey }),
+        username ? getPlayerRank(dynamo, 'time', level, username, periodKey) : null
+    ]);
+
+    return {
+        data: {
+            ...(periodKey && { period, periodId }),
+            level: Number(level),
+            topTimes: top.entries,
+            player
+        }
+    };
+};
+
+export const handler = createHandler({ GET: queryAdapter(getLevelLeaderboard, { params: ['level'] }) });
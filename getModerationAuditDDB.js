@@ -0,0 +1,102 @@
+/**
+ * AWS Lambda function for admins to read the moderation audit log of a player.
+ *
+ * Returns the entries of the `moderation-audit` table (see `lib/moderation.js`) newest first: who changed
+ * what on the player and when. Pages hold `limit` entries; pass the returned `nextToken` to read the next.
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and must have admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} event.queryStringParameters.username - The player.
+ * @param {string} [event.queryStringParameters.limit] - Entries per page (default 25, at most 100).
+ * @param {string} [event.queryStringParameters.nextToken] - Token returned with the previous page.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: `{ username, entries, nextToken }`. Entries hold `changedAt`, `action`, `actor`, `reason` and
+ *   `changes`.
+ * - 400: Invalid limit or token.
+ * - 401/403: Missing or invalid token, or a caller without admin rights.
+ */
+
+import { authenticate, requireAdmin } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { MODERATION_AUDIT_TABLE_NAME } from './lib/moderation.js';
+
+/** Default and maximum number of entries returned per page. */
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Decodes a pagination token for the given player.
+ *
+ * @param {string} token - The `nextToken` sent by the client.
+ * @param {string} username - The player whose log is being read.
+ * @returns {object} - The `ExclusiveStartKey` of the query.
+ * @throws {HttpError} - 400 if the token is malformed or belongs to another player.
+ */
+const decodeToken = (token, username) => {
+    let key;
+    try {
+        key = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    } catch {
+        throw new HttpError(400, "Invalid nextToken.");
+    }
+    if (key?.username !== username || typeof key["changed-at"] !== "string") {
+        throw new HttpError(400, "Invalid nextToken.");
+    }
+    return key;
+};
+
+/**
+ * Returns one page of a player's audit log. Routed as `GET /admin/players/{username}/audit`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getModerationAudit = async (req) => {
+    requireAdmin(await authenticate(req));
+    const { username } = req.params;
+    const { limit, nextToken } = req.query;
+    if (!username) {
+        throw new HttpError(400, "Username is required.");
+    }
+    const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new HttpError(400, `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+
+    const result = await dynamo.query({
+        TableName: MODERATION_AUDIT_TABLE_NAME,
+        KeyConditionExpression: "#username = :username",
+        ExpressionAttributeNames: { "#username": "username" },
+        ExpressionAttributeValues: { ":username": username },
+        ScanIndexForward: false,
+        Limit: pageSize,
+        ExclusiveStartKey: nextToken ? decodeToken(nextToken, username) : undefined,
+    });
+
+    const entries = (result.Items || []).map((item) => ({
+        // Drop the suffix that keeps entries of the same millisecond apart
+        changedAt: item["changed-at"].split("#")[0],
+        action: item.action,
+        actor: item.actor,
+        reason: item.reason ?? null,
+        changes: item.changes,
+    }));
+
+    return {
+        data: {
+            username,
+            entries,
+            nextToken: result.LastEvaluatedKey
+                ? Buffer.from(JSON.stringify(result.LastEvaluatedKey)).toString("base64url")
+                : null,
+        },
+    };
+};
+
+export const handler = createHandler({ GET: queryAdapter(getModerationAudit, { params: ['username'] }) });
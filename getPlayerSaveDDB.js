@@ -0,0 +1,76 @@
+/**
+ * AWS Lambda function to read a player's cloud save slots from the `player-saves` DynamoDB table.
+ *
+ * Without a `slot` it lists the player's slots (version, schema version and last-modified time, without the
+ * save data); with a `slot` it returns that slot including its data. The caller is authenticated with a
+ * Bearer JWT (see `lib/auth.js`); admins may read another player's saves.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters included in the request.
+ * @param {string} [event.queryStringParameters.username] - The player (defaults to the caller).
+ * @param {string} [event.queryStringParameters.slot] - The slot to read.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The player's slots, or the requested slot.
+ * - 400: Invalid slot number.
+ * - 401/403: Missing or invalid token, or another player's saves requested without admin rights.
+ * - 404: The slot is empty.
+ */
+
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { getSaveItem, parseSlot, SAVES_TABLE_NAME, toSave } from './lib/saves.js';
+
+/**
+ * Lists a player's save slots. Routed as `GET /players/{username}/saves`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const listPlayerSaves = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+
+    const { Items } = await dynamo.query({
+        TableName: SAVES_TABLE_NAME,
+        KeyConditionExpression: 'username = :username',
+        ProjectionExpression: 'slot, #version, #schemaVersion, #updatedAt',
+        ExpressionAttributeNames: {
+            '#version': 'version',
+            '#schemaVersion': 'schema-version',
+            '#updatedAt': 'updated-at'
+        },
+        ExpressionAttributeValues: { ':username': username },
+        ConsistentRead: true
+    });
+
+    return { data: { username, slots: (Items || []).map((item) => toSave(item, false)) } };
+};
+
+/**
+ * Returns one save slot with its data. Routed as `GET /players/{username}/saves/{slot}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getPlayerSave = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    const slot = parseSlot(req.params.slot);
+
+    const item = await getSaveItem(dynamo, username, slot);
+    if (!item) {
+        throw new HttpError(404, `Save slot ${slot} is empty.`);
+    }
+    return { data: toSave(item) };
+};
+
+export const handler = createHandler({
+    GET: queryAdapter(
+        (req) => (req.params.slot === undefined ? listPlayerSaves(req) : getPlayerSave(req)),
+        { params: ['username', 'slot'] }
+    )
+});
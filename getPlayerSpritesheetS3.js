@@ -4,7 +4,14 @@
  * chosen colour by the player, and the spritesheet with the same filename as this colour is retrieved
  * and used by Phaser.js to render graphics and animation of the main character. 
  *
+ * The spritesheet is looked up directly in the cached asset index (see `lib/assetIndex.js`) and returned
+ * as a signed URL when its access policy requires it (see `lib/assetSigning.js`), with the URL's expiry
+ * in `expiresAt` (`null` for unsigned URLs). The caller is authenticated with a Bearer JWT (see
+ * `lib/auth.js`), and a signed spritesheet is only returned for a character the caller has unlocked
+ * according to their `player-stats` (see `lib/characters.js`).
+ *
  * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
  * @param {Object} event.queryStringParameters - Query parameters sent in the API request.
  * @param {string} event.queryStringParameters.characterColour - The name of the character colour to search for.
  * @returns {Promise<Object>} - A response object with a status code, headers, and a JSON body.
@@ -12,73 +19,51 @@
  * Possible responses:
  * - 200: Success with the CloudFront URL of the matching spritesheet.
  * - 400: Missing the required `characterColour` query parameter.
- * - 404: Spritesheet not found or no files in the folder.
+ * - 401: Missing or invalid bearer token.
+ * - 403: The spritesheet is signed and the caller has not unlocked its character.
+ * - 404: Spritesheet not found.
  * - 500: Internal server error during file retrieval.
  */
 
-import { S3Client, ListObjectsV2Command } from '@aws-sdk/client-s3';
-
-const s3Client = new S3Client({ region: 'us-east-1' });
-const bucketName = 'spacedash';
-const cloudfrontDomain = 'https://d3vva0g6vi1eo1.cloudfront.net';
+import { findAsset } from './lib/assetIndex.js';
+import { assetLink } from './lib/assetSigning.js';
+import { authenticate } from './lib/auth.js';
+import { assertSpritesheetAccess } from './lib/characters.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
 
-export const handler = async (event) => {
-    const { queryStringParameters } = event;
-    const searchCharacterColour = queryStringParameters?.characterColour; // Extract query parameter
+/**
+ * Returns the CloudFront URL of a colour's spritesheet. Routed as `GET /characters/{colour}/spritesheet`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getPlayerSpritesheet = async (req) => {
+    const { username } = await authenticate(req);
+    const searchCharacterColour = req.params.colour; // Extract path parameter
 
     if (!searchCharacterColour) {
-        return {
-            statusCode: 400,
-            body: JSON.stringify({ message: "Missing required query parameter: characterColour" }),
-        };
+        throw new HttpError(400, "Missing required query parameter: characterColour");
     }
 
-    try {
-        // List all objects in the 'spritesheets/' folder
-        const command = new ListObjectsV2Command({
-            Bucket: bucketName,
-            Prefix: 'spritesheets/', // Folder prefix
-        });
-        const response = await s3Client.send(command);
-        const { Contents } = response;
-
-        if (Contents && Contents.length > 0) {
-            // Filter out folder-like objects (keys ending with '/')
-            const validFiles = Contents.filter(({ Key }) => Key && !Key.endsWith('/'));
+    const key = await findAsset('spritesheets', searchCharacterColour);
+    if (!key) {
+        throw new HttpError(404, `Spritesheet for characterColour "${searchCharacterColour}" not found.`);
+    }
 
-            // Look for the file matching the query parameter (characterColour)
-            const matchingFile = validFiles.find(({ Key }) =>
-                Key.split('/').pop().split('.').shift() === searchCharacterColour
-            );
+    const { Item } = await dynamo.get({
+        TableName: 'player-stats',
+        Key: { username },
+    });
+    assertSpritesheetAccess(searchCharacterColour, key, Item);
 
-            if (matchingFile) {
-                const fileURL = `${cloudfrontDomain}/${matchingFile.Key}`;
-                return {
-                    statusCode: 200,
-                    headers: {
-                        "Access-Control-Allow-Origin": "*",
-                        "Access-Control-Allow-Methods": "GET",
-                        "Access-Control-Allow-Headers": "Content-Type",
-                    },
-                    body: JSON.stringify({ characterColour: searchCharacterColour, url: fileURL }),
-                };
-            } else {
-                return {
-                    statusCode: 404,
-                    body: JSON.stringify({ message: `Spritesheet for characterColour "${searchCharacterColour}" not found.` }),
-                };
-            }
-        } else {
-            return {
-                statusCode: 404,
-                body: JSON.stringify({ message: "No files found in the spritesheets folder." }),
-            };
-        }
-    } catch (error) {
-        console.error('Error listing spritesheet images:', error.message);
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ message: 'Error retrieving spritesheet URLs' }),
-        };
-    }
+    const { url, expiresAt } = assetLink(key);
+    return {
+        data: { characterColour: searchCharacterColour, url, expiresAt },
+        meta: { expiresAt },
+    };
 };
+
+export const handler = createHandler({
+    GET: queryAdapter(getPlayerSpritesheet, { params: { colour: 'characterColour' } })
+});
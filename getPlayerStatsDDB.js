@@ -1,76 +1,70 @@
 /**
  * AWS Lambda function to retrieve player statistics from a DynamoDB table.
  *
- * This function is triggered by an API Gateway GET request. It accepts a query parameter `username`,
- * retrieves the corresponding player's stats from the `player-stats` DynamoDB table, and returns the data.
- * If the user is not found or the request is invalid, it returns an appropriate error response.
+ * This function is triggered by an API Gateway GET request. The caller is authenticated with a Bearer JWT
+ * (see `lib/auth.js`), and their stats are retrieved from the `player-stats` DynamoDB table and returned.
+ * Admins may read another player's stats with the `username` query parameter. If the user is not found or
+ * the request is not authorised, it returns an appropriate error response.
  *
  * @async
  * @function handler
  * @param {Object} event - The API Gateway event object.
  * @param {string} event.httpMethod - The HTTP method of the request (must be GET).
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
  * @param {Object} [event.queryStringParameters] - Query parameters included in the request.
- * @param {string} [event.queryStringParameters.username] - The username of the player whose stats are to be retrieved.
+ * @param {string} [event.queryStringParameters.username] - The player whose stats are to be retrieved (defaults to the caller).
  * @returns {Promise<Object>} - The HTTP response object.
  * 
- * @throws {Error} - Logs an error and returns a 500 response if the DynamoDB operation fails.
+ * Possible responses:
+ * - 200: The player's stats.
+ * - 401/403: Missing or invalid token, or another player's stats requested without admin rights.
+ * - 404: The player has no stats.
+ * - 500: The DynamoDB operation failed.
  */
 
-import { DynamoDB } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocument } from '@aws-sdk/lib-dynamodb';
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { withModeration } from './lib/moderation.js';
 
-const dynamo = DynamoDBDocument.from(new DynamoDB());
 const TABLE_NAME = "player-stats";
 
-export const handler = async (event) => {
-    try {
-        // Extract query parameters from the event
-        const { username } = event.queryStringParameters || {};
+/**
+ * Returns a player's `player-stats` item. Routed as `GET /players/{username}/stats`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getPlayerStats = async (req) => {
+    // Resolve the player from the caller's token and the optional username parameter
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
 
-        // Validate required fields
-        if (!username) {
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ message: "Username is required." }),
-            };
-        }
+    // Prepare DynamoDB get parameters
+    const params = {
+        TableName: TABLE_NAME,
+        Key: { username },
+    };
 
-        // Prepare DynamoDB get parameters
-        const params = {
-            TableName: TABLE_NAME,
-            Key: { username },
-        };
+    // Fetch the player stats from DynamoDB
+    const result = await dynamo.get(params);
 
-        // Fetch the player stats from DynamoDB
-        const result = await dynamo.get(params);
+    // Check if the player exists
+    if (!result.Item) {
+        throw new HttpError(404, "Player not found.");
+    }
 
-        // Check if the player exists
-        if (!result.Item) {
-            return {
-                statusCode: 404,
-                body: JSON.stringify({ message: "Player not found." }),
-            };
-        }
+    // Sets do not serialise to JSON
+    const levels = result.Item["levels-completed"];
+    const stats = levels
+        ? { ...result.Item, "levels-completed": [...levels].map(Number).sort((a, b) => a - b) }
+        : result.Item;
 
-        // Return a success response with the player's stats
-        return {
-            statusCode: 200,
-            headers: {
-                "Content-Type": "application/json",
-                "Access-Control-Allow-Origin": "*",
-                "Access-Control-Allow-Headers": "Content-Type",
-                "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-            },
-            body: JSON.stringify({
-                message: "Player stats retrieved successfully.",
-                data: result.Item,
-            }),
-        };
-    } catch (error) {
-        console.error("Error retrieving player stats:", error);
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ message: "Failed to retrieve player stats.", error }),
-        };
-    }
+    // Return a success response with the player's stats
+    return {
+        message: "Player stats retrieved successfully.",
+        data: await withModeration(dynamo, stats, identity),
+    };
 };
+
+export const handler = createHandler({ GET: queryAdapter(getPlayerStats, { params: ['username'] }) });
@@ -0,0 +1,70 @@
+/**
+ * AWS Lambda function to fetch the ghost replay behind a leaderboard time.
+ *
+ * Looks up the replay linked from the player's `fastest-replays` (see `lib/replays.js`) and returns a
+ * CloudFront URL to download it from, signed according to the asset access policies (see
+ * `config/assets.js`). Without a `time` the replay of the player's personal best is returned, so the world
+ * record ghost is the replay of the first entry of the level's leaderboard. Replays are only kept for
+ * times that were among the player's fastest times when uploaded.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} event.queryStringParameters - Query parameters included in the request.
+ * @param {string} event.queryStringParameters.level - The level.
+ * @param {string} event.queryStringParameters.username - The player who set the time.
+ * @param {string} [event.queryStringParameters.time] - The leaderboard time (defaults to the personal best).
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: `{ username, level, time, url, expiresAt }`.
+ * - 400: Invalid time.
+ * - 404: Unknown level, or no replay for the time.
+ */
+
+import { LEVEL_RULES } from './config/levels.js';
+import { assetLink } from './lib/assetSigning.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+
+/**
+ * Returns a fetch URL for a player's replay of a level. Routed as
+ * `GET /leaderboards/levels/{level}/replays/{username}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getReplay = async ({ params, query }) => {
+    const { level, username } = params;
+    if (!level || !username) {
+        throw new HttpError(400, "Level and username are required.");
+    }
+    if (!Object.hasOwn(LEVEL_RULES, level)) {
+        throw new HttpError(404, `Level "${level}" does not exist.`);
+    }
+    if (query.time !== undefined && !(Number(query.time) > 0)) {
+        throw new HttpError(400, "Time must be a positive number of seconds.");
+    }
+
+    const { Item } = await dynamo.get({
+        TableName: 'player-stats',
+        Key: { username },
+        ProjectionExpression: '#times.#level, #replays.#level',
+        ExpressionAttributeNames: { '#times': 'fastest-times', '#replays': 'fastest-replays', '#level': level }
+    });
+    const times = (Item?.['fastest-times']?.[level] || []).map(Number).filter(Number.isFinite);
+    const time = query.time !== undefined ? Number(query.time) : Math.min(...times);
+    const key = Item?.['fastest-replays']?.[level]?.[String(time)];
+
+    if (!key) {
+        throw new HttpError(404, `No replay of level ${level} by "${username}" for that time.`);
+    }
+
+    const { url, expiresAt } = assetLink(key);
+    return {
+        data: { username, level: Number(level), time, url, expiresAt },
+        meta: { expiresAt }
+    };
+};
+
+export const handler = createHandler({
+    GET: queryAdapter(getReplay, { params: ['level', 'username'] })
+});
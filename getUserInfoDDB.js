@@ -1,64 +1,46 @@
 /**
  * AWS Lambda function to retrieve user information from a DynamoDB table.
  * 
- * This function handles HTTP GET requests sent through API Gateway. It requires a `username`
- * query parameter to fetch user information from the `spacedash-user` table in DynamoDB.
+ * This function handles HTTP GET requests sent through API Gateway. The caller is authenticated with a
+ * Bearer JWT (see `lib/auth.js`) and their user information is fetched from the `spacedash-user` table in
+ * DynamoDB. Admins may fetch another user with the `username` query parameter.
  * 
  * @param {Object} event - The event object passed by AWS Lambda.
  * @param {string} event.httpMethod - The HTTP method of the request (only `GET` is supported).
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
  * @param {Object} [event.queryStringParameters] - Query parameters included in the request.
- * @param {string} [event.queryStringParameters.username] - The username to retrieve from DynamoDB.
+ * @param {string} [event.queryStringParameters.username] - The username to retrieve (defaults to the caller).
  * @returns {Promise<Object>} - A response object containing the HTTP status code, headers, and body.
  * 
  * Possible responses:
- * - 200: Successfully retrieved user information or user not found.
- * - 400: Bad request due to missing query parameter or unsupported HTTP method.
- * 
- * @throws {Error} - Returns an error message for missing username or unsupported methods.
+ * - 200: Successfully retrieved user information.
+ * - 401: Missing or invalid bearer token.
+ * - 403: The caller is not allowed to read another user.
+ * - 404: User not found.
+ * - 405: Unsupported HTTP method.
  */
-import { DynamoDB } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocument } from '@aws-sdk/lib-dynamodb';
-
-const dynamo = DynamoDBDocument.from(new DynamoDB());
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
 
-export const handler = async (event) => {
-    let body;
-    let statusCode = '200';
-    const headers = {
-        'Content-Type': 'application/json',
-        "Access-Control-Allow-Origin": "*", 
-        "Access-Control-Allow-Methods": "GET, OPTIONS",          
-        "Access-Control-Allow-Headers": "Content-Type"           
+/**
+ * Returns a user's `spacedash-user` item. Routed as `GET /users/{username}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const getUserInfo = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    const params = {
+        TableName: 'spacedash-user', 
+        Key: { username }
     };
-
-    try {
-        switch (event.httpMethod) {
-            case 'GET':
-                if (!event.queryStringParameters || !event.queryStringParameters.username) {
-                    throw new Error("Username query parameter is required");
-                }
-                const { username } = event.queryStringParameters;
-                const params = {
-                    TableName: 'spacedash-user', 
-                    Key: { username }
-                };
-                const result = await dynamo.get(params);
-                body = result.Item ? result.Item : { message: "User not found" };
-                break;
-                
-            default:
-                throw new Error(`Unsupported method "${event.httpMethod}"`);
-        }
-    } catch (err) {
-        statusCode = '400';
-        body = err.message;
-    } finally {
-        body = JSON.stringify(body);
+    const result = await dynamo.get(params);
+    if (!result.Item) {
+        throw new HttpError(404, "User not found.");
     }
-
-    return {
-        statusCode,
-        body,
-        headers,
-    };
+    return { data: result.Item };
 };
+
+export const handler = createHandler({ GET: queryAdapter(getUserInfo, { params: ['username'] }) });
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Evaluation and storage of the achievements defined in `config/achievements.js`.
+ *
+ * Earned achievements are kept in the `player-achievements` table (`username` partition key, `achievement`
+ * sort key) with the time they were unlocked.
+ */
+
+import { ACHIEVEMENTS } from '../config/achievements.js';
+import { unlockStats } from './characters.js';
+
+export const ACHIEVEMENTS_TABLE_NAME = "player-achievements";
+
+/**
+ * Measures a player's progress on one criterion.
+ *
+ * @param {import('../config/achievements.js').AchievementCriterion} criterion
+ * @param {object} [stats] - The player's `player-stats` item.
+ * @returns {{ current: number|null, required: number, met: boolean }}
+ */
+const criterionProgress = (criterion, stats = {}) => {
+    if (criterion.stat === "fastestTime") {
+        const times = stats["fastest-times"]?.[String(criterion.level)];
+        const valid = Array.isArray(times) ? times.map(Number).filter(Number.isFinite) : [];
+        const best = valid.length > 0 ? Math.min(...valid) : null;
+        return { current: best, required: criterion.below, met: best !== null && best < criterion.below };
+    }
+
+    const current = unlockStats(stats)[criterion.stat] ?? 0;
+    return { current, required: criterion.atLeast, met: current >= criterion.atLeast };
+};
+
+/**
+ * Evaluates every achievement against a player's stats.
+ *
+ * @param {object} [stats] - The player's `player-stats` item.
+ * @returns {{ id: string, earned: boolean, progress: object[] }[]} - `progress` has one entry per criterion,
+ * with the criterion's `stat` (and `level`), the `current` value and the `required` value.
+ */
+export const evaluateAchievements = (stats) =>
+    Object.entries(ACHIEVEMENTS).map(([id, { criteria }]) => {
+        const progress = criteria.map((criterion) => ({
+            stat: criterion.stat,
+            ...(criterion.level !== undefined && { level: criterion.level }),
+            ...criterionProgress(criterion, stats),
+        }));
+        return {
+            id,
+            earned: progress.every(({ met }) => met),
+            progress: progress.map(({ met, ...entry }) => entry),
+        };
+    });
+
+/**
+ * Reads the achievements a player has unlocked.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @returns {Promise<Object<string, string>>} - Unlock times (ISO 8601) by achievement ID.
+ */
+export const getUnlockedAchievements = async (dynamo, username) => {
+    const unlocked = {};
+    let ExclusiveStartKey;
+
+    do {
+        const result = await dynamo.query({
+            TableName: ACHIEVEMENTS_TABLE_NAME,
+            KeyConditionExpression: "username = :username",
+            ExpressionAttributeValues: { ":username": username },
+            ExclusiveStartKey,
+        });
+        for (const item of result.Items || []) {
+            unlocked[item.achievement] = item["unlocked-at"];
+        }
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return unlocked;
+};
+
+/**
+ * Stores the achievements a player has newly earned.
+ *
+ * Every earned achievement not yet stored is written with a condition that it does not exist, so when
+ * two submissions race only one of them reports the unlock.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @param {object} stats - The player's current `player-stats` item.
+ * @param {Date} [now] - The unlock time.
+ * @returns {Promise<{ id: string, name: string, description: string, unlockedAt: string }[]>} - The
+ * achievements unlocked by this call.
+ */
+export const awardAchievements = async (dynamo, username, stats, now = new Date()) => {
+    const unlocked = await getUnlockedAchievements(dynamo, username);
+    const unlockedAt = now.toISOString();
+    const earned = evaluateAchievements(stats)
+        .filter(({ id, earned }) => earned && !unlocked[id]);
+
+    const stored = await Promise.all(earned.map(async ({ id }) => {
+        try {
+            await dynamo.put({
+                TableName: ACHIEVEMENTS_TABLE_NAME,
+                Item: { username, achievement: id, "unlocked-at": unlockedAt },
+                ConditionExpression: "attribute_not_exists(achievement)",
+            });
+            return id;
+        } catch (error) {
+            if (error.name !== "ConditionalCheckFailedException") {
+                throw error;
+            }
+            return undefined;
+        }
+    }));
+
+    return stored.filter(Boolean).map((id) => ({
+        id,
+        name: ACHIEVEMENTS[id].name,
+        description: ACHIEVEMENTS[id].description,
+        unlockedAt,
+    }));
+};
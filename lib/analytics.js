@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Aggregate player analytics for game design, computed from `player-stats` by
+ * `buildAnalyticsS3` and stored as JSON snapshots in the analytics bucket (see `config/analytics.js`).
+ *
+ * A snapshot holds, over every player without a moderation status (see `lib/moderation.js`):
+ *
+ * - `players`, and `excludedPlayers` for the banned and shadow-banned players left out.
+ * - `averages`: coins collected and enemies defeated per player.
+ * - `levels`: for each level, the players who completed it (`completions`, and `completionRate` of all
+ *   players) and the distribution of their personal best times: `min`, `max`, `mean`, the `PERCENTILES`
+ *   and a `histogram` of at most `HISTOGRAM_MAX_BUCKETS` buckets, `HISTOGRAM_BUCKET_SECONDS` wide.
+ * - `dropOff`: for each pair of consecutive levels, the players who completed the first, how many of them
+ *   went on to complete the second (`continued`), and the share who did not (`dropOffRate`).
+ *
+ * The latest snapshot is kept in memory for `ANALYTICS_CACHE_TTL_SECONDS`, so warm invocations skip S3.
+ */
+
+import { GetObjectCommand } from '@aws-sdk/client-s3';
+import {
+    getAnalyticsConfig,
+    HISTOGRAM_BUCKET_SECONDS,
+    HISTOGRAM_MAX_BUCKETS,
+    LATEST_SNAPSHOT_KEY,
+    PERCENTILES,
+} from '../config/analytics.js';
+import { LEVEL_RULES } from '../config/levels.js';
+import { s3Client } from './clients.js';
+import { moderationStatus } from './moderation.js';
+
+let cachedSnapshot;
+let cachedAt = 0;
+
+/**
+ * @typedef {Object} PlayerRecord
+ * @property {string} username
+ * @property {number} coinsCollected
+ * @property {number} enemiesDefeated
+ * @property {number[]} levelsCompleted - In ascending order.
+ * @property {Object<string, number[]>} fastestTimes - Each level's fastest times, fastest first.
+ * @property {(string|null)} moderation - The player's moderation status.
+ */
+
+/**
+ * Reads a `player-stats` item into the shape used by the analytics and exports, tolerating items written
+ * before the stats were validated.
+ *
+ * @param {object} stats - A `player-stats` item.
+ * @param {object} [moderation] - The player's `moderation` item, if any.
+ * @returns {PlayerRecord}
+ */
+export const toPlayerRecord = (stats, moderation) => {
+    const fastestTimes = {};
+    const times = stats["fastest-times"];
+    if (times && typeof times === "object") {
+        for (const [level, levelTimes] of Object.entries(times)) {
+            const valid = Array.isArray(levelTimes) ? levelTimes.map(Number).filter(Number.isFinite) : [];
+            if (valid.length > 0) {
+                fastestTimes[level] = valid.sort((a, b) => a - b);
+            }
+        }
+    }
+
+    return {
+        username: stats.username,
+        coinsCollected: Number(stats["coins-collected"] || 0),
+        enemiesDefeated: Number(stats["enemies-defeated"] || 0),
+        levelsCompleted: [...new Set([...(stats["levels-completed"] || [])].map(Number))].sort((a, b) => a - b),
+        fastestTimes,
+        moderation: moderationStatus(moderation) ?? null,
+    };
+};
+
+/**
+ * @param {number} value
+ * @returns {number} - The value rounded to two decimal places.
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Describes the distribution of a level's personal best times.
+ *
+ * Percentiles use the nearest-rank method, so each is one of the times. Histogram buckets cover
+ * `[from, to)`, from the bucket holding the fastest time to the one holding the slowest, including empty
+ * buckets in between. Past `HISTOGRAM_MAX_BUCKETS`, the last bucket has a `to` of null and holds every
+ * slower time.
+ *
+ * @param {number[]} times - The personal best of each player with a time on the level.
+ * @returns {object|null} - `count`, `min`, `max`, `mean`, `percentiles` by name (e.g. `p50`) and `histogram`,
+ * or null without times.
+ */
+const describeTimes = (times) => {
+    if (times.length === 0) {
+        return null;
+    }
+
+    const sorted = [...times].sort((a, b) => a - b);
+    const percentiles = Object.fromEntries(PERCENTILES.map((percentile) => [
+        `p${percentile}`,
+        sorted[Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1)],
+    ]));
+
+    const first = Math.floor(sorted[0] / HISTOGRAM_BUCKET_SECONDS);
+    const last = Math.min(Math.floor(sorted.at(-1) / HISTOGRAM_BUCKET_SECONDS), first + HISTOGRAM_MAX_BUCKETS - 1);
+    const overflow = sorted.at(-1) >= (last + 1) * HISTOGRAM_BUCKET_SECONDS;
+    const histogram = Array.from({ length: last - first + 1 }, (_, index) => ({
+        from: (first + index) * HISTOGRAM_BUCKET_SECONDS,
+        to: overflow && first + index === last ? null : (first + index + 1) * HISTOGRAM_BUCKET_SECONDS,
+        count: 0,
+    }));
+    for (const time of sorted) {
+        histogram[Math.min(Math.floor(time / HISTOGRAM_BUCKET_SECONDS), last) - first].count++;
+    }
+
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        max: sorted.at(-1),
+        mean: round(sorted.reduce((total, time) => total + time, 0) / sorted.length),
+        percentiles,
+        histogram,
+    };
+};
+
+/**
+ * Creates an accumulator of the analytics, fed one player at a time so a scan never holds more than a
+ * page of items. Only the personal best times are kept, one per player and level, for the percentiles.
+ *
+ * @returns {{ add: function(PlayerRecord): void, result: function(): object }}
+ */
+export const createAnalytics = () => {
+    let players = 0;
+    let excludedPlayers = 0;
+    let coins = 0;
+    let enemies = 0;
+    const completions = new Map();
+    const continued = new Map();
+    const bestTimes = new Map();
+    const count = (counts, level) => counts.set(level, (counts.get(level) || 0) + 1);
+
+    return {
+        add: (record) => {
+            if (record.moderation) {
+                excludedPlayers++;
+                return;
+            }
+            players++;
+            coins += record.coinsCollected;
+            enemies += record.enemiesDefeated;
+
+            const completed = new Set(record.levelsCompleted);
+            for (const level of completed) {
+                count(completions, level);
+                if (completed.has(level + 1)) {
+                    count(continued, level);
+                }
+            }
+            for (const [level, times] of Object.entries(record.fastestTimes)) {
+                if (!bestTimes.has(Number(level))) {
+                    bestTimes.set(Number(level), []);
+                }
+                bestTimes.get(Number(level)).push(times[0]);
+            }
+        },
+
+        result: () => {
+            // Every playable level is reported, even before anyone completes it
+            const levels = [...new Set([
+                ...Object.keys(LEVEL_RULES).map(Number),
+                ...completions.keys(),
+                ...bestTimes.keys(),
+            ])].sort((a, b) => a - b);
+
+            return {
+                players,
+                excludedPlayers,
+                averages: {
+                    coinsCollected: players > 0 ? round(coins / players) : 0,
+                    enemiesDefeated: players > 0 ? round(enemies / players) : 0,
+                },
+                levels: levels.map((level) => ({
+                    level,
+                    completions: completions.get(level) || 0,
+                    completionRate: players > 0 ? round((completions.get(level) || 0) / players) : 0,
+                    times: describeTimes(bestTimes.get(level) || []),
+                })),
+                dropOff: levels.filter((level) => levels.includes(level + 1)).map((level) => {
+                    const reached = completions.get(level) || 0;
+                    return {
+                        from: level,
+                        to: level + 1,
+                        players: reached,
+                        continued: continued.get(level) || 0,
+                        dropOffRate: reached > 0 ? round(1 - (continued.get(level) || 0) / reached) : 0,
+                    };
+                }),
+            };
+        },
+    };
+};
+
+/** Columns of the CSV export; the best time of each level in `config/levels.js` gets its own column. */
+const csvColumns = () => [
+    "username",
+    "coinsCollected",
+    "enemiesDefeated",
+    "levelsCompleted",
+    "moderation",
+    ...Object.keys(LEVEL_RULES).map((level) => `bestTimeLevel${level}`),
+];
+
+/**
+ * Quotes a CSV cell when needed, and defuses text a spreadsheet would run as a formula.
+ *
+ * @param {*} value - The cell value.
+ * @returns {string}
+ */
+const csvCell = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+/**
+ * Writes player records as CSV, with a header row. Levels completed are separated by semicolons; the full
+ * lists of fastest times are only in the NDJSON export.
+ *
+ * @param {PlayerRecord[]} records
+ * @returns {string}
+ */
+export const toCsv = (records) => {
+    const columns = csvColumns();
+    const rows = records.map((record) => [
+        record.username,
+        record.coinsCollected,
+        record.enemiesDefeated,
+        record.levelsCompleted.join(";"),
+        record.moderation,
+        ...Object.keys(LEVEL_RULES).map((level) => record.fastestTimes[level]?.[0]),
+    ]);
+    return [columns, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+};
+
+/**
+ * Writes player records as NDJSON: one JSON object per line.
+ *
+ * @param {PlayerRecord[]} records
+ * @returns {string}
+ */
+export const toNdjson = (records) => records.map((record) => `${JSON.stringify(record)}\n`).join("");
+
+/**
+ * Returns the latest snapshot, from the in-memory cache while it is fresh.
+ *
+ * @returns {Promise<object|undefined>} - The snapshot, or undefined if none was built yet.
+ */
+export const getLatestSnapshot = async () => {
+    const { bucket, cacheTtlMs } = getAnalyticsConfig();
+    if (cachedSnapshot && Date.now() - cachedAt < cacheTtlMs) {
+        return cachedSnapshot;
+    }
+
+    try {
+        const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: LATEST_SNAPSHOT_KEY }));
+        cachedSnapshot = JSON.parse(await response.Body.transformToString());
+    } catch (error) {
+        if (error.name === "NoSuchKey") {
+            return undefined;
+        }
+        throw error;
+    }
+    cachedAt = Date.now();
+    return cachedSnapshot;
+};
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Index of the asset files in the S3 bucket, by group and name.
+ *
+ * The index maps each group of `ASSET_PREFIXES` to its files by name, where the name is the file name
+ * without its extension: `{ characters: { blue: "characters/blue.png" }, spritesheets: { ... } }`. It is
+ * built by listing the bucket (following continuation tokens past 1000 keys) or read from a prebuilt
+ * manifest, and kept in memory for `ASSET_CACHE_TTL_SECONDS` so warm invocations skip S3 entirely. Cache hits
+ * and misses are counted in the `AssetCacheHits` and `AssetCacheMisses` metrics.
+ */
+
+import { GetObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { ASSET_PREFIXES, getAssetConfig } from '../config/assets.js';
+import { s3Client } from './clients.js';
+import { putMetric } from './instrumentation.js';
+
+let cachedIndex;
+let cachedAt = 0;
+
+/**
+ * Lists every file under a prefix.
+ *
+ * @param {string} bucket - The bucket name.
+ * @param {string} prefix - The folder prefix.
+ * @returns {Promise<Object<string, string>>} - Keys by file name without extension.
+ */
+const listPrefix = async (bucket, prefix) => {
+    const files = {};
+    let ContinuationToken;
+
+    do {
+        const response = await s3Client.send(new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken,
+        }));
+
+        // Filter out folder-like objects (keys ending with '/')
+        for (const { Key } of response.Contents || []) {
+            if (Key && !Key.endsWith("/")) {
+                files[Key.split("/").pop().split(".").shift()] = Key; // 'blue' from 'characters/blue.png'
+            }
+        }
+        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return files;
+};
+
+/**
+ * Builds the index by listing every asset group in the bucket.
+ *
+ * @param {string} [bucket] - The bucket name (defaults to `ASSET_BUCKET`).
+ * @returns {Promise<Object<string, Object<string, string>>>}
+ */
+export const listAssets = async (bucket = getAssetConfig().bucket) => {
+    const groups = Object.entries(ASSET_PREFIXES);
+    const files = await Promise.all(groups.map(([, prefix]) => listPrefix(bucket, prefix)));
+    return Object.fromEntries(groups.map(([group], index) => [group, files[index]]));
+};
+
+/**
+ * Reads the prebuilt manifest.
+ *
+ * @param {string} bucket - The bucket name.
+ * @param {string} key - The manifest key.
+ * @returns {Promise<Object<string, Object<string, string>>>}
+ */
+const readManifest = async (bucket, key) => {
+    const response = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    const manifest = JSON.parse(await response.Body.transformToString());
+    return Object.fromEntries(Object.keys(ASSET_PREFIXES).map((group) => [group, manifest[group] || {}]));
+};
+
+/**
+ * Returns the asset index, from the in-memory cache while it is fresh.
+ *
+ * @returns {Promise<Object<string, Object<string, string>>>}
+ */
+export const getAssetIndex = async () => {
+    const { bucket, manifestKey, cacheTtlMs } = getAssetConfig();
+    if (cachedIndex && Date.now() - cachedAt < cacheTtlMs) {
+        putMetric("AssetCacheHits");
+        return cachedIndex;
+    }
+    putMetric("AssetCacheMisses");
+
+    cachedIndex = manifestKey ? await readManifest(bucket, manifestKey) : await listAssets(bucket);
+    cachedAt = Date.now();
+    return cachedIndex;
+};
+
+/**
+ * Finds the key of a named asset.
+ *
+ * @param {string} group - One of the `ASSET_PREFIXES` groups.
+ * @param {string} name - The file name without extension, e.g. a character colour.
+ * @returns {Promise<string|undefined>}
+ */
+export const findAsset = async (group, name) => {
+    const files = (await getAssetIndex())[group];
+    return Object.hasOwn(files, name) ? files[name] : undefined;
+};
+
+/**
+ * @param {string} key - An object key in the asset bucket.
+ * @returns {string} - The CloudFront URL of the object.
+ */
+export const assetUrl = (key) => `${getAssetConfig().cdnDomain}/${key}`;
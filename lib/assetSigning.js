@@ -0,0 +1,115 @@
+/**
+ * @fileoverview CloudFront signed URLs and signed cookies for the game assets.
+ *
+ * Which assets are signed, and for how long, is set by `ASSET_ACCESS_POLICIES` in `config/assets.js`.
+ * Signing uses the key pair from `getSigningConfig()`; without a key pair ID every asset is returned as a
+ * plain, non-expiring URL.
+ */
+
+import { getSignedCookies, getSignedUrl } from '@aws-sdk/cloudfront-signer';
+import {
+    ASSET_ACCESS_POLICIES,
+    SIGNED_COOKIE_PREFIX,
+    SIGNED_COOKIE_TTL_SECONDS,
+    getAssetConfig,
+    getSigningConfig,
+} from '../config/assets.js';
+import { assetUrl } from './assetIndex.js';
+
+/**
+ * @typedef {Object} AssetLink
+ * @property {string} url - The URL to fetch the asset from.
+ * @property {string|null} expiresAt - ISO 8601 time the URL stops working, or `null` if it does not expire.
+ */
+
+/**
+ * Returns the signing credentials, or undefined when signing is disabled.
+ *
+ * @returns {{ keyPairId: string, privateKey: string }|undefined}
+ * @throws {Error} - If a key pair ID is configured without its private key.
+ */
+const signingCredentials = () => {
+    const { keyPairId, privateKey } = getSigningConfig();
+    if (!keyPairId) {
+        return undefined;
+    }
+    if (!privateKey) {
+        throw new Error("CDN_PRIVATE_KEY must be configured when CDN_KEY_PAIR_ID is set");
+    }
+    return { keyPairId, privateKey };
+};
+
+/**
+ * @param {string} key - An object key in the asset bucket.
+ * @returns {{ access: string, expiresInSeconds?: number }} - The first access policy matching the key.
+ */
+export const accessPolicy = (key) =>
+    ASSET_ACCESS_POLICIES.find(({ prefix }) => key.startsWith(prefix)) || { access: "public" };
+
+/**
+ * Builds the URL of an asset, signed if its access policy requires it.
+ *
+ * @param {string} key - An object key in the asset bucket.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {AssetLink}
+ */
+export const assetLink = (key, now = Date.now()) => {
+    const url = assetUrl(key);
+    const policy = accessPolicy(key);
+    const credentials = policy.access === "signed" ? signingCredentials() : undefined;
+
+    if (!credentials) {
+        return { url, expiresAt: null };
+    }
+
+    const expiresAt = new Date(now + policy.expiresInSeconds * 1000);
+    return {
+        url: getSignedUrl({ url, dateLessThan: expiresAt, ...credentials }),
+        expiresAt: expiresAt.toISOString(),
+    };
+};
+
+/**
+ * Returns the earliest expiry of a set of links, i.e. when the client should fetch them again.
+ *
+ * @param {AssetLink[]} links
+ * @returns {string|null}
+ */
+export const earliestExpiry = (links) =>
+    links.map(({ expiresAt }) => expiresAt).filter(Boolean).sort()[0] ?? null;
+
+/**
+ * Builds `Set-Cookie` values granting access to the assets under `SIGNED_COOKIE_PREFIX` until they expire.
+ *
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {{ cookies: string[], expiresAt: string }|undefined} - Undefined when signing is disabled.
+ */
+export const assetCookies = (now = Date.now()) => {
+    const credentials = signingCredentials();
+    if (!credentials) {
+        return undefined;
+    }
+
+    const expiresAt = new Date(now + SIGNED_COOKIE_TTL_SECONDS * 1000);
+    const policy = JSON.stringify({
+        Statement: [{
+            Resource: `${getAssetConfig().cdnDomain}/${SIGNED_COOKIE_PREFIX}*`,
+            Condition: { DateLessThan: { "AWS:EpochTime": Math.floor(expiresAt.getTime() / 1000) } },
+        }],
+    });
+    const { cookieDomain } = getSigningConfig();
+    const attributes = [
+        ...(cookieDomain ? [`Domain=${cookieDomain}`] : []),
+        "Path=/",
+        `Expires=${expiresAt.toUTCString()}`,
+        "Secure",
+        "HttpOnly",
+        "SameSite=None",
+    ].join("; ");
+
+    return {
+        cookies: Object.entries(getSignedCookies({ policy, ...credentials }))
+            .map(([name, value]) => `${name}=${value}; ${attributes}`),
+        expiresAt: expiresAt.toISOString(),
+    };
+};
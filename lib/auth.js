@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Bearer JWT authentication shared by the player handlers.
+ *
+ * Tokens are RS256 JWTs, such as Cognito user pool ID or access tokens, verified against a JSON Web Key
+ * Set. Configuration comes from the environment:
+ *
+ * - `JWKS_URL`: URL of the key set, e.g. `https://cognito-idp.<region>.amazonaws.com/<pool>/.well-known/jwks.json`.
+ * - `JWKS_FILE`: Path of a local key set file, used instead of `JWKS_URL` (local development and tests).
+ * - `JWT_ISSUER`: Expected `iss` claim (optional).
+ * - `JWT_AUDIENCE`: Expected `aud` claim, or `client_id` for Cognito access tokens (optional).
+ * - `JWT_USERNAME_CLAIM`: Claim holding the username (default: `cognito:username`, then `username`).
+ * - `ADMIN_GROUP`: Cognito group granting admin rights (default `admin`).
+ * - `ADMIN_SCOPE`: OAuth scope granting admin rights (default `spacedash/admin`).
+ */
+
+import { createPublicKey, verify } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { HttpError } from './http.js';
+import { setLogContext } from './instrumentation.js';
+
+/** How long a fetched key set is reused before it is fetched again. */
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+/** Minimum time between key set fetches forced by an unknown key ID. */
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+
+/** Allowed clock difference when checking `exp` and `nbf`. */
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Error raised when a request is not authenticated (401) or not allowed to act on a user (403).
+ */
+export class AuthError extends HttpError {
+    /**
+     * @param {number} statusCode - 401 or 403.
+     * @param {string} message - Description returned to the client.
+     */
+    constructor(statusCode, message) {
+        super(statusCode, message, {
+            headers: statusCode === 401 ? { "WWW-Authenticate": "Bearer" } : undefined,
+        });
+        this.name = "AuthError";
+    }
+}
+
+let cachedKeys;
+let cachedAt = 0;
+
+/**
+ * Loads the key set, reusing it across invocations of a warm Lambda.
+ *
+ * @param {boolean} [refresh] - Ignore the cached key set, e.g. after a key rotation.
+ * @returns {Promise<object[]>} - The JWKs.
+ */
+const loadKeys = async (refresh = false) => {
+    if (cachedKeys && !refresh && Date.now() - cachedAt < JWKS_CACHE_TTL_MS) {
+        return cachedKeys;
+    }
+
+    let jwks;
+    if (process.env.JWKS_FILE) {
+        jwks = JSON.parse(await readFile(process.env.JWKS_FILE, "utf8"));
+    } else if (process.env.JWKS_URL) {
+        const response = await fetch(process.env.JWKS_URL);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch JWKS: HTTP ${response.status}`);
+        }
+        jwks = await response.json();
+    } else {
+        throw new Error("JWKS_URL or JWKS_FILE must be configured");
+    }
+
+    cachedKeys = jwks.keys || [];
+    cachedAt = Date.now();
+    return cachedKeys;
+};
+
+/**
+ * Finds the verification key for a key ID, fetching the key set again if the ID is unknown.
+ *
+ * Any client can send a token with a made-up `kid`, so the forced fetch happens at most once per
+ * `JWKS_REFRESH_INTERVAL_MS`; a key rotated in since then is found on a later request.
+ *
+ * @param {string} kid - The `kid` from the token header.
+ * @returns {Promise<object|undefined>} - The JWK.
+ */
+const findKey = async (kid) => {
+    const key = (await loadKeys()).find((jwk) => jwk.kid === kid);
+    if (key || Date.now() - cachedAt < JWKS_REFRESH_INTERVAL_MS) {
+        return key;
+    }
+    return (await loadKeys(true)).find((jwk) => jwk.kid === kid);
+};
+
+/**
+ * @param {string} segment - A base64url encoded JWT segment.
+ * @returns {object}
+ * @throws {Error} - If the segment is not a JSON object.
+ */
+const decodeSegment = (segment) => {
+    const value = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+    if (value === null || typeof value !== "object" || Array.isArray(value)) {
+        throw new Error("Token segment is not a JSON object");
+    }
+    return value;
+};
+
+/**
+ * Verifies a JWT's signature and standard claims.
+ *
+ * @param {string} token - The compact JWT.
+ * @returns {Promise<object>} - The verified claims.
+ * @throws {AuthError} - 401 if the token is malformed, badly signed, expired or for another issuer or audience.
+ */
+export const verifyToken = async (token) => {
+    const segments = token.split(".");
+    if (segments.length !== 3) {
+        throw new AuthError(401, "Malformed token.");
+    }
+
+    let header;
+    let claims;
+    try {
+        header = decodeSegment(segments[0]);
+        claims = decodeSegment(segments[1]);
+    } catch {
+        throw new AuthError(401, "Malformed token.");
+    }
+
+    if (header.alg !== "RS256") {
+        throw new AuthError(401, "Unsupported token algorithm.");
+    }
+
+    const jwk = await findKey(header.kid);
+    if (!jwk) {
+        throw new AuthError(401, "Unknown signing key.");
+    }
+
+    const signed = Buffer.from(`${segments[0]}.${segments[1]}`);
+    const signature = Buffer.from(segments[2], "base64url");
+    if (!verify("RSA-SHA256", signed, createPublicKey({ key: jwk, format: "jwk" }), signature)) {
+        throw new AuthError(401, "Invalid token signature.");
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== "number" || claims.exp + CLOCK_SKEW_SECONDS < now) {
+        throw new AuthError(401, "Token has expired.");
+    }
+    if (typeof claims.nbf === "number" && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+        throw new AuthError(401, "Token is not yet valid.");
+    }
+    if (process.env.JWT_ISSUER && claims.iss !== process.env.JWT_ISSUER) {
+        throw new AuthError(401, "Token issuer is not trusted.");
+    }
+    if (process.env.JWT_AUDIENCE) {
+        const audiences = [claims.aud, claims.client_id].flat();
+        if (!audiences.includes(process.env.JWT_AUDIENCE)) {
+            throw new AuthError(401, "Token audience is not accepted.");
+        }
+    }
+
+    return claims;
+};
+
+/**
+ * @typedef {Object} Identity
+ * @property {string} username - The caller's username.
+ * @property {boolean} isAdmin - Whether the caller may act on any user.
+ * @property {object} claims - All verified token claims.
+ */
+
+/**
+ * Authenticates the caller of an API Gateway request from its `Authorization: Bearer` header.
+ *
+ * @param {object} req - The request (see `lib/http.js`) or raw API Gateway event.
+ * @returns {Promise<Identity>}
+ * @throws {AuthError} - 401 if the header is missing or the token is not valid.
+ */
+export const authenticate = async (req) => {
+    const headers = req.headers || {};
+    const authorization = headers.Authorization ?? headers.authorization;
+    const [scheme, token] = (authorization || "").split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+        throw new AuthError(401, "Missing bearer token.");
+    }
+
+    const claims = await verifyToken(token);
+    const username = process.env.JWT_USERNAME_CLAIM
+        ? claims[process.env.JWT_USERNAME_CLAIM]
+        : claims["cognito:username"] ?? claims.username;
+
+    if (!username) {
+        throw new AuthError(401, "Token has no username.");
+    }
+
+    setLogContext({ username });
+
+    const groups = claims["cognito:groups"] || [];
+    const scopes = (claims.scope || "").split(" ");
+
+    return {
+        username,
+        isAdmin: groups.includes(process.env.ADMIN_GROUP || "admin") ||
+            scopes.includes(process.env.ADMIN_SCOPE || "spacedash/admin"),
+        claims,
+    };
+};
+
+/**
+ * Resolves the user a request acts on and checks the caller is allowed to act on them.
+ *
+ * @param {Identity} identity - The authenticated caller.
+ * @param {string} [username] - The username requested by the client; defaults to the caller.
+ * @returns {string} - The username to act on.
+ * @throws {AuthError} - 403 if a non-admin caller requests another user.
+ */
+export const authorizeUser = (identity, username) => {
+    const target = username || identity.username;
+    if (target !== identity.username && !identity.isAdmin) {
+        throw new AuthError(403, "Not allowed to access another user's data.");
+    }
+    return target;
+};
+
+/**
+ * Checks the caller has admin rights, for moderation operations.
+ *
+ * @param {Identity} identity - The authenticated caller.
+ * @returns {string} - The caller's username, recorded as the actor of the change.
+ * @throws {AuthError} - 403 if the caller is not an admin.
+ */
+export const requireAdmin = (identity) => {
+    if (!identity.isAdmin) {
+        throw new AuthError(403, "Admin rights are required.");
+    }
+    return identity.username;
+};
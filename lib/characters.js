@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Character catalogue entries and unlock checks against a player's stats.
+ *
+ * Signed character assets (see `ASSET_ACCESS_POLICIES` in `config/assets.js`) are premium or unlockable
+ * skins, so their URLs are only signed for players who have unlocked the character.
+ */
+
+import { CHARACTERS } from '../config/characters.js';
+import { accessPolicy, assetLink, earliestExpiry } from './assetSigning.js';
+import { HttpError } from './http.js';
+
+/**
+ * Reads the stats that unlock requirements refer to from a `player-stats` item.
+ *
+ * @param {object} [stats] - The player's `player-stats` item.
+ * @returns {{ coinsCollected: number, enemiesDefeated: number, levelsCompleted: number }}
+ */
+export const unlockStats = (stats = {}) => ({
+    coinsCollected: stats["coins-collected"] || 0,
+    enemiesDefeated: stats["enemies-defeated"] || 0,
+    levelsCompleted: new Set(stats["levels-completed"] || []).size,
+});
+
+/**
+ * Checks a character's unlock requirements against a player's stats.
+ *
+ * @param {import('../config/characters.js').Character} character - The catalogue entry.
+ * @param {object} [stats] - The player's `player-stats` item.
+ * @returns {{ unlocked: boolean, progress: Object<string, { current: number, required: number }> }}
+ */
+export const unlockStatus = (character, stats) => {
+    const current = unlockStats(stats);
+    const progress = Object.fromEntries(
+        Object.entries(character.requires)
+            .map(([stat, required]) => [stat, { current: current[stat] ?? 0, required }])
+    );
+
+    return {
+        unlocked: Object.values(progress).every(({ current, required }) => current >= required),
+        progress,
+    };
+};
+
+/**
+ * Checks that a player may select a character.
+ *
+ * @param {*} colour - The requested colour.
+ * @param {object} [stats] - The player's `player-stats` item.
+ * @returns {void}
+ * @throws {HttpError} - 400 for a missing or unknown colour, and 403 with the player's `progress` in
+ * `details` for a locked character.
+ */
+export const assertSelectable = (colour, stats) => {
+    if (!colour || typeof colour !== "string") {
+        throw new HttpError(400, "Colour is required.");
+    }
+    if (!Object.hasOwn(CHARACTERS, colour)) {
+        throw new HttpError(400, `Unknown character colour "${colour}".`);
+    }
+
+    const { unlocked, progress } = unlockStatus(CHARACTERS[colour], stats);
+    if (!unlocked) {
+        throw new HttpError(403, `Character "${colour}" is locked.`, {
+            code: "character_locked",
+            details: { progress },
+        });
+    }
+};
+
+/**
+ * Checks that a player may fetch a spritesheet.
+ *
+ * Public spritesheets are available to every player. A signed one must belong to a catalogue character
+ * the player has unlocked.
+ *
+ * @param {string} colour - The spritesheet's colour.
+ * @param {string} key - The spritesheet's key in the asset bucket.
+ * @param {object} [stats] - The player's `player-stats` item.
+ * @returns {void}
+ * @throws {HttpError} - 403 for a signed spritesheet outside the catalogue, and 403 with the player's
+ * `progress` in `details` for a locked character.
+ */
+export const assertSpritesheetAccess = (colour, key, stats) => {
+    if (accessPolicy(key).access !== "signed") {
+        return;
+    }
+    if (!Object.hasOwn(CHARACTERS, colour) || CHARACTERS[colour].spritesheet !== key) {
+        throw new HttpError(403, `Spritesheet "${colour}" is not available.`);
+    }
+
+    const { unlocked, progress } = unlockStatus(CHARACTERS[colour], stats);
+    if (!unlocked) {
+        throw new HttpError(403, `Character "${colour}" is locked.`, {
+            code: "character_locked",
+            details: { progress },
+        });
+    }
+};
+
+/**
+ * Builds the catalogue as returned to the client, marking what the player has unlocked.
+ *
+ * Asset URLs are signed according to their access policy. The URLs of signed assets are `null` for
+ * locked characters; public ones, such as the portraits, are always returned. `urlsExpireAt` is the
+ * earliest expiry of a character's URLs, or `null` if none expire.
+ *
+ * @param {object} [stats] - The player's `player-stats` item.
+ * @returns {object[]}
+ */
+export const buildCatalogue = (stats) =>
+    Object.entries(CHARACTERS).map(([colour, character]) => {
+        const status = unlockStatus(character, stats);
+        const link = (key) => (status.unlocked || accessPolicy(key).access !== "signed"
+            ? assetLink(key)
+            : { url: null, expiresAt: null });
+        const portrait = link(character.portrait);
+        const spritesheet = link(character.spritesheet);
+        return {
+            colour,
+            displayName: character.displayName,
+            portraitUrl: portrait.url,
+            spritesheetUrl: spritesheet.url,
+            urlsExpireAt: earliestExpiry([portrait, spritesheet]),
+            frame: character.frame,
+            requires: character.requires,
+            ...status,
+        };
+    });
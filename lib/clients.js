@@ -0,0 +1,91 @@
+/**
+ * @fileoverview DynamoDB and S3 clients shared by the handlers.
+ *
+ * Clients are created on first use, from the environment:
+ *
+ * - `DYNAMODB_ENDPOINT`: DynamoDB endpoint, e.g. `http://localhost:8000` for DynamoDB Local.
+ * - `S3_ENDPOINT`: S3 endpoint, e.g. `http://localhost:9000` for an S3-compatible server such as MinIO.
+ *   Path-style addressing is used with a custom endpoint.
+ *
+ * Without either, the clients talk to AWS as usual. Tests and the local CLI replace the clients with
+ * in-memory fakes through {@link setClientFactories} (see `local/`).
+ */
+
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocument } from '@aws-sdk/lib-dynamodb';
+import { S3Client } from '@aws-sdk/client-s3';
+import { getAssetConfig } from '../config/assets.js';
+import { recordConsumedCapacity } from './instrumentation.js';
+
+/**
+ * @typedef {Object} ClientFactories
+ * @property {function(): object} [dynamo] - Creates the DynamoDB document client.
+ * @property {function(): object} [s3] - Creates the S3 client.
+ */
+
+/** @type {ClientFactories} */
+const DEFAULT_FACTORIES = {
+    dynamo: () => DynamoDBDocument.from(new DynamoDB({
+        ...(process.env.DYNAMODB_ENDPOINT && { endpoint: process.env.DYNAMODB_ENDPOINT }),
+    })),
+    s3: () => new S3Client({
+        region: getAssetConfig().region,
+        ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT, forcePathStyle: true }),
+    }),
+};
+
+/** Document client methods used by the handlers. */
+const DOCUMENT_METHODS = ["get", "put", "update", "delete", "query", "scan", "batchGet", "batchWrite", "transactWrite"];
+
+let factories = DEFAULT_FACTORIES;
+let clients = {};
+
+/**
+ * @param {string} name - `dynamo` or `s3`.
+ * @returns {object} - The client, created on first use.
+ */
+const client = (name) => {
+    clients[name] ??= factories[name]();
+    return clients[name];
+};
+
+/**
+ * Replaces the client factories; factories that are not given revert to the defaults. Clients already
+ * created are discarded.
+ *
+ * @param {ClientFactories} [overrides]
+ * @returns {void}
+ */
+export const setClientFactories = (overrides = {}) => {
+    factories = { ...DEFAULT_FACTORIES, ...overrides };
+    clients = {};
+};
+
+/**
+ * The DynamoDB document client. Each method forwards to the current client, asking for the capacity the
+ * call consumed so it can be logged with the invocation (see `lib/instrumentation.js`).
+ */
+export const dynamo = Object.fromEntries(DOCUMENT_METHODS.map((method) => [method, async (params) => {
+    const result = await client("dynamo")[method]({ ReturnConsumedCapacity: "TOTAL", ...params });
+    recordConsumedCapacity(result?.ConsumedCapacity);
+    return result;
+}]));
+
+/**
+ * The S3 client. `send` forwards to the current client.
+ */
+export const s3Client = {
+    send: (command) => client("s3").send(command),
+};
+
+/**
+ * Reads the reason each item of a cancelled transaction failed.
+ *
+ * @param {Error} error - The error thrown by `transactWrite`.
+ * @returns {string[]|undefined} - The cancellation reason codes, in the order of the transaction's items,
+ * or undefined if the error is not a cancelled transaction.
+ */
+export const cancellationReasons = (error) =>
+    error.name === "TransactionCanceledException"
+        ? (error.CancellationReasons || []).map((reason) => reason?.Code)
+        : undefined;
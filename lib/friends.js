@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Friendships kept in the `player-friends` table.
+ *
+ * A friendship or pending request is stored twice, once under each player (`username` partition key,
+ * `friend` sort key), so either side can list it with one query. The two items are always written
+ * together in a transaction. Their `status` is `outgoing` for the player who sent a pending request,
+ * `incoming` for the player who received it, and `accepted` on both sides once it is accepted. The
+ * `friend-username-index` global secondary index (`friend` partition key, `username` sort key) finds the
+ * items stored under other players about a player, for account export and deletion.
+ *
+ * The number of requests waiting for a player's answer is counted in the `incoming-requests` attribute of
+ * their `spacedash-user` item. Sending a request increments it with a conditional write that fails once it
+ * reaches `MAX_INCOMING_REQUESTS`, so other players cannot flood an inbox; accepting, declining, cancelling
+ * or deleting the sender's account releases the request.
+ */
+
+export const FRIENDS_TABLE_NAME = "player-friends";
+export const FRIEND_INDEX_NAME = "friend-username-index";
+
+/** Maximum number of friends and pending requests per player. */
+export const MAX_FRIENDS = 200;
+
+/** Maximum number of pending requests a player can receive before answering some. */
+export const MAX_INCOMING_REQUESTS = 50;
+
+/** Attribute of the `spacedash-user` item counting the player's pending incoming requests. */
+export const INCOMING_REQUESTS_ATTRIBUTE = "incoming-requests";
+
+export const FRIEND_STATUS = {
+    outgoing: "outgoing",
+    incoming: "incoming",
+    accepted: "accepted",
+};
+
+/**
+ * Reads all of a player's friendships and pending requests.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @returns {Promise<object[]>} - The `player-friends` items.
+ */
+export const listFriendItems = async (dynamo, username) => {
+    const items = [];
+    let ExclusiveStartKey;
+
+    do {
+        const result = await dynamo.query({
+            TableName: FRIENDS_TABLE_NAME,
+            KeyConditionExpression: "username = :username",
+            ExpressionAttributeValues: { ":username": username },
+            ExclusiveStartKey,
+        });
+        items.push(...(result.Items || []));
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return items;
+};
+
+/**
+ * Reads the usernames of a player's accepted friends.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @returns {Promise<string[]>}
+ */
+export const listFriends = async (dynamo, username) =>
+    (await listFriendItems(dynamo, username))
+        .filter((item) => item.status === FRIEND_STATUS.accepted)
+        .map((item) => item.friend);
+
+/**
+ * Builds the transaction item that counts a new request against the receiver's inbox. It fails if the
+ * receiver is not registered or already has `MAX_INCOMING_REQUESTS` pending requests.
+ *
+ * @param {string} userTable - The `spacedash-user` table name.
+ * @param {string} receiver - The player receiving the request.
+ * @returns {object} - A `TransactWriteItems` item.
+ */
+export const reserveIncomingRequest = (userTable, receiver) => ({
+    Update: {
+        TableName: userTable,
+        Key: { username: receiver },
+        UpdateExpression: "ADD #incoming :one",
+        ConditionExpression: "attribute_exists(username) AND (attribute_not_exists(#incoming) OR #incoming < :max)",
+        ExpressionAttributeNames: { "#incoming": INCOMING_REQUESTS_ATTRIBUTE },
+        ExpressionAttributeValues: { ":one": 1, ":max": MAX_INCOMING_REQUESTS },
+    },
+});
+
+/**
+ * Releases a pending request from the receiver's count once it is answered or withdrawn.
+ *
+ * The count never drops below zero, so requests sent before it was kept are not released twice, and
+ * nothing is written for a receiver without an account.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} userTable - The `spacedash-user` table name.
+ * @param {string} receiver - The player who received the request.
+ * @returns {Promise<void>}
+ */
+export const releaseIncomingRequest = async (dynamo, userTable, receiver) => {
+    try {
+        await dynamo.update({
+            TableName: userTable,
+            Key: { username: receiver },
+            UpdateExpression: "ADD #incoming :minusOne",
+            ConditionExpression: "#incoming > :zero",
+            ExpressionAttributeNames: { "#incoming": INCOMING_REQUESTS_ATTRIBUTE },
+            ExpressionAttributeValues: { ":minusOne": -1, ":zero": 0 },
+        });
+    } catch (error) {
+        if (error.name !== "ConditionalCheckFailedException") {
+            throw error;
+        }
+    }
+};
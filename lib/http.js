@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Shared HTTP layer for the API Gateway Lambdas.
+ *
+ * {@link createHandler} turns per-method operations into a Lambda handler, and {@link createHttpHandler}
+ * does the same for handlers serving several resources (see `lib/router.js`). Both normalise the event,
+ * answer CORS preflight requests, reject unsupported methods, and serialise results and errors into
+ * consistent JSON envelopes:
+ *
+ * - Success: `{ "message"?: string, "data": any, "meta"?: object, "requestId": string }`
+ * - Error: `{ "error": { "code": string, "message": string, "details"?: any }, "requestId": string }`
+ *
+ * Allowed CORS origins come from the comma-separated `ALLOWED_ORIGINS` environment variable (default `*`).
+ *
+ * Every handler is instrumented (see `lib/instrumentation.js`): its logs carry the request ID and route, and
+ * each request records `4xxErrors` and `5xxErrors` metrics.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { instrument, log, putMetric, setLogContext, traceHeaders } from './instrumentation.js';
+
+const ERROR_CODES = {
+    400: "bad_request",
+    401: "unauthorized",
+    403: "forbidden",
+    404: "not_found",
+    405: "method_not_allowed",
+    409: "conflict",
+    413: "payload_too_large",
+    415: "unsupported_media_type",
+    422: "unprocessable_entity",
+    429: "too_many_requests",
+    500: "internal_error",
+};
+
+/**
+ * Error carrying the HTTP status and body to return to the client. Any other error thrown by an
+ * operation is logged and returned as a generic 500.
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} statusCode - The HTTP status code.
+     * @param {string} message - Description returned to the client.
+     * @param {object} [options]
+     * @param {string} [options.code] - Machine readable error code (defaults from the status code).
+     * @param {*} [options.details] - Extra information returned to the client, e.g. validation failures.
+     * @param {object} [options.headers] - Extra response headers, e.g. `Retry-After`.
+     */
+    constructor(statusCode, message, { code, details, headers } = {}) {
+        super(message);
+        this.name = "HttpError";
+        this.statusCode = statusCode;
+        this.code = code || ERROR_CODES[statusCode] || "error";
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+/**
+ * @typedef {Object} Request
+ * @property {string} method - The HTTP method.
+ * @property {string} path - The request path.
+ * @property {Object<string, string>} headers - Request headers, with lower-case names.
+ * @property {Object<string, string>} query - Query string parameters.
+ * @property {Object<string, string>} params - Path parameters.
+ * @property {*} body - The parsed JSON body, the raw body as a Buffer for non-JSON content, or undefined.
+ * @property {string} [sourceIp] - The caller's IP address, as seen by API Gateway.
+ * @property {string} requestId - ID of the request, returned in the `X-Request-Id` header.
+ * @property {object} event - The original API Gateway event.
+ */
+
+/**
+ * @param {object} event - The API Gateway event.
+ * @param {object} [context] - The Lambda context.
+ * @returns {string} - The API Gateway request ID, falling back to the Lambda request ID.
+ */
+const requestIdOf = (event, context) =>
+    event.requestContext?.requestId ?? context?.awsRequestId ?? randomUUID();
+
+/**
+ * Normalises an API Gateway REST (v1) or HTTP API (v2) event.
+ *
+ * @param {object} event - The API Gateway event.
+ * @param {object} [context] - The Lambda context.
+ * @returns {Request}
+ * @throws {HttpError} - 400 if a JSON body cannot be parsed.
+ */
+export const parseRequest = (event, context) => {
+    const headers = Object.fromEntries(
+        Object.entries(event.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+
+    let body;
+    if (event.body) {
+        const raw = Buffer.from(event.body, event.isBase64Encoded ? "base64" : "utf8");
+        const contentType = headers["content-type"] || "application/json";
+        if (contentType.includes("json")) {
+            try {
+                body = JSON.parse(raw.toString("utf8"));
+            } catch {
+                throw new HttpError(400, "Request body is not valid JSON.");
+            }
+        } else {
+            body = raw;
+        }
+    }
+
+    return {
+        method: event.httpMethod ?? event.requestContext?.http?.method,
+        path: event.path ?? event.rawPath,
+        headers,
+        query: event.queryStringParameters || {},
+        params: event.pathParameters || {},
+        body,
+        sourceIp: event.requestContext?.identity?.sourceIp ?? event.requestContext?.http?.sourceIp,
+        requestId: requestIdOf(event, context),
+        event,
+    };
+};
+
+/**
+ * Builds the CORS headers for a request.
+ *
+ * @param {string} [origin] - The request's `Origin` header.
+ * @param {string[]} methods - The methods supported by the resource.
+ * @returns {object}
+ */
+export const corsHeaders = (origin, methods) => {
+    const allowedOrigins = (process.env.ALLOWED_ORIGINS || "*").split(",").map((entry) => entry.trim());
+    const headers = {
+        "Access-Control-Allow-Methods": [...new Set([...methods, "OPTIONS"])].join(","),
+        "Access-Control-Allow-Headers": "Content-Type, Authorization",
+        "Access-Control-Expose-Headers": "X-Request-Id, Retry-After",
+    };
+
+    if (allowedOrigins.includes("*")) {
+        headers["Access-Control-Allow-Origin"] = "*";
+    } else {
+        headers["Vary"] = "Origin";
+        if (origin && allowedOrigins.includes(origin)) {
+            // Explicitly allowed origins may receive cookies, e.g. the signed asset cookies
+            headers["Access-Control-Allow-Origin"] = origin;
+            headers["Access-Control-Allow-Credentials"] = "true";
+        }
+    }
+
+    return headers;
+};
+
+/**
+ * Builds a JSON response.
+ *
+ * @param {number} statusCode - The HTTP status code.
+ * @param {*} body - The response body; omitted when undefined.
+ * @param {object} [headers] - Response headers.
+ * @returns {object} - The API Gateway response object.
+ */
+export const jsonResponse = (statusCode, body, headers = {}) => ({
+    statusCode,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: body === undefined ? "" : JSON.stringify(body),
+});
+
+/**
+ * Converts an error thrown by an operation into an error envelope.
+ *
+ * @param {Error} error - The thrown error.
+ * @param {Request} req - The request being handled.
+ * @param {object} headers - The response headers (CORS and request ID).
+ * @returns {object} - The API Gateway response object.
+ */
+export const errorResponse = (error, req, headers) => {
+    if (!(error instanceof HttpError)) {
+        log.error("Unhandled error", { method: req.method, path: req.path, error });
+        error = new HttpError(500, "Internal server error.");
+    }
+
+    return jsonResponse(error.statusCode, {
+        error: {
+            code: error.code,
+            message: error.message,
+            ...(error.details !== undefined && { details: error.details }),
+        },
+        requestId: req.requestId,
+    }, { ...headers, ...error.headers });
+};
+
+/**
+ * @typedef {Object} OperationResult
+ * @property {number} [statusCode] - Defaults to 200, or 204 when there is no data.
+ * @property {string} [message] - A human readable summary.
+ * @property {*} [data] - The response payload.
+ * @property {object} [meta] - Information about the payload, e.g. when its URLs expire.
+ * @property {object} [headers] - Extra response headers.
+ * @property {string[]} [cookies] - `Set-Cookie` values.
+ */
+
+/**
+ * Wraps an operation's result in a success envelope.
+ *
+ * @param {OperationResult} result - The operation's result.
+ * @param {Request} req - The request being handled.
+ * @param {object} headers - The response headers (CORS and request ID).
+ * @returns {object} - The API Gateway response object.
+ */
+export const successResponse = (result = {}, req, headers) => {
+    const { statusCode, message, data, meta, headers: extraHeaders, cookies } = result;
+    const response = data === undefined && !message
+        ? jsonResponse(statusCode ?? 204, undefined, { ...headers, ...extraHeaders })
+        : jsonResponse(statusCode ?? 200, {
+            ...(message && { message }),
+            data,
+            ...(meta && { meta }),
+            requestId: req.requestId,
+        }, { ...headers, ...extraHeaders });
+
+    if (cookies?.length) {
+        // REST APIs (v1) read multi-value headers; HTTP APIs (v2) read the cookies list
+        response.multiValueHeaders = { "Set-Cookie": cookies };
+        response.cookies = cookies;
+    }
+    return response;
+};
+
+/**
+ * @typedef {Object} Resource
+ * @property {Object<string, function(Request): Promise<OperationResult>>} operations - Operations by HTTP method.
+ * @property {Object<string, string>} [params] - Path parameters extracted from the request path.
+ * @property {string} [route] - The path template that matched, used to name the request in logs and metrics.
+ */
+
+/**
+ * Creates a Lambda handler that serves the resource found for each request.
+ *
+ * `OPTIONS` preflight requests are answered with the resource's CORS headers, paths without a resource
+ * get a 404, and methods without an operation get a 405 with an `Allow` header.
+ *
+ * @param {function(string): (Resource|null)} resolve - Finds the resource for a request path.
+ * @returns {function(object, object): Promise<object>} - The Lambda handler.
+ */
+export const createHttpHandler = (resolve) => instrument(async (event, context) => {
+    const requestId = requestIdOf(event, context);
+    setLogContext({ requestId });
+
+    const response = await serve(resolve, event, context, requestId);
+
+    setLogContext({ statusCode: response.statusCode });
+    putMetric("4xxErrors", response.statusCode >= 400 && response.statusCode < 500 ? 1 : 0);
+    putMetric("5xxErrors", response.statusCode >= 500 ? 1 : 0);
+    return response;
+});
+
+/**
+ * Names the route of a request from its template, e.g. `GET /users/{username}`.
+ *
+ * The route becomes the `Operation` metric dimension (see `lib/instrumentation.js`), so the raw path, which
+ * can hold usernames, is never used: without a template the route is left out and the function name is used.
+ *
+ * @param {Resource} resource - The resolved resource.
+ * @param {object} event - The API Gateway event.
+ * @param {string} method - The HTTP method.
+ * @returns {string|undefined}
+ */
+const routeOf = (resource, event, method) => {
+    const template = resource.route ?? event.resource ?? event.requestContext?.resourcePath;
+    if (template) {
+        return `${method} ${template}`;
+    }
+    // HTTP API (v2) events name the route as `<method> <template>`, or `$default` for the catch-all route
+    return event.routeKey && event.routeKey !== "$default" ? event.routeKey : undefined;
+};
+
+/**
+ * Serves one request for {@link createHttpHandler}.
+ *
+ * @param {function(string): (Resource|null)} resolve - Finds the resource for a request path.
+ * @param {object} event - The API Gateway event.
+ * @param {object} [context] - The Lambda context.
+ * @param {string} requestId - ID of the request.
+ * @returns {Promise<object>} - The API Gateway response object.
+ */
+const serve = async (resolve, event, context, requestId) => {
+    const origin = Object.entries(event.headers || {})
+        .find(([name]) => name.toLowerCase() === "origin")?.[1];
+    const baseHeaders = { "X-Request-Id": requestId, ...traceHeaders() };
+    let headers = { ...corsHeaders(origin, []), ...baseHeaders };
+    let req = { requestId, event };
+
+    try {
+        const method = event.httpMethod ?? event.requestContext?.http?.method;
+        const path = event.path ?? event.rawPath;
+        const resource = resolve(path);
+        if (!resource) {
+            throw new HttpError(404, `No resource at "${path}".`);
+        }
+        setLogContext({ route: routeOf(resource, event, method) });
+
+        const methods = Object.keys(resource.operations);
+        headers = { ...corsHeaders(origin, methods), ...baseHeaders };
+
+        if (method === "OPTIONS") {
+            return jsonResponse(204, undefined, headers);
+        }
+
+        const operation = resource.operations[method];
+        if (!operation) {
+            throw new HttpError(405, `Unsupported method "${method}".`, {
+                headers: { Allow: [...methods, "OPTIONS"].join(",") },
+            });
+        }
+
+        const parsed = parseRequest(event, context);
+        req = { ...parsed, params: { ...parsed.params, ...resource.params }, requestId };
+
+        return successResponse(await operation(req), req, headers);
+    } catch (error) {
+        return errorResponse(error, req, headers);
+    }
+};
+
+/**
+ * Creates a Lambda handler for a single resource from its operations.
+ *
+ * @param {Object<string, function(Request): Promise<OperationResult>>} operations - Operations by HTTP method.
+ * @returns {function(object, object): Promise<object>} - The Lambda handler.
+ */
+export const createHandler = (operations) => createHttpHandler(() => ({ operations }));
+
+/**
+ * Adapts an operation that takes path parameters and a JSON body to the query-string-only requests of
+ * the original single-purpose Lambdas.
+ *
+ * @param {function(Request): Promise<OperationResult>} operation - The operation.
+ * @param {object} [mapping]
+ * @param {Object<string, string>|string[]} [mapping.params] - Path parameters to read from the query string,
+ * as names or as `{ param: queryName }`.
+ * @param {Object<string, string>|string[]} [mapping.body] - Body fields to read from the query string.
+ * @returns {function(Request): Promise<OperationResult>}
+ */
+export const queryAdapter = (operation, { params = [], body } = {}) => {
+    const pick = (query, names) => {
+        const entries = Array.isArray(names) ? names.map((name) => [name, name]) : Object.entries(names);
+        return Object.fromEntries(
+            entries.filter(([, queryName]) => query[queryName] !== undefined)
+                .map(([name, queryName]) => [name, query[queryName]])
+        );
+    };
+
+    return (req) => operation({
+        ...req,
+        params: { ...req.params, ...pick(req.query, params) },
+        body: body ? pick(req.query, body) : req.body,
+    });
+};
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Structured logs, metrics and trace propagation for the Lambdas.
+ *
+ * {@link instrument} wraps a Lambda handler so each invocation runs with its own log context: every line
+ * written with {@link log} is a JSON object carrying the request ID, the route, the caller's username and the
+ * trace ID once they are known, and the invocation ends with a summary line holding its latency and the
+ * DynamoDB capacity it consumed. `lib/http.js` instruments every API handler this way.
+ *
+ * Metrics recorded with {@link putMetric} are written once per invocation in CloudWatch Embedded Metric
+ * Format (EMF), so CloudWatch turns them into metrics without any API calls, with the route (or function
+ * name) as their `Operation` dimension.
+ *
+ * Log values are redacted before they are written: fields whose names suggest credentials or personal data
+ * (tokens, cookies, email addresses, IP addresses, display names) are replaced, as are bearer tokens, JWTs
+ * and email addresses found inside any string.
+ *
+ * Configuration:
+ *
+ * - `LOG_LEVEL`: `debug`, `info` (default), `warn` or `error`.
+ * - `METRICS_NAMESPACE`: CloudWatch namespace of the metrics (default `SpaceDash`).
+ * - `TRACE_HEADER`: header carrying a trace ID to propagate, e.g. `X-Amzn-Trace-Id` or `traceparent`. The
+ *   ID is read from the request (or, for `X-Amzn-Trace-Id`, from the Lambda's `_X_AMZN_TRACE_ID`), added to
+ *   every log line and returned in the same response header. Tracing is off when unset.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = "[REDACTED]";
+
+/** Field names, lower-cased without separators, whose values are never logged. */
+const SENSITIVE_FIELD =
+    /token|authorization|cookie|password|secret|signature|credential|email|phone|sourceip|ipaddress|displayname|claims/;
+
+/** Values redacted wherever they appear in a string. */
+const SENSITIVE_VALUES = [
+    /Bearer\s+[\w.~+/=-]+/gi,
+    /eyJ[\w-]*\.[\w-]+\.[\w-]*/g, // JWTs
+    /[\w.+-]+@[\w-]+\.[\w.-]+/g, // email addresses
+];
+
+const storage = new AsyncLocalStorage();
+
+let writeLine = (line) => process.stdout.write(`${line}\n`);
+
+/**
+ * Replaces where log lines are written (standard output by default), e.g. to capture them in tests.
+ *
+ * @param {function(string): void} [writer] - Receives each line; restores the default when omitted.
+ * @returns {void}
+ */
+export const setLogWriter = (writer) => {
+    writeLine = writer ?? ((line) => process.stdout.write(`${line}\n`));
+};
+
+/**
+ * @param {string} text
+ * @returns {string} - The text with tokens and email addresses replaced.
+ */
+const redactString = (text) =>
+    SENSITIVE_VALUES.reduce((redacted, pattern) => redacted.replace(pattern, REDACTED), text);
+
+/**
+ * Copies a value for logging, redacting sensitive fields and strings and flattening errors, sets and
+ * buffers into plain JSON.
+ *
+ * @param {*} value
+ * @param {number} [depth] - Nesting depth; deeper values are summarised.
+ * @returns {*}
+ */
+export const redact = (value, depth = 0) => {
+    if (typeof value === "string") {
+        return redactString(value);
+    }
+    if (value === null || typeof value !== "object") {
+        return value;
+    }
+    if (depth > 5) {
+        return "[Truncated]";
+    }
+    if (value instanceof Error) {
+        return redact({
+            name: value.name,
+            message: value.message,
+            ...(value.code && { code: value.code }),
+            ...(value.statusCode && { statusCode: value.statusCode }),
+            stack: value.stack,
+            ...(value.cause && { cause: value.cause }),
+        }, depth + 1);
+    }
+    if (Buffer.isBuffer(value)) {
+        return `[Buffer ${value.length} bytes]`;
+    }
+    if (value instanceof Set || Array.isArray(value)) {
+        return [...value].map((entry) => redact(entry, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([name, entry]) => [
+        name,
+        SENSITIVE_FIELD.test(name.toLowerCase().replace(/[^a-z]/g, "")) ? REDACTED : redact(entry, depth + 1),
+    ]));
+};
+
+/**
+ * Writes one log line if the level is enabled.
+ *
+ * @param {string} level - `debug`, `info`, `warn` or `error`.
+ * @param {string} message
+ * @param {object} [fields] - Extra fields; an `error` field is serialised with its stack.
+ */
+const write = (level, message, fields = {}) => {
+    const threshold = LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+    if (LEVELS[level] < threshold) {
+        return;
+    }
+
+    const invocation = storage.getStore();
+    writeLine(JSON.stringify(redact({
+        timestamp: new Date().toISOString(),
+        level,
+        message,
+        ...invocation?.context,
+        ...fields,
+    })));
+};
+
+/**
+ * Structured logger. Each method takes a message and optional fields, which are merged with the
+ * invocation's context (request ID, route, username, trace ID).
+ */
+export const log = {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+};
+
+/**
+ * Adds fields to every later log line of the current invocation, e.g. the caller's username once they
+ * are authenticated. Does nothing outside an instrumented invocation.
+ *
+ * @param {object} fields
+ * @returns {void}
+ */
+export const setLogContext = (fields) => {
+    const invocation = storage.getStore();
+    if (invocation) {
+        Object.assign(invocation.context, fields);
+    }
+};
+
+/**
+ * Records a metric value for the current invocation; values of the same metric are added up. Does
+ * nothing outside an instrumented invocation.
+ *
+ * @param {string} name - The metric name, e.g. `RunSubmissions`.
+ * @param {number} [value] - Defaults to 1.
+ * @param {string} [unit] - A CloudWatch unit (default `Count`).
+ * @returns {void}
+ */
+export const putMetric = (name, value = 1, unit = "Count") => {
+    const metrics = storage.getStore()?.metrics;
+    if (metrics) {
+        const current = metrics.get(name);
+        metrics.set(name, { unit, value: (current?.value ?? 0) + value });
+    }
+};
+
+/**
+ * Adds the capacity reported by a DynamoDB response to the current invocation's total, by table.
+ *
+ * @param {object|object[]} [consumed] - The response's `ConsumedCapacity`.
+ * @returns {void}
+ */
+export const recordConsumedCapacity = (consumed) => {
+    const capacity = storage.getStore()?.capacity;
+    if (!capacity || !consumed) {
+        return;
+    }
+    for (const { TableName, CapacityUnits = 0 } of [consumed].flat()) {
+        capacity[TableName] = (capacity[TableName] ?? 0) + CapacityUnits;
+    }
+};
+
+/**
+ * @returns {Object<string, string>} - The trace header to send on with responses and onward calls, or no
+ * headers when tracing is off or the invocation has no trace ID.
+ */
+export const traceHeaders = () => {
+    const traceId = storage.getStore()?.context.traceId;
+    return process.env.TRACE_HEADER && traceId ? { [process.env.TRACE_HEADER]: traceId } : {};
+};
+
+/**
+ * @param {object} event - The Lambda event.
+ * @returns {string|undefined} - The incoming trace ID, if tracing is on.
+ */
+const traceIdOf = (event) => {
+    const header = process.env.TRACE_HEADER?.toLowerCase();
+    if (!header) {
+        return undefined;
+    }
+    const incoming = Object.entries(event?.headers || {}).find(([name]) => name.toLowerCase() === header)?.[1];
+    return incoming ?? (header === "x-amzn-trace-id" ? process.env._X_AMZN_TRACE_ID : undefined);
+};
+
+/**
+ * Writes the invocation's metrics as one EMF record.
+ *
+ * @param {object} invocation - The invocation's state.
+ */
+const flushMetrics = ({ context, metrics }) => {
+    if (metrics.size === 0) {
+        return;
+    }
+    writeLine(JSON.stringify({
+        _aws: {
+            Timestamp: Date.now(),
+            CloudWatchMetrics: [{
+                Namespace: process.env.METRICS_NAMESPACE || "SpaceDash",
+                Dimensions: [["Operation"]],
+                Metrics: [...metrics].map(([name, { unit }]) => ({ Name: name, Unit: unit })),
+            }],
+        },
+        Operation: context.route ?? context.function,
+        requestId: context.requestId,
+        ...Object.fromEntries([...metrics].map(([name, { value }]) => [name, value])),
+    }));
+};
+
+/**
+ * Wraps a Lambda handler so each invocation gets its own log context, a summary log line with its latency
+ * and consumed DynamoDB capacity, and its metrics written in EMF. Errors thrown by the handler are logged
+ * and rethrown.
+ *
+ * @param {function(object, object): Promise<*>} handler - The Lambda handler.
+ * @param {object} [options]
+ * @param {string} [options.name] - Name of the function in logs and metrics (default the Lambda's name).
+ * @param {function(object, object): object} [options.context] - Returns extra log context for an
+ * invocation from its event and Lambda context, e.g. its request ID.
+ * @returns {function(object, object): Promise<*>} - The instrumented handler.
+ */
+export const instrument = (handler, { name, context: contextOf } = {}) => async (event, lambdaContext) => {
+    const traceId = traceIdOf(event);
+    const invocation = {
+        context: {
+            function: name ?? lambdaContext?.functionName ?? process.env.AWS_LAMBDA_FUNCTION_NAME,
+            requestId: lambdaContext?.awsRequestId,
+            ...(traceId && { traceId }),
+            ...contextOf?.(event, lambdaContext),
+        },
+        metrics: new Map(),
+        capacity: {},
+    };
+
+    return storage.run(invocation, async () => {
+        const start = performance.now();
+        let failure;
+        try {
+            return await handler(event, lambdaContext);
+        } catch (error) {
+            failure = error;
+            throw error;
+        } finally {
+            const latencyMs = Math.round((performance.now() - start) * 100) / 100;
+            putMetric("Latency", latencyMs, "Milliseconds");
+            write(failure ? "error" : "info", failure ? "Invocation failed" : "Invocation completed", {
+                latencyMs,
+                consumedCapacity: invocation.capacity,
+                ...(failure && { error: failure }),
+            });
+            flushMetrics(invocation);
+        }
+    });
+};
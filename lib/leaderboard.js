@@ -0,0 +1,348 @@
+/**
+ * @fileoverview Denormalised leaderboards kept in the `leaderboard` DynamoDB table.
+ *
+ * Each board is a partition of the table (`board` partition key, `username` sort key) holding one
+ * `score` per player. The `board-score-index` global secondary index (`board` partition key, `score`
+ * sort key) returns a board already in rank order, so the top N can be read with a single query instead
+ * of scanning and sorting `player-stats`. The `username-board-index` global secondary index (`username`
+ * partition key, `board` sort key) lists one player's entries across every board, for account export and
+ * deletion and for taking a banned player off the boards. Entries are written by `updatePlayerStatsDDB` whenever a run
+ * changes a player's score, and corrected by the moderation operations (see `lib/moderation.js`).
+ *
+ * The all-time boards are filled from the existing `player-stats` items by `recomputeLeaderboardsDDB`,
+ * which must run once after the table is created, before the boards are read.
+ *
+ * All-time boards hold lifetime totals and personal bests. Period boards (see `lib/periods.js`) hold only
+ * the runs submitted during their window, under the same board key suffixed with the period key.
+ */
+
+import { HttpError } from './http.js';
+
+export const LEADERBOARD_TABLE_NAME = "leaderboard";
+export const SCORE_INDEX_NAME = "board-score-index";
+export const USERNAME_INDEX_NAME = "username-board-index";
+
+/** Default and maximum number of entries returned per page. */
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 100;
+
+/** Maximum number of keys in one `BatchGetItem` call. */
+const BATCH_GET_LIMIT = 100;
+
+/** Attempts made to read keys that DynamoDB keeps returning as unprocessed. */
+const MAX_BATCH_ATTEMPTS = 5;
+
+/**
+ * Supported boards. `descending` boards rank the highest score first; the others rank the lowest first.
+ * `field` is the name the score is returned under.
+ */
+export const BOARDS = {
+    coins: { field: "coins", descending: true },
+    enemies: { field: "enemies", descending: true },
+    time: { field: "time", descending: false },
+};
+
+/**
+ * Returns the partition key of a board.
+ *
+ * @param {string} board - One of the {@link BOARDS} keys.
+ * @param {number|string} [level] - The level, for the per-level `time` board.
+ * @param {string} [periodKey] - The period, for period boards; omitted for all-time boards.
+ * @returns {string} - e.g. `coins`, `time#2` or `coins@weekly:2026-W42`.
+ */
+export const boardId = (board, level, periodKey) => {
+    const id = board === "time" ? `time#${level}` : board;
+    return periodKey ? `${id}@${periodKey}` : id;
+};
+
+/**
+ * Encodes the position after the last returned entry as an opaque pagination token.
+ *
+ * @param {object} lastEvaluatedKey - The `LastEvaluatedKey` of the query.
+ * @param {number} offset - Number of entries returned so far, used to number ranks on the next page.
+ * @returns {string}
+ */
+const encodeToken = (lastEvaluatedKey, offset) =>
+    Buffer.from(JSON.stringify({ key: lastEvaluatedKey, offset })).toString("base64url");
+
+/**
+ * Decodes a pagination token produced by {@link encodeToken} for the given board.
+ *
+ * @param {string} token - The `nextToken` sent by the client.
+ * @param {string} id - The partition key of the board being read.
+ * @returns {{ key: object, offset: number }}
+ * @throws {HttpError} - 400 if the token is malformed or belongs to another board.
+ */
+const decodeToken = (token, id) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    } catch {
+        throw new HttpError(400, "Invalid nextToken.");
+    }
+    if (decoded?.key?.board !== id || !Number.isInteger(decoded.offset)) {
+        throw new HttpError(400, "Invalid nextToken.");
+    }
+    return decoded;
+};
+
+/**
+ * Writes a player's score to a board if it improves on the stored one.
+ *
+ * The condition keeps a board consistent when submissions race: a total read before a concurrent run
+ * was merged, or a slower time, never replaces a better score.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} board - One of the {@link BOARDS} keys.
+ * @param {number|string|undefined} level - The level, for the per-level `time` board.
+ * @param {string} username - The player's username.
+ * @param {number} score - The player's new score on the board.
+ * @param {string} [periodKey] - The period, for period boards.
+ * @returns {Promise<void>}
+ */
+export const putScore = async (dynamo, board, level, username, score, periodKey) => {
+    try {
+        await dynamo.put({
+            TableName: LEADERBOARD_TABLE_NAME,
+            Item: { board: boardId(board, level, periodKey), username, score },
+            ConditionExpression: BOARDS[board].descending
+                ? "attribute_not_exists(#score) OR #score < :score"
+                : "attribute_not_exists(#score) OR #score > :score",
+            ExpressionAttributeNames: { "#score": "score" },
+            ExpressionAttributeValues: { ":score": score },
+        });
+    } catch (error) {
+        if (error.name !== "ConditionalCheckFailedException") {
+            throw error;
+        }
+    }
+};
+
+/**
+ * Adds to a player's score on a board, creating the entry if needed.
+ *
+ * Used for period boards of counters, which total the runs submitted during the period rather than
+ * copying the player's lifetime total.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} board - `coins` or `enemies`.
+ * @param {string} username - The player's username.
+ * @param {number} amount - The amount to add.
+ * @param {string} periodKey - The period.
+ * @returns {Promise<void>}
+ */
+export const addScore = async (dynamo, board, username, amount, periodKey) => {
+    await dynamo.update({
+        TableName: LEADERBOARD_TABLE_NAME,
+        Key: { board: boardId(board, undefined, periodKey), username },
+        UpdateExpression: "ADD #score :amount",
+        ExpressionAttributeNames: { "#score": "score" },
+        ExpressionAttributeValues: { ":amount": amount },
+    });
+};
+
+/**
+ * Writes a player's score to a board whether or not it improves on the stored one.
+ *
+ * Used when a score is corrected rather than earned, e.g. after an admin edits a player's stats (see
+ * `lib/moderation.js`).
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} board - One of the {@link BOARDS} keys.
+ * @param {number|string|undefined} level - The level, for the per-level `time` board.
+ * @param {string} username - The player's username.
+ * @param {number} score - The player's score on the board.
+ * @param {string} [periodKey] - The period, for period boards.
+ * @returns {Promise<void>}
+ */
+export const setScore = async (dynamo, board, level, username, score, periodKey) => {
+    await dynamo.put({
+        TableName: LEADERBOARD_TABLE_NAME,
+        Item: { board: boardId(board, level, periodKey), username, score },
+    });
+};
+
+/**
+ * Removes a player from a board.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} board - One of the {@link BOARDS} keys.
+ * @param {number|string|undefined} level - The level, for the per-level `time` board.
+ * @param {string} username - The player's username.
+ * @param {string} [periodKey] - The period, for period boards.
+ * @returns {Promise<void>}
+ */
+export const removeScore = async (dynamo, board, level, username, periodKey) => {
+    await dynamo.delete({
+        TableName: LEADERBOARD_TABLE_NAME,
+        Key: { board: boardId(board, level, periodKey), username },
+    });
+};
+
+/**
+ * Reads a player's entries on every board through the `username-board-index`. The index is eventually
+ * consistent, so an entry written a moment ago may be missing.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player's username.
+ * @returns {Promise<{ board: string, username: string, score: number }[]>} - The entries, by board ID.
+ */
+export const listPlayerEntries = async (dynamo, username) => {
+    const entries = [];
+    let ExclusiveStartKey;
+    do {
+        const result = await dynamo.query({
+            TableName: LEADERBOARD_TABLE_NAME,
+            IndexName: USERNAME_INDEX_NAME,
+            KeyConditionExpression: "#username = :username",
+            ExpressionAttributeNames: { "#username": "username" },
+            ExpressionAttributeValues: { ":username": username },
+            ExclusiveStartKey,
+        });
+        entries.push(...(result.Items || []));
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return entries;
+};
+
+/**
+ * Reads one page of a board in rank order.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} board - One of the {@link BOARDS} keys.
+ * @param {object} [options]
+ * @param {number|string} [options.level] - The level, required for the `time` board.
+ * @param {string} [options.periodKey] - The period, for period boards.
+ * @param {number} [options.limit] - Number of entries to return (default {@link DEFAULT_PAGE_SIZE}).
+ * @param {string} [options.nextToken] - Token returned with the previous page.
+ * @returns {Promise<{ entries: object[], nextToken: string|null }>} - Entries hold `rank`, `username`
+ * and the score under the board's field name.
+ */
+export const queryBoard = async (dynamo, board, { level, periodKey, limit = DEFAULT_PAGE_SIZE, nextToken } = {}) => {
+    const { field, descending } = BOARDS[board];
+    const id = boardId(board, level, periodKey);
+    const start = nextToken ? decodeToken(nextToken, id) : { key: undefined, offset: 0 };
+
+    const result = await dynamo.query({
+        TableName: LEADERBOARD_TABLE_NAME,
+        IndexName: SCORE_INDEX_NAME,
+        KeyConditionExpression: "#board = :board",
+        ExpressionAttributeNames: { "#board": "board" },
+        ExpressionAttributeValues: { ":board": id },
+        ScanIndexForward: !descending,
+        Limit: limit,
+        ExclusiveStartKey: start.key,
+    });
+
+    const items = result.Items || [];
+    const entries = items.map((item, index) => ({
+        rank: start.offset + index + 1,
+        username: item.username,
+        [field]: item.score,
+    }));
+
+    return {
+        entries,
+        nextToken: result.LastEvaluatedKey
+            ? encodeToken(result.LastEvaluatedKey, start.offset + items.length)
+            : null,
+    };
+};
+
+/**
+ * Looks up a player's position on a board along with the players directly ahead of and behind them.
+ *
+ * The rank counts the entries with a strictly better score, so tied players share a rank. The count
+ * query reads every entry ahead of the player, which is cheap near the top of a board and grows with the
+ * player's rank.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} board - One of the {@link BOARDS} keys.
+ * @param {number|string|undefined} level - The level, for the per-level `time` board.
+ * @param {string} username - The player's username.
+ * @param {string} [periodKey] - The period, for period boards.
+ * @returns {Promise<object|null>} - `rank`, `username`, the score under the board's field name, and
+ * `above`/`below` neighbour entries (`null` at either end), or `null` if the player is not on the board.
+ */
+export const getPlayerRank = async (dynamo, board, level, username, periodKey) => {
+    const { field, descending } = BOARDS[board];
+    const id = boardId(board, level, periodKey);
+
+    const { Item } = await dynamo.get({
+        TableName: LEADERBOARD_TABLE_NAME,
+        Key: { board: id, username },
+    });
+    if (!Item) {
+        return null;
+    }
+
+    const better = descending ? ">" : "<";
+    const worse = descending ? "<" : ">";
+    const scoreQuery = (operator) => ({
+        TableName: LEADERBOARD_TABLE_NAME,
+        IndexName: SCORE_INDEX_NAME,
+        KeyConditionExpression: `#board = :board AND #score ${operator} :score`,
+        ExpressionAttributeNames: { "#board": "board", "#score": "score" },
+        ExpressionAttributeValues: { ":board": id, ":score": Item.score },
+    });
+
+    let ahead = 0;
+    let ExclusiveStartKey;
+    do {
+        const result = await dynamo.query({ ...scoreQuery(better), Select: "COUNT", ExclusiveStartKey });
+        ahead += result.Count || 0;
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    // The nearest better score is the last one in rank order, so read that side in reverse
+    const [above, below] = await Promise.all([
+        dynamo.query({ ...scoreQuery(better), ScanIndexForward: descending, Limit: 1 }),
+        dynamo.query({ ...scoreQuery(worse), ScanIndexForward: !descending, Limit: 1 }),
+    ]);
+    const toNeighbour = (item) => (item ? { username: item.username, [field]: item.score } : null);
+
+    return {
+        rank: ahead + 1,
+        username,
+        [field]: Item.score,
+        above: toNeighbour(above.Items?.[0]),
+        below: toNeighbour(below.Items?.[0]),
+    };
+};
+
+/**
+ * Reads the scores of a set of players on a board and ranks them, e.g. a player and their friends.
+ *
+ * Players without an entry on the board are left out.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} board - One of the {@link BOARDS} keys.
+ * @param {number|string|undefined} level - The level, for the per-level `time` board.
+ * @param {string[]} usernames - The players to rank.
+ * @param {string} [periodKey] - The period, for period boards.
+ * @returns {Promise<object[]>} - Entries in rank order, holding `username` and the score under the board's
+ * field name.
+ */
+export const rankPlayers = async (dynamo, board, level, usernames, periodKey) => {
+    const { field, descending } = BOARDS[board];
+    const id = boardId(board, level, periodKey);
+    const items = [];
+
+    for (let start = 0; start < usernames.length; start += BATCH_GET_LIMIT) {
+        let keys = usernames.slice(start, start + BATCH_GET_LIMIT).map((username) => ({ board: id, username }));
+        for (let attempt = 1; keys?.length; attempt++) {
+            if (attempt > MAX_BATCH_ATTEMPTS) {
+                throw new Error(`Failed to read all entries of board ${id}`);
+            }
+            const { Responses, UnprocessedKeys } = await dynamo.batchGet({
+                RequestItems: { [LEADERBOARD_TABLE_NAME]: { Keys: keys } },
+            });
+            items.push(...(Responses?.[LEADERBOARD_TABLE_NAME] || []));
+            keys = UnprocessedKeys?.[LEADERBOARD_TABLE_NAME]?.Keys;
+        }
+    }
+
+    return items
+        .sort((a, b) => (descending ? b.score - a.score : a.score - b.score))
+        .map((item) => ({ username: item.username, [field]: item.score }));
+};
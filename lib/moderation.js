@@ -0,0 +1,465 @@
+/**
+ * @fileoverview Moderation of players by admins: bans, corrections of `player-stats`, and the audit log
+ * recording them.
+ *
+ * A player's moderation status is stored in the `moderation` table, keyed by `username`:
+ * `{ username, status, reason, "updated-by", "updated-at" }`. The table is not among the user's data
+ * (`USER_DATA_SOURCES` in `lib/users.js`), so deleting the account keeps the status: a banned player cannot
+ * register the username again, and a shadow-banned player who does is still kept off the leaderboards. Both
+ * statuses keep the player off every leaderboard; `banned` players have their runs rejected, while
+ * `shadow-banned` players keep submitting runs as usual without being told that their scores are not ranked.
+ *
+ * Every change is written to the `moderation-audit` table (`username` partition key, `changed-at` sort key)
+ * in the same transaction as the change itself, holding the `action`, the admin who made it (`actor`), the
+ * `reason` given, and the `changes` as `{ attribute: { from, to } }`. Like the statuses, audit entries are
+ * kept when the account is deleted.
+ *
+ * The all-time leaderboards are derived from `player-stats`, so they are brought in line after each change
+ * (see {@link syncPlayerBoards}); `recomputeLeaderboardsDDB` rebuilds them for every player. Period boards
+ * cannot be rebuilt, so the entries a change invalidates are removed.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { cancellationReasons } from './clients.js';
+import { HttpError } from './http.js';
+import { log } from './instrumentation.js';
+import { LEADERBOARD_TABLE_NAME, listPlayerEntries, removeScore, setScore } from './leaderboard.js';
+import { deleteReplayObjects, pruneReplays } from './replays.js';
+import { deleteUserItems } from './users.js';
+
+export const MODERATION_TABLE_NAME = "moderation";
+export const MODERATION_AUDIT_TABLE_NAME = "moderation-audit";
+
+const STATS_TABLE_NAME = "player-stats";
+
+/** Moderation statuses a player can be given. */
+export const MODERATION_STATUSES = ["banned", "shadow-banned"];
+
+/** Maximum length of the reason recorded with a change. */
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * @param {object} [moderation] - A `moderation` item.
+ * @returns {string|undefined} - The player's moderation status, if any.
+ */
+export const moderationStatus = (moderation) => moderation?.status;
+
+/**
+ * @param {object} [item] - A `moderation` item.
+ * @returns {object|undefined} - The player's moderation, without the key, as shown in responses and the
+ * audit log.
+ */
+export const moderationOf = (item) => {
+    if (!item) {
+        return undefined;
+    }
+    const { username, ...moderation } = item;
+    return moderation;
+};
+
+/**
+ * Reads a player's `moderation` item.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @returns {Promise<object|undefined>} - The item, or undefined if the player has no moderation status.
+ */
+export const readModeration = async (dynamo, username) => {
+    const { Item } = await dynamo.get({ TableName: MODERATION_TABLE_NAME, Key: { username }, ConsistentRead: true });
+    return Item;
+};
+
+/**
+ * Reads every `moderation` item, for jobs that go through all players. Few players are moderated, so the
+ * whole table is held in memory.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @returns {Promise<Map<string, object>>} - The items by username.
+ */
+export const listModeration = async (dynamo) => {
+    const moderation = new Map();
+    let ExclusiveStartKey;
+    do {
+        const result = await dynamo.scan({ TableName: MODERATION_TABLE_NAME, ExclusiveStartKey });
+        for (const item of result.Items || []) {
+            moderation.set(item.username, item);
+        }
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+    return moderation;
+};
+
+/**
+ * Checks the reason an admin gave for a change.
+ *
+ * @param {*} reason - The reason from the request, if any.
+ * @returns {string|undefined}
+ * @throws {HttpError} - 400 if it is not a string or too long.
+ */
+export const validateReason = (reason) => {
+    if (reason !== undefined && (typeof reason !== "string" || reason.length > MAX_REASON_LENGTH)) {
+        throw new HttpError(400, `Reason must be a string of at most ${MAX_REASON_LENGTH} characters.`);
+    }
+    return reason;
+};
+
+/**
+ * Reads the `player-stats` item of the player being moderated.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @returns {Promise<object>}
+ * @throws {HttpError} - 404 if the player has no stats.
+ */
+export const readPlayerStats = async (dynamo, username) => {
+    const { Item } = await dynamo.get({ TableName: STATS_TABLE_NAME, Key: { username }, ConsistentRead: true });
+    if (!Item) {
+        throw new HttpError(404, "Player not found.");
+    }
+    return Item;
+};
+
+/**
+ * Adds a player's moderation status to their stats for admins. Other callers never see it, so
+ * shadow-banned players cannot tell they are shadow-banned.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {object} stats - A `player-stats` item.
+ * @param {import('./auth.js').Identity} identity - The caller.
+ * @returns {Promise<object>} - The item, with `moderation` for admins if the player has a status.
+ */
+export const withModeration = async (dynamo, stats, identity) => {
+    if (!identity.isAdmin) {
+        return stats;
+    }
+    const moderation = moderationOf(await readModeration(dynamo, stats.username));
+    return moderation ? { ...stats, moderation } : stats;
+};
+
+/**
+ * Converts a stored value into one that reads well in the audit log and in responses: sets become sorted
+ * arrays.
+ *
+ * @param {*} value - The stored value.
+ * @returns {*}
+ */
+const toAuditValue = (value) =>
+    value instanceof Set ? [...value].sort((a, b) => a - b) : value ?? null;
+
+/**
+ * Builds the transaction item recording a change in the audit log.
+ *
+ * @param {object} entry
+ * @param {string} entry.username - The player changed.
+ * @param {string} entry.actor - The admin making the change.
+ * @param {string} entry.action - What was done, e.g. `ban` or `edit-stats`.
+ * @param {Object<string, { from: *, to: * }>} entry.changes - The changed attributes.
+ * @param {string} [entry.reason] - Why, as given by the admin.
+ * @returns {{ Put: object }}
+ */
+export const auditPut = ({ username, actor, action, changes, reason }) => ({
+    Put: {
+        TableName: MODERATION_AUDIT_TABLE_NAME,
+        Item: {
+            username, // Partition key
+            // Sort key; the suffix keeps two changes in the same millisecond apart
+            "changed-at": `${new Date().toISOString()}#${randomUUID().slice(0, 8)}`,
+            action,
+            actor,
+            reason: reason ?? null,
+            changes: Object.fromEntries(Object.entries(changes).map(
+                ([attribute, { from, to }]) => [attribute, { from: toAuditValue(from), to: toAuditValue(to) }]
+            )),
+        },
+    },
+});
+
+/**
+ * Runs a moderation transaction, turning a failed condition into a conflict.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {object[]} items - The transaction items.
+ * @returns {Promise<void>}
+ * @throws {HttpError} - 409 if the player's stats or moderation status changed since they were read.
+ */
+export const writeModeration = async (dynamo, items) => {
+    try {
+        await dynamo.transactWrite({ TransactItems: items });
+    } catch (error) {
+        if (cancellationReasons(error)?.includes("ConditionalCheckFailed")) {
+            throw new HttpError(409, "Player changed while they were being moderated; try again.");
+        }
+        throw error;
+    }
+};
+
+/**
+ * Builds the condition that an attribute still holds the value that was read.
+ *
+ * @param {string} name - The expression attribute name, e.g. `#a0`.
+ * @param {*} previous - The value read, or undefined if the attribute was missing.
+ * @param {object} values - Expression attribute values, added to.
+ * @returns {string}
+ */
+const unchanged = (name, previous, values) => {
+    if (previous === undefined) {
+        return `attribute_not_exists(${name})`;
+    }
+    values[`:was${name.slice(1)}`] = previous;
+    return `${name} = :was${name.slice(1)}`;
+};
+
+/**
+ * Builds the transaction item setting or removing attributes of a `player-stats` item, conditioned on each
+ * attribute still holding the value that was read.
+ *
+ * @param {string} username - The player.
+ * @param {Object<string, *>} next - New values by attribute name; `undefined` removes the attribute.
+ * @param {object} previous - The item as read.
+ * @returns {{ Update: object }}
+ */
+export const statsUpdate = (username, next, previous) => {
+    const names = { "#username": "username" };
+    const values = {};
+    const setClauses = [];
+    const removeClauses = [];
+    const conditions = ["attribute_exists(#username)"];
+
+    Object.entries(next).forEach(([attribute, value], index) => {
+        const name = `#a${index}`;
+        names[name] = attribute;
+        conditions.push(unchanged(name, previous[attribute], values));
+        if (value === undefined) {
+            removeClauses.push(name);
+        } else {
+            values[`:a${index}`] = value;
+            setClauses.push(`${name} = :a${index}`);
+        }
+    });
+
+    return {
+        Update: {
+            TableName: STATS_TABLE_NAME,
+            Key: { username },
+            UpdateExpression: [
+                setClauses.length > 0 ? `SET ${setClauses.join(", ")}` : "",
+                removeClauses.length > 0 ? `REMOVE ${removeClauses.join(", ")}` : "",
+            ].join(" ").trim(),
+            ConditionExpression: conditions.join(" AND "),
+            ExpressionAttributeNames: names,
+            ...(Object.keys(values).length > 0 && { ExpressionAttributeValues: values }),
+        },
+    };
+};
+
+/**
+ * Builds the transaction item setting or removing a player's moderation status, conditioned on the status
+ * still being the one that was read.
+ *
+ * @param {string} username - The player.
+ * @param {object} [next] - The new `{ status, reason, "updated-by", "updated-at" }`; omitted to remove it.
+ * @param {object} [previous] - The `moderation` item as read, if any.
+ * @returns {{ Put: object }|{ Delete: object }}
+ */
+export const moderationWrite = (username, next, previous) => {
+    const condition = previous
+        ? {
+            ConditionExpression: "#updatedAt = :previous",
+            ExpressionAttributeNames: { "#updatedAt": "updated-at" },
+            ExpressionAttributeValues: { ":previous": previous["updated-at"] },
+        }
+        : { ConditionExpression: "attribute_not_exists(username)" };
+    return next
+        ? { Put: { TableName: MODERATION_TABLE_NAME, Item: { username, ...next }, ...condition } }
+        : { Delete: { TableName: MODERATION_TABLE_NAME, Key: { username }, ...condition } };
+};
+
+/**
+ * Returns the all-time leaderboard entries a player's stats earn, keyed by board ID.
+ *
+ * @param {object} [stats] - A `player-stats` item.
+ * @returns {Map<string, { board: string, level?: string, score: number }>} - Empty if there are no stats.
+ */
+export const playerBoardScores = (stats) => {
+    const scores = new Map();
+    if (!stats) {
+        return scores;
+    }
+
+    scores.set("coins", { board: "coins", score: Number(stats["coins-collected"] || 0) });
+    scores.set("enemies", { board: "enemies", score: Number(stats["enemies-defeated"] || 0) });
+    const times = stats["fastest-times"];
+    if (times && typeof times === "object") {
+        for (const [level, levelTimes] of Object.entries(times)) {
+            const valid = Array.isArray(levelTimes) ? levelTimes.map(Number).filter(Number.isFinite) : [];
+            if (valid.length > 0) {
+                scores.set(`time#${level}`, { board: "time", level, score: Math.min(...valid) });
+            }
+        }
+    }
+    return scores;
+};
+
+/**
+ * Brings a player's all-time leaderboard entries in line with their stats: entries whose score changed are
+ * overwritten and entries the stats no longer earn are removed. The player's moderation status is not
+ * checked; see {@link syncPlayerBoards}.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @param {object} [stats] - The player's `player-stats` item.
+ * @param {object} [previous] - The item before the change; when omitted, every entry is written.
+ * @returns {Promise<void>}
+ */
+export const writePlayerBoards = async (dynamo, username, stats, previous) => {
+    const scores = playerBoardScores(stats);
+    const previousScores = playerBoardScores(previous);
+    await Promise.all([
+        ...[...scores].filter(([id, { score }]) => previousScores.get(id)?.score !== score || !previous)
+            .map(([, { board, level, score }]) => setScore(dynamo, board, level, username, score)),
+        ...[...previousScores].filter(([id]) => !scores.has(id))
+            .map(([, { board, level }]) => removeScore(dynamo, board, level, username)),
+    ]);
+};
+
+/**
+ * Reads the times of each level in a player's stats.
+ *
+ * @param {object} [stats] - A `player-stats` item.
+ * @returns {Map<string, Set<number>>} - The valid times, by level.
+ */
+const levelTimes = (stats) => {
+    const times = stats?.["fastest-times"];
+    return new Map(Object.entries(times && typeof times === "object" ? times : {}).map(([level, values]) =>
+        [level, new Set(Array.isArray(values) ? values.map(Number).filter(Number.isFinite) : [])]));
+};
+
+/**
+ * Removes the daily, weekly and seasonal entries a change of a player's stats invalidates. Period boards
+ * hold the runs submitted during their window, which `player-stats` does not record, so they cannot be
+ * recomputed: a changed coin or enemy total takes the player off that board for every period, and a removed
+ * time takes them off the level's board for the periods where it is their best.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @param {object} stats - The player's `player-stats` item.
+ * @param {object} previous - The item before the change.
+ * @returns {Promise<number>} - Number of entries removed.
+ */
+const removeStalePeriodEntries = async (dynamo, username, stats, previous) => {
+    const scores = playerBoardScores(stats);
+    const previousScores = playerBoardScores(previous);
+    const changedTotals = ["coins", "enemies"].filter((id) => scores.get(id).score !== previousScores.get(id).score);
+    const times = levelTimes(stats);
+    const removedTimes = new Map([...levelTimes(previous)].map(([level, previousTimes]) =>
+        [`time#${level}`, [...previousTimes].filter((time) => !times.get(level)?.has(time))]));
+    if (changedTotals.length === 0 && [...removedTimes.values()].every((removed) => removed.length === 0)) {
+        return 0;
+    }
+
+    // Period boards are suffixed with their period, e.g. `time#1@weekly:2026-W42`
+    const stale = (await listPlayerEntries(dynamo, username)).filter(({ board, score }) => {
+        const [id, periodKey] = board.split("@");
+        return periodKey !== undefined
+            && (changedTotals.includes(id) || (removedTimes.get(id) ?? []).includes(Number(score)));
+    });
+    await Promise.all(stale.map(({ board }) =>
+        dynamo.delete({ TableName: LEADERBOARD_TABLE_NAME, Key: { board, username } })));
+    return stale.length;
+};
+
+/**
+ * Brings a player's all-time leaderboard entries in line with their stats (see {@link writePlayerBoards}),
+ * and removes the period entries the change invalidates. Players with a moderation status are taken off
+ * every board instead.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @param {object} stats - The player's `player-stats` item.
+ * @param {object} [previous] - The item before the change; when omitted, every all-time entry is written and
+ * period entries are left alone.
+ * @returns {Promise<void>}
+ */
+export const syncPlayerBoards = async (dynamo, username, stats, previous) => {
+    if (moderationStatus(await readModeration(dynamo, username))) {
+        await removePlayerFromBoards(dynamo, username);
+        return;
+    }
+    await writePlayerBoards(dynamo, username, stats, previous);
+    if (previous) {
+        await removeStalePeriodEntries(dynamo, username, stats, previous);
+    }
+};
+
+/**
+ * Removes a player from every leaderboard, including daily, weekly and seasonal boards. The entries are
+ * found with one query of the `username-board-index` (see `lib/leaderboard.js`), so the cost grows with the
+ * player's entries rather than with the table.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @returns {Promise<number>} - Number of entries removed.
+ */
+export const removePlayerFromBoards = (dynamo, username) =>
+    deleteUserItems(dynamo, "leaderboardEntries", username);
+
+/**
+ * Changes attributes of a player's stats on behalf of an admin, records the change in the audit log, and
+ * updates the player's leaderboard entries (see {@link syncPlayerBoards}).
+ *
+ * When the fastest times change, the replays of removed times are unlinked and deleted from the bucket.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {object} edit
+ * @param {string} edit.username - The player.
+ * @param {string} edit.actor - The admin.
+ * @param {string} edit.action - What was done, e.g. `edit-stats` or `delete-time`.
+ * @param {Object<string, *>} edit.next - New values by attribute name; `undefined` removes the attribute.
+ * @param {object} edit.previous - The player's `player-stats` item, as read.
+ * @param {string} [edit.reason] - Why, as given by the admin.
+ * @returns {Promise<object>} - The updated item.
+ * @throws {HttpError} - 409 if the stats changed since they were read.
+ */
+export const editPlayerStatsItem = async (dynamo, { username, actor, action, next, previous, reason }) => {
+    const changes = Object.fromEntries(Object.entries(next).map(
+        ([attribute, to]) => [attribute, { from: previous[attribute], to }]
+    ));
+    let unlinked = [];
+    const writes = { ...next };
+    if (Object.hasOwn(next, "fastest-times") && previous["fastest-replays"]) {
+        ({ replays: writes["fastest-replays"], unlinked } = pruneReplays(
+            previous["fastest-replays"], next["fastest-times"]
+        ));
+        if (unlinked.length === 0) {
+            delete writes["fastest-replays"];
+        }
+    }
+
+    await writeModeration(dynamo, [
+        statsUpdate(username, writes, previous),
+        auditPut({ username, actor, action, changes, reason }),
+    ]);
+    const updated = { ...previous, ...writes };
+    for (const [attribute, value] of Object.entries(writes)) {
+        if (value === undefined) {
+            delete updated[attribute];
+        }
+    }
+    log.info("Player stats edited", { username, actor, action, attributes: Object.keys(next) });
+
+    // The stats are the source of truth; leaderboards and replays are derived and tidied up afterwards
+    try {
+        await syncPlayerBoards(dynamo, username, updated, previous);
+    } catch (error) {
+        log.error("Error updating leaderboard", { error });
+    }
+    if (unlinked.length > 0) {
+        try {
+            await deleteReplayObjects(unlinked);
+        } catch (error) {
+            log.error("Error deleting unlinked replays", { keys: unlinked, error });
+        }
+    }
+
+    return updated;
+};
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Time windows for period leaderboards.
+ *
+ * Every period board is identified by a period key such as `daily:2026-10-19`, `weekly:2026-W42` or
+ * `season:season-1`; the all-time boards have no period key. Days and ISO weeks are in UTC. Period
+ * boards are never expired, so a closed period stays readable by its ID.
+ */
+
+import { SEASONS } from '../config/seasons.js';
+import { HttpError } from './http.js';
+
+export const PERIODS = ["all", "daily", "weekly", "season"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Date} date
+ * @returns {string} - The UTC day, e.g. `2026-10-19`.
+ */
+const dayId = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * @param {Date} date
+ * @returns {string} - The ISO 8601 week, e.g. `2026-W42`.
+ */
+const weekId = (date) => {
+    // The ISO week belongs to the year of its Thursday
+    const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 4 - (thursday.getUTCDay() || 7));
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+    return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+};
+
+/**
+ * @param {Date} date
+ * @returns {Season|undefined} - The season running at `date`, if any.
+ */
+const seasonAt = (date) =>
+    SEASONS.find(({ start, end }) => new Date(start) <= date && date < new Date(end));
+
+/**
+ * Returns the keys of every period a run submitted at `date` counts towards.
+ *
+ * @param {Date} date - The submission time.
+ * @returns {string[]}
+ */
+export const currentPeriodKeys = (date) => {
+    const keys = [`daily:${dayId(date)}`, `weekly:${weekId(date)}`];
+    const season = seasonAt(date);
+    if (season) {
+        keys.push(`season:${season.id}`);
+    }
+    return keys;
+};
+
+/**
+ * Returns the ID of the current or previous window of a period.
+ *
+ * @param {string} period - `daily`, `weekly` or `season`.
+ * @param {Date} date - The current time.
+ * @param {boolean} previous - Whether to return the window before the current one.
+ * @returns {string}
+ * @throws {HttpError} - 404 if no season is running (or has ended, for `previous`).
+ */
+const relativePeriodId = (period, date, previous) => {
+    switch (period) {
+        case "daily":
+            return dayId(previous ? new Date(date - DAY_MS) : date);
+        case "weekly":
+            return weekId(previous ? new Date(date - 7 * DAY_MS) : date);
+        default: {
+            const season = previous
+                ? SEASONS.filter(({ end }) => new Date(end) <= date)
+                    .sort((a, b) => new Date(b.end) - new Date(a.end))[0]
+                : seasonAt(date);
+            if (!season) {
+                throw new HttpError(404, previous ? "No season has ended yet." : "No season is running.");
+            }
+            return season.id;
+        }
+    }
+};
+
+const PERIOD_ID_PATTERNS = {
+    daily: /^\d{4}-\d{2}-\d{2}$/,
+    weekly: /^\d{4}-W\d{2}$/,
+};
+
+/**
+ * Resolves the `period` and `periodId` query parameters to a period key.
+ *
+ * Without `periodId` the current window is used; `periodId=previous` selects the window before it, e.g.
+ * last week's board.
+ *
+ * @param {string} [period] - One of {@link PERIODS} (default `all`).
+ * @param {string} [periodId] - A day (`2026-10-19`), ISO week (`2026-W42`), season ID, or `previous`.
+ * @param {Date} [date] - The current time.
+ * @returns {{ periodKey: string|undefined, periodId: string|undefined }} - `periodKey` is undefined for
+ * the all-time boards.
+ * @throws {HttpError} - 400 if the period or period ID is not valid.
+ */
+export const resolvePeriod = (period = "all", periodId, date = new Date()) => {
+    if (!PERIODS.includes(period)) {
+        throw new HttpError(400, `Unsupported period "${period}".`);
+    }
+    if (period === "all") {
+        return { periodKey: undefined, periodId: undefined };
+    }
+
+    let id = periodId;
+    if (!id || id === "previous") {
+        id = relativePeriodId(period, date, id === "previous");
+    } else {
+        const valid = period === "season"
+            ? SEASONS.some((season) => season.id === id)
+            : PERIOD_ID_PATTERNS[period].test(id);
+        if (!valid) {
+            throw new HttpError(400, `Invalid ${period} periodId "${id}".`);
+        }
+    }
+
+    return { periodKey: `${period}:${id}`, periodId: id };
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Token-bucket rate limiting of the write endpoints.
+ *
+ * Each route limited in `config/rateLimits.js` has a bucket per caller and per IP address. A request takes
+ * a token from each, the IP address's first; when one is empty the request is rejected with a 429 whose
+ * `Retry-After` header gives the seconds until a token is available again.
+ *
+ * Buckets are stored in the `rate-limits` table, keyed `<route>#user#<username>` or `<route>#ip#<address>`,
+ * with a `version` checked on every write so concurrent requests cannot both spend the same token. Each
+ * item's `expires-at` (the table's TTL attribute) is when the bucket would be full again, so DynamoDB
+ * deletes the buckets of idle callers and a missing bucket counts as full. Tests swap the table for an
+ * in-memory store with {@link setRateLimitStore}.
+ *
+ * Callers with admin rights are never limited, nor are the usernames and IP addresses listed in the
+ * comma-separated `RATE_LIMIT_BYPASS` environment variable, e.g. for load tests or a tournament venue.
+ */
+
+import { RATE_LIMITS } from '../config/rateLimits.js';
+import { dynamo } from './clients.js';
+import { HttpError } from './http.js';
+import { putMetric } from './instrumentation.js';
+
+const TABLE_NAME = "rate-limits";
+
+/** Attempts to take a token when concurrent requests keep changing the bucket. */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * @typedef {Object} Bucket
+ * @property {number} tokens - Tokens left at `updatedAt`.
+ * @property {number} updatedAt - When the bucket was last written, in milliseconds since the epoch.
+ * @property {number} version - Incremented on every write.
+ * @property {number} expiresAt - When the bucket is full again, in seconds since the epoch.
+ */
+
+/**
+ * @typedef {Object} BucketStore
+ * @property {function(string): Promise<(Bucket|undefined)>} get - Reads a bucket.
+ * @property {function(string, Bucket, (Bucket|undefined)): Promise<boolean>} put - Writes a bucket if it is
+ * still the `previous` one read, or still missing; resolves to false if another request changed it first.
+ */
+
+/** @type {BucketStore} */
+export const dynamoBucketStore = {
+    get: async (key) => {
+        const { Item } = await dynamo.get({ TableName: TABLE_NAME, Key: { bucket: key }, ConsistentRead: true });
+        return Item && {
+            tokens: Item.tokens,
+            updatedAt: Item["updated-at"],
+            version: Item.version,
+            expiresAt: Item["expires-at"],
+        };
+    },
+    put: async (key, bucket, previous) => {
+        try {
+            await dynamo.put({
+                TableName: TABLE_NAME,
+                Item: {
+                    bucket: key, // Partition key
+                    tokens: bucket.tokens,
+                    "updated-at": bucket.updatedAt,
+                    version: bucket.version,
+                    "expires-at": bucket.expiresAt, // TTL
+                },
+                ...(previous
+                    ? {
+                        ConditionExpression: "#version = :version",
+                        ExpressionAttributeNames: { "#version": "version" },
+                        ExpressionAttributeValues: { ":version": previous.version },
+                    }
+                    : {
+                        // BUCKET is a reserved word
+                        ConditionExpression: "attribute_not_exists(#bucket)",
+                        ExpressionAttributeNames: { "#bucket": "bucket" },
+                    }),
+            });
+            return true;
+        } catch (error) {
+            if (error.name === "ConditionalCheckFailedException") {
+                return false;
+            }
+            throw error;
+        }
+    },
+};
+
+/**
+ * Creates a store keeping buckets in memory, for tests and local runs. Buckets are never expired.
+ *
+ * @returns {BucketStore}
+ */
+export const createMemoryBucketStore = () => {
+    const buckets = new Map();
+    return {
+        get: async (key) => (buckets.has(key) ? { ...buckets.get(key) } : undefined),
+        put: async (key, bucket, previous) => {
+            if (buckets.get(key)?.version !== previous?.version) {
+                return false;
+            }
+            buckets.set(key, { ...bucket });
+            return true;
+        },
+    };
+};
+
+let store = dynamoBucketStore;
+
+/**
+ * Replaces where buckets are stored.
+ *
+ * @param {BucketStore} [bucketStore] - The store; restores the `rate-limits` table when omitted.
+ * @returns {void}
+ */
+export const setRateLimitStore = (bucketStore) => {
+    store = bucketStore ?? dynamoBucketStore;
+};
+
+/**
+ * Takes a token from a bucket.
+ *
+ * @param {string} key - The bucket's key.
+ * @param {import('../config/rateLimits.js').BucketLimit} limit - The bucket's size and refill rate.
+ * @returns {Promise<number>} - 0 if a token was taken, otherwise the seconds until one is available.
+ */
+const takeToken = async (key, { capacity, refillPerMinute }) => {
+    const refillPerMs = refillPerMinute / (60 * 1000);
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const now = Date.now();
+        const previous = await store.get(key);
+        const tokens = previous
+            ? Math.min(capacity, previous.tokens + Math.max(0, now - previous.updatedAt) * refillPerMs)
+            : capacity;
+        if (tokens < 1) {
+            return Math.ceil((1 - tokens) / refillPerMs / 1000);
+        }
+
+        const bucket = {
+            tokens: tokens - 1,
+            updatedAt: now,
+            version: (previous?.version ?? 0) + 1,
+            expiresAt: Math.ceil((now + (capacity - tokens + 1) / refillPerMs) / 1000),
+        };
+        if (await store.put(key, bucket, previous)) {
+            return 0;
+        }
+    }
+
+    // Every attempt lost to another request on the same bucket, which is a burst in itself
+    return 1;
+};
+
+/**
+ * @param {import('./auth.js').Identity} [identity] - The authenticated caller.
+ * @param {string} [sourceIp] - The caller's IP address.
+ * @returns {boolean} - Whether the caller is exempt from rate limits.
+ */
+const isExempt = (identity, sourceIp) => {
+    if (identity?.isAdmin) {
+        return true;
+    }
+    const bypass = (process.env.RATE_LIMIT_BYPASS || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+    return bypass.includes(identity?.username) || bypass.includes(sourceIp);
+};
+
+/**
+ * Takes a token from the caller's buckets for a route.
+ *
+ * @param {import('./http.js').Request} req - The request, for the caller's IP address.
+ * @param {import('./auth.js').Identity} [identity] - The authenticated caller.
+ * @param {string} route - The limited route, as keyed in `config/rateLimits.js`, e.g.
+ * `POST /players/{username}/stats`.
+ * @returns {Promise<void>}
+ * @throws {HttpError} - 429 with a `Retry-After` header if a bucket is empty.
+ */
+export const enforceRateLimit = async (req, identity, route) => {
+    const limits = RATE_LIMITS[route];
+    if (!limits || isExempt(identity, req.sourceIp)) {
+        return;
+    }
+
+    // The IP bucket goes first, so a caller behind a busy address is not charged for requests it rejects
+    const buckets = [
+        limits.ip && req.sourceIp && [`${route}#ip#${req.sourceIp}`, limits.ip],
+        limits.user && identity && [`${route}#user#${identity.username}`, limits.user],
+    ].filter(Boolean);
+
+    for (const [key, limit] of buckets) {
+        const retryAfter = await takeToken(key, limit);
+        if (retryAfter > 0) {
+            putMetric("RateLimited");
+            throw new HttpError(429, "Too many requests. Try again later.", {
+                details: { retryAfter },
+                headers: { "Retry-After": String(retryAfter) },
+            });
+        }
+    }
+};
@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Ghost replays stored in the asset bucket.
+ *
+ * Replays are stored gzipped under `replays/<username>/<level>/<time>.json.gz`, with
+ * `Content-Encoding: gzip` so clients receive the JSON directly. The player's `player-stats` item links
+ * them from `fastest-replays`, a map of level to a map of completion time to replay key, alongside the
+ * times in `fastest-times`. A replay is only linked while its time is one of the stored fastest times;
+ * once a faster run or an admin edit removes the time, the link and the object are removed too.
+ */
+
+import { gunzipSync } from 'node:zlib';
+import { DeleteObjectsCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { getAssetConfig } from '../config/assets.js';
+import {
+    MAX_REPLAY_BYTES,
+    MAX_REPLAY_FRAMES,
+    MAX_REPLAY_UNCOMPRESSED_BYTES,
+    REPLAY_PREFIX,
+    REPLAY_VERSIONS,
+    TIME_TOLERANCE_SECONDS,
+} from '../config/replays.js';
+import { s3Client } from './clients.js';
+import { HttpError } from './http.js';
+import { log } from './instrumentation.js';
+
+/** Maximum number of keys in one `DeleteObjects` call. */
+const DELETE_OBJECTS_LIMIT = 1000;
+
+/**
+ * @param {string} username - The player.
+ * @param {number} level - The level.
+ * @param {number} time - The completion time.
+ * @returns {string} - The object key of the replay.
+ */
+export const replayKey = (username, level, time) => `${REPLAY_PREFIX}${username}/${level}/${time}.json.gz`;
+
+/**
+ * Builds a 422 for a replay that does not match its run or is not a valid replay.
+ *
+ * @param {string} message - Description returned to the client.
+ * @returns {HttpError}
+ */
+const invalidReplay = (message) => new HttpError(422, message, { code: "invalid_replay" });
+
+/**
+ * Decompresses and checks an uploaded replay.
+ *
+ * @param {Buffer} body - The gzipped upload.
+ * @param {object} run - The run the replay claims to record.
+ * @param {number} run.level - The level.
+ * @param {number} run.completionTime - The completion time in seconds.
+ * @returns {object} - The parsed replay.
+ * @throws {HttpError} - 413 if the upload or its content is too large, 415 if it is not gzip, and 422 if it
+ * is not a valid replay of the run.
+ */
+export const parseReplay = (body, { level, completionTime }) => {
+    if (!Buffer.isBuffer(body) || body.length < 2 || body[0] !== 0x1f || body[1] !== 0x8b) {
+        throw new HttpError(415, "Replay must be uploaded gzipped, as application/gzip.");
+    }
+    if (body.length > MAX_REPLAY_BYTES) {
+        throw new HttpError(413, `Replay must not exceed ${MAX_REPLAY_BYTES} bytes.`);
+    }
+
+    let replay;
+    try {
+        replay = JSON.parse(gunzipSync(body, { maxOutputLength: MAX_REPLAY_UNCOMPRESSED_BYTES }).toString("utf8"));
+    } catch (error) {
+        if (error.code === "ERR_BUFFER_TOO_LARGE") {
+            throw new HttpError(413, `Replay must not exceed ${MAX_REPLAY_UNCOMPRESSED_BYTES} bytes uncompressed.`);
+        }
+        throw invalidReplay("Replay is not valid gzipped JSON.");
+    }
+
+    if (!REPLAY_VERSIONS.includes(replay?.version)) {
+        throw invalidReplay(`Replay version must be one of ${REPLAY_VERSIONS.join(", ")}.`);
+    }
+    if (replay.level !== level || replay.completionTime !== completionTime) {
+        throw invalidReplay("Replay does not match the level and completion time of the run.");
+    }
+
+    const { frames } = replay;
+    if (!Array.isArray(frames) || frames.length === 0 || frames.length > MAX_REPLAY_FRAMES) {
+        throw invalidReplay(`Replay must have between 1 and ${MAX_REPLAY_FRAMES} frames.`);
+    }
+    let previous = 0;
+    for (const frame of frames) {
+        if (!frame || typeof frame !== "object" || !Number.isFinite(frame.t) || frame.t < previous) {
+            throw invalidReplay("Replay frames must be objects with non-decreasing times.");
+        }
+        previous = frame.t;
+    }
+    if (Math.abs(previous - completionTime) > TIME_TOLERANCE_SECONDS) {
+        throw invalidReplay("Replay length does not match the completion time.");
+    }
+
+    return replay;
+};
+
+/**
+ * Deletes replay objects from the bucket.
+ *
+ * @param {string[]} keys - The object keys.
+ * @returns {Promise<void>}
+ */
+export const deleteReplayObjects = async (keys) => {
+    for (let start = 0; start < keys.length; start += DELETE_OBJECTS_LIMIT) {
+        await s3Client.send(new DeleteObjectsCommand({
+            Bucket: getAssetConfig().bucket,
+            Delete: {
+                Objects: keys.slice(start, start + DELETE_OBJECTS_LIMIT).map((Key) => ({ Key })),
+                Quiet: true,
+            },
+        }));
+    }
+};
+
+/**
+ * Keeps the replay links of the times that are still stored fastest times.
+ *
+ * @param {object} [replays] - The stored `fastest-replays`, `{ level: { time: key } }`.
+ * @param {object} [times] - The stored `fastest-times`, `{ level: number[] }`.
+ * @returns {{ replays: (object|undefined), unlinked: string[] }} - The links to keep, undefined if none,
+ * and the keys of the replays no longer linked.
+ */
+export const pruneReplays = (replays, times) => {
+    const kept = {};
+    const unlinked = [];
+    for (const [level, links] of Object.entries(replays || {})) {
+        for (const [time, key] of Object.entries(links || {})) {
+            if (times?.[level]?.map(Number).includes(Number(time))) {
+                kept[level] = { ...kept[level], [time]: key };
+            } else {
+                unlinked.push(key);
+            }
+        }
+    }
+    return { replays: Object.keys(kept).length > 0 ? kept : undefined, unlinked };
+};
+
+/**
+ * Unlinks and deletes the replays of times that dropped out of a player's `fastest-times`, e.g. after a
+ * faster run was merged.
+ *
+ * The update is conditional on the links not having changed since the item was read; if they did, the
+ * replays are left for the next run to tidy up. Replays are derived data, so failures are logged rather
+ * than thrown.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @param {object} stats - The player's `player-stats` item.
+ * @returns {Promise<string[]>} - Keys of the replays deleted.
+ */
+export const unlinkStaleReplays = async (dynamo, username, stats) => {
+    const stored = stats["fastest-replays"];
+    const { replays, unlinked } = pruneReplays(stored, stats["fastest-times"]);
+    if (unlinked.length === 0) {
+        return [];
+    }
+
+    try {
+        await dynamo.update({
+            TableName: "player-stats",
+            Key: { username },
+            UpdateExpression: replays ? "SET #replays = :replays" : "REMOVE #replays",
+            ConditionExpression: "#replays = :previous",
+            ExpressionAttributeNames: { "#replays": "fastest-replays" },
+            ExpressionAttributeValues: { ":previous": stored, ...(replays && { ":replays": replays }) },
+        });
+        await deleteReplayObjects(unlinked);
+    } catch (error) {
+        log.error("Error unlinking replays", { keys: unlinked, error });
+        return [];
+    }
+    return unlinked;
+};
+
+/**
+ * Deletes every replay of a player, e.g. when their account is deleted.
+ *
+ * @param {string} username - The player.
+ * @returns {Promise<number>} - The number of replays deleted.
+ */
+export const deleteReplays = async (username) => {
+    let deleted = 0;
+    let ContinuationToken;
+
+    do {
+        const response = await s3Client.send(new ListObjectsV2Command({
+            Bucket: getAssetConfig().bucket,
+            Prefix: `${REPLAY_PREFIX}${username}/`,
+            ContinuationToken,
+        }));
+        const keys = (response.Contents || []).map(({ Key }) => Key);
+        await deleteReplayObjects(keys);
+        deleted += keys.length;
+        ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return deleted;
+};
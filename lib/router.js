@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Path-based routing of API Gateway requests to operations.
+ *
+ * Routes are path templates with `{name}` parameters, e.g. `/users/{username}/character`, each with its
+ * operations by HTTP method. Both REST API (v1) and HTTP API (v2) events are routed on their request path,
+ * so the API can be deployed with a single `{proxy+}` or `$default` integration. A stage or base path in
+ * front of the routes can be removed with the `API_BASE_PATH` environment variable.
+ */
+
+import { createHttpHandler } from './http.js';
+
+/**
+ * @typedef {Object} Route
+ * @property {string} path - Path template, e.g. `/players/{username}/stats`.
+ * @property {Object<string, function>} operations - Operations by HTTP method.
+ */
+
+/**
+ * Compiles a path template into a regular expression and the names of its parameters.
+ *
+ * @param {string} path - The path template.
+ * @returns {{ pattern: RegExp, names: string[] }}
+ */
+const compile = (path) => {
+    const names = [];
+    const source = path.split("/").map((segment) => {
+        const match = segment.match(/^\{(\w+)\}$/);
+        if (match) {
+            names.push(match[1]);
+            return "([^/]+)";
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }).join("/");
+
+    return { pattern: new RegExp(`^${source}/?$`), names };
+};
+
+/**
+ * Decodes a path parameter, keeping malformed escapes as they were sent.
+ *
+ * @param {string} value - The raw path segment.
+ * @returns {string}
+ */
+const decode = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+};
+
+/**
+ * Creates a Lambda handler that routes requests to the first route matching their path.
+ *
+ * @param {Route[]} routes - The routes, most specific first.
+ * @returns {function(object, object): Promise<object>} - The Lambda handler.
+ */
+export const createRouter = (routes) => {
+    const compiled = routes.map((route) => ({ ...route, ...compile(route.path) }));
+
+    return createHttpHandler((requestPath = "/") => {
+        const basePath = process.env.API_BASE_PATH || "";
+        const path = basePath && requestPath.startsWith(basePath)
+            ? requestPath.slice(basePath.length) || "/"
+            : requestPath;
+
+        for (const { pattern, names, operations, path: route } of compiled) {
+            const match = path.match(pattern);
+            if (match) {
+                const params = Object.fromEntries(
+                    names.map((name, index) => [name, decode(match[index + 1])])
+                );
+                return { operations, params, route };
+            }
+        }
+        return null;
+    });
+};
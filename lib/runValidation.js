@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Server-side validation of submitted runs against the per-level rules in
+ * `config/levels.js`.
+ */
+
+import { LEVEL_RULES } from '../config/levels.js';
+
+/**
+ * @typedef {Object} RuleViolation
+ * @property {string} rule - Identifier of the broken rule.
+ * @property {string} field - The run field that broke the rule.
+ * @property {string} message - Human readable description of the violation.
+ * @property {*} [limit] - The limit the run was checked against, when the rule has one.
+ * @property {*} [value] - The submitted value.
+ */
+
+/**
+ * Checks a run against the rules of its level and the player's progress.
+ *
+ * All rules are checked so the caller can report every violation at once.
+ *
+ * @param {object} run - The parsed run (`level`, `coinsCollected`, `enemiesDefeated`, `completionTime`).
+ * @param {object} playerStats - The player's stored `player-stats` item (empty for a new player).
+ * @returns {RuleViolation[]} - The violations found; empty when the run is plausible.
+ */
+export const validateRun = (run, playerStats) => {
+    const rules = LEVEL_RULES[run.level];
+
+    if (!rules) {
+        return [{
+            rule: "allowed-level",
+            field: "level",
+            message: `Level ${run.level} does not exist.`,
+            value: run.level,
+        }];
+    }
+
+    const violations = [];
+
+    if (run.coinsCollected > rules.maxCoins) {
+        violations.push({
+            rule: "max-coins",
+            field: "coinsCollected",
+            message: `Level ${run.level} has only ${rules.maxCoins} coins.`,
+            limit: rules.maxCoins,
+            value: run.coinsCollected,
+        });
+    }
+
+    if (run.enemiesDefeated > rules.maxEnemies) {
+        violations.push({
+            rule: "max-enemies",
+            field: "enemiesDefeated",
+            message: `Level ${run.level} has only ${rules.maxEnemies} enemies.`,
+            limit: rules.maxEnemies,
+            value: run.enemiesDefeated,
+        });
+    }
+
+    if (run.completionTime < rules.minCompletionTime) {
+        violations.push({
+            rule: "min-completion-time",
+            field: "completionTime",
+            message: `Level ${run.level} cannot be completed in under ${rules.minCompletionTime} seconds.`,
+            limit: rules.minCompletionTime,
+            value: run.completionTime,
+        });
+    }
+
+    const completedLevels = new Set([...(playerStats["levels-completed"] || [])].map(Number));
+    const missingLevels = rules.requires.filter((level) => !completedLevels.has(level));
+    if (missingLevels.length > 0) {
+        violations.push({
+            rule: "level-prerequisites",
+            field: "level",
+            message: `Level ${run.level} requires level(s) ${missingLevels.join(", ")} to be completed first.`,
+            limit: rules.requires,
+            value: run.level,
+        });
+    }
+
+    return violations;
+};
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Cloud save slots kept in the `player-saves` table.
+ *
+ * Each player has up to `SAVE_SLOTS` slots (`username` partition key, `slot` sort key). A slot holds the
+ * game's save data as a JSON string, the schema version of that data (chosen by the game client), when it
+ * was last modified, and a `version` number incremented on every write. Writes must name the version they
+ * replace, so a save made on one device cannot silently overwrite a newer save from another.
+ */
+
+import { SAVE_SLOTS } from '../config/saves.js';
+import { HttpError } from './http.js';
+
+export const SAVES_TABLE_NAME = "player-saves";
+
+/**
+ * Parses a slot number from a path or query parameter.
+ *
+ * @param {*} slot - The requested slot.
+ * @returns {number}
+ * @throws {HttpError} - 400 if it is not one of the player's slots.
+ */
+export const parseSlot = (slot) => {
+    const number = Number(slot);
+    if (!Number.isInteger(number) || number < 1 || number > SAVE_SLOTS) {
+        throw new HttpError(400, `Slot must be an integer between 1 and ${SAVE_SLOTS}.`);
+    }
+    return number;
+};
+
+/**
+ * Converts a stored slot into its API representation.
+ *
+ * @param {object} item - The `player-saves` item.
+ * @param {boolean} [includeData] - Whether to include the save data, which slot listings leave out.
+ * @returns {object} - `slot`, `version`, `schemaVersion`, `updatedAt` and, if requested, `data`.
+ */
+export const toSave = (item, includeData = true) => ({
+    slot: item.slot,
+    version: item.version,
+    schemaVersion: item["schema-version"],
+    updatedAt: item["updated-at"],
+    ...(includeData && { data: JSON.parse(item.data) }),
+});
+
+/**
+ * Reads one slot.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The player.
+ * @param {number} slot - The slot number.
+ * @returns {Promise<object|undefined>} - The stored item.
+ */
+export const getSaveItem = async (dynamo, username, slot) => {
+    const { Item } = await dynamo.get({
+        TableName: SAVES_TABLE_NAME,
+        Key: { username, slot },
+        ConsistentRead: true,
+    });
+    return Item;
+};
+
+/**
+ * Builds the 409 returned when a write names a version that is no longer current.
+ *
+ * @param {object|undefined} item - The slot as currently stored, returned so the client can resolve the
+ * conflict.
+ * @returns {HttpError}
+ */
+export const saveConflict = (item) => new HttpError(409, "The save slot was changed by another device.", {
+    code: "save_conflict",
+    details: { server: item ? toSave(item) : null },
+});
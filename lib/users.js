@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Validation of account fields, and the per-user data held across tables for account export
+ * and deletion.
+ */
+
+import {
+    DISPLAY_NAME_MAX_LENGTH,
+    RESERVED_USERNAMES,
+    USERNAME_RULES,
+} from '../config/users.js';
+import { ACHIEVEMENTS_TABLE_NAME } from './achievements.js';
+import {
+    FRIEND_INDEX_NAME,
+    FRIEND_STATUS,
+    FRIENDS_TABLE_NAME,
+    listFriendItems,
+    releaseIncomingRequest,
+} from './friends.js';
+import { HttpError } from './http.js';
+import { LEADERBOARD_TABLE_NAME, USERNAME_INDEX_NAME } from './leaderboard.js';
+import { SAVES_TABLE_NAME } from './saves.js';
+
+export const USER_TABLE_NAME = "spacedash-user";
+
+/** Maximum number of requests in one `BatchWriteItem` call. */
+const BATCH_WRITE_LIMIT = 25;
+
+/** Attempts made to write a batch whose items DynamoDB keeps returning as unprocessed. */
+const MAX_BATCH_ATTEMPTS = 5;
+
+/**
+ * @typedef {Object} UserDataSource
+ * @property {string} name - Name of the data in an export.
+ * @property {string} table - The DynamoDB table.
+ * @property {string[]} keys - The table's key attributes.
+ * @property {string} [attribute] - The attribute holding the username (default `username`). Sources whose
+ * partition key is that attribute are read with a get or query.
+ * @property {string} [index] - A global secondary index partitioned by the attribute, queried for sources
+ * whose partition key is another attribute.
+ */
+
+/**
+ * Every table holding data about a user, in the order it is deleted. The `spacedash-user` item goes last,
+ * so a deletion that fails part way leaves the account in place and can be retried.
+ *
+ * The `moderation` and `moderation-audit` tables are deliberately left out, so deleting an account does not
+ * lift a ban (see `lib/moderation.js`).
+ *
+ * @type {UserDataSource[]}
+ */
+export const USER_DATA_SOURCES = [
+    {
+        name: "leaderboardEntries",
+        table: LEADERBOARD_TABLE_NAME,
+        keys: ["board", "username"],
+        index: USERNAME_INDEX_NAME,
+    },
+    { name: "suspiciousSubmissions", table: "suspicious-submissions", keys: ["username", "submitted-at"] },
+    { name: "achievements", table: ACHIEVEMENTS_TABLE_NAME, keys: ["username", "achievement"] },
+    { name: "saves", table: SAVES_TABLE_NAME, keys: ["username", "slot"] },
+    { name: "friends", table: FRIENDS_TABLE_NAME, keys: ["username", "friend"] },
+    // The other side of each friendship, stored under the friend
+    {
+        name: "friendOf",
+        table: FRIENDS_TABLE_NAME,
+        keys: ["username", "friend"],
+        attribute: "friend",
+        index: FRIEND_INDEX_NAME,
+    },
+    { name: "playerStats", table: "player-stats", keys: ["username"] },
+    { name: "user", table: USER_TABLE_NAME, keys: ["username"] },
+];
+
+/**
+ * Checks a username against {@link USERNAME_RULES}.
+ *
+ * @param {*} username - The requested username.
+ * @returns {string} - The username.
+ * @throws {HttpError} - 400 describing the broken rule.
+ */
+export const validateUsername = (username) => {
+    const { minLength, maxLength, pattern } = USERNAME_RULES;
+
+    if (typeof username !== "string" || username.length < minLength || username.length > maxLength) {
+        throw new HttpError(400, `Username must be between ${minLength} and ${maxLength} characters.`);
+    }
+    if (!pattern.test(username)) {
+        throw new HttpError(400, "Username may only contain letters, digits, underscores and hyphens.");
+    }
+    if (RESERVED_USERNAMES.includes(username.toLowerCase())) {
+        throw new HttpError(400, `Username "${username}" is reserved.`);
+    }
+    return username;
+};
+
+/**
+ * Checks and normalises a display name.
+ *
+ * @param {*} displayName - The requested display name.
+ * @returns {string} - The display name with surrounding whitespace removed.
+ * @throws {HttpError} - 400 if it is empty, too long or contains control characters.
+ */
+export const validateDisplayName = (displayName) => {
+    const trimmed = typeof displayName === "string" ? displayName.trim() : "";
+
+    if (trimmed.length === 0 || trimmed.length > DISPLAY_NAME_MAX_LENGTH) {
+        throw new HttpError(400, `Display name must be between 1 and ${DISPLAY_NAME_MAX_LENGTH} characters.`);
+    }
+    if (/\p{Cc}/u.test(trimmed)) {
+        throw new HttpError(400, "Display name may not contain control characters.");
+    }
+    return trimmed;
+};
+
+/**
+ * Reads every item a source holds for a user, following pagination.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {UserDataSource} source - The source to read.
+ * @param {string} username - The user.
+ * @returns {Promise<object[]>}
+ */
+const readSource = async (dynamo, { table, keys, attribute = "username", index }, username) => {
+    if (keys.length === 1 && keys[0] === attribute) {
+        const { Item } = await dynamo.get({
+            TableName: table,
+            Key: { [attribute]: username },
+            ConsistentRead: true,
+        });
+        return Item ? [Item] : [];
+    }
+
+    const items = [];
+    let ExclusiveStartKey;
+    do {
+        const result = await dynamo.query({
+            TableName: table,
+            KeyConditionExpression: "#attribute = :username",
+            ExpressionAttributeNames: { "#attribute": attribute },
+            ExpressionAttributeValues: { ":username": username },
+            // Global secondary indexes only support eventually consistent reads
+            ...(index ? { IndexName: index } : { ConsistentRead: true }),
+            ExclusiveStartKey,
+        });
+        items.push(...(result.Items || []));
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return items;
+};
+
+/**
+ * Reads everything stored about a user.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The user.
+ * @returns {Promise<Object<string, object[]>>} - The items of each source, by source name.
+ */
+export const readUserData = async (dynamo, username) => {
+    const entries = await Promise.all(USER_DATA_SOURCES.map(
+        async (source) => [source.name, await readSource(dynamo, source, username)]
+    ));
+    return Object.fromEntries(entries);
+};
+
+/**
+ * Deletes the items one source holds for a user, e.g. a player's entries on every leaderboard.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} name - The name of a source in {@link USER_DATA_SOURCES}.
+ * @param {string} username - The user.
+ * @returns {Promise<number>} - Number of items deleted.
+ */
+export const deleteUserItems = async (dynamo, name, username) => {
+    const source = USER_DATA_SOURCES.find((candidate) => candidate.name === name);
+    const items = await readSource(dynamo, source, username);
+    const requests = items.map((item) => ({
+        DeleteRequest: { Key: Object.fromEntries(source.keys.map((key) => [key, item[key]])) },
+    }));
+
+    for (let start = 0; start < requests.length; start += BATCH_WRITE_LIMIT) {
+        let pending = { [source.table]: requests.slice(start, start + BATCH_WRITE_LIMIT) };
+        for (let attempt = 1; pending; attempt++) {
+            if (attempt > MAX_BATCH_ATTEMPTS) {
+                throw new Error(`Failed to delete all items of ${username} from ${source.table}`);
+            }
+            const { UnprocessedItems } = await dynamo.batchWrite({ RequestItems: pending });
+            pending = Object.keys(UnprocessedItems || {}).length > 0 ? UnprocessedItems : undefined;
+        }
+    }
+
+    return items.length;
+};
+
+/**
+ * Deletes everything stored about a user, one source at a time in {@link USER_DATA_SOURCES} order.
+ *
+ * Pending requests the user sent are released from their receivers' counts (see `lib/friends.js`) once
+ * they are deleted. Deleting is idempotent, so a failed deletion can simply be repeated.
+ *
+ * @param {object} dynamo - The DynamoDB document client.
+ * @param {string} username - The user.
+ * @returns {Promise<Object<string, number>>} - Number of items deleted from each source, by source name.
+ */
+export const deleteUserData = async (dynamo, username) => {
+    const deleted = {};
+    const sent = (await listFriendItems(dynamo, username))
+        .filter((item) => item.status === FRIEND_STATUS.outgoing);
+
+    for (const { name } of USER_DATA_SOURCES) {
+        deleted[name] = await deleteUserItems(dynamo, name, username);
+    }
+    for (const { friend } of sent) {
+        await releaseIncomingRequest(dynamo, USER_TABLE_NAME, friend);
+    }
+
+    return deleted;
+};
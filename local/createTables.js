@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Creates the tables from `tables.js` in DynamoDB Local, skipping those that exist.
+ *
+ * Usage: `DYNAMODB_ENDPOINT=http://localhost:8000 npm run tables`
+ */
+
+import { CreateTableCommand, DynamoDB, ListTablesCommand, UpdateTimeToLiveCommand } from '@aws-sdk/client-dynamodb';
+import { TABLES, TIME_TO_LIVE } from './tables.js';
+
+if (!process.env.DYNAMODB_ENDPOINT) {
+    console.error("DYNAMODB_ENDPOINT must be set, e.g. http://localhost:8000");
+    process.exit(1);
+}
+
+const client = new DynamoDB({ endpoint: process.env.DYNAMODB_ENDPOINT });
+const { TableNames = [] } = await client.send(new ListTablesCommand({}));
+
+for (const table of TABLES) {
+    if (TableNames.includes(table.TableName)) {
+        console.log(`${table.TableName}: exists`);
+        continue;
+    }
+    await client.send(new CreateTableCommand({ ...table, BillingMode: "PAY_PER_REQUEST" }));
+    if (TIME_TO_LIVE[table.TableName]) {
+        await client.send(new UpdateTimeToLiveCommand({
+            TableName: table.TableName,
+            TimeToLiveSpecification: { AttributeName: TIME_TO_LIVE[table.TableName], Enabled: true },
+        }));
+    }
+    console.log(`${table.TableName}: created`);
+}
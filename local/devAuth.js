@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Development tokens for running the handlers locally and in tests.
+ *
+ * Importing this module generates an RSA key pair, writes its public key set to a temporary file (removed
+ * when the process exits) and points `JWKS_FILE` at it, so `lib/auth.js` accepts the tokens signed by
+ * {@link signToken}. Never import it in a deployed Lambda.
+ */
+
+import { generateKeyPairSync, randomUUID, sign } from 'node:crypto';
+import { rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+const KEY_ID = `dev-${randomUUID()}`;
+
+const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const jwksFile = join(tmpdir(), `spacedash-dev-jwks-${process.pid}.json`);
+const jwk = { ...publicKey.export({ format: "jwk" }), kid: KEY_ID, alg: "RS256" };
+writeFileSync(jwksFile, JSON.stringify({ keys: [jwk] }));
+process.env.JWKS_FILE = jwksFile;
+process.on("exit", () => rmSync(jwksFile, { force: true }));
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+/**
+ * Signs a token with the development key.
+ *
+ * @param {object} claims - The token claims; `iat` and `exp` are added unless given.
+ * @param {object} [options]
+ * @param {number} [options.expiresInSeconds] - Lifetime of the token (default one hour).
+ * @returns {string} - The JWT.
+ */
+export const signToken = (claims, { expiresInSeconds = 3600 } = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = encode({ alg: "RS256", typ: "JWT", kid: KEY_ID });
+    const payload = encode({ iat: now, exp: now + expiresInSeconds, ...claims });
+    const signature = sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), privateKey);
+    return `${header}.${payload}.${signature.toString("base64url")}`;
+};
+
+/**
+ * Signs a token for a player, as Cognito would issue it.
+ *
+ * @param {string} username - The player's username.
+ * @param {object} [options]
+ * @param {boolean} [options.admin] - Put the player in the `ADMIN_GROUP` group.
+ * @returns {string} - The JWT.
+ */
+export const devToken = (username, { admin = false } = {}) => signToken({
+    "cognito:username": username,
+    ...(admin && { "cognito:groups": [process.env.ADMIN_GROUP || "admin"] }),
+});
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Sample API Gateway events, used by the invoke CLI and the tests.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { devToken } from './devAuth.js';
+
+/**
+ * Builds an API Gateway REST API (v1) proxy event.
+ *
+ * Empty query string and path parameters are sent as `null`, as API Gateway does.
+ *
+ * @param {object} [request]
+ * @param {string} [request.method] - The HTTP method (default `GET`).
+ * @param {string} [request.path] - The request path (default `/`).
+ * @param {Object<string, string>} [request.query] - Query string parameters.
+ * @param {Object<string, string>} [request.params] - Path parameters.
+ * @param {Object<string, string>} [request.headers] - Request headers.
+ * @param {*} [request.body] - A JSON body, serialised unless it is already a string, or a Buffer sent base64
+ * encoded.
+ * @param {string} [request.user] - Send a development token for this player.
+ * @param {boolean} [request.admin] - Make the player an admin.
+ * @param {string} [request.sourceIp] - The caller's IP address.
+ * @returns {object}
+ */
+export const apiGatewayEvent = ({
+    method = "GET", path = "/", query, params, headers = {}, body, user, admin = false, sourceIp = "127.0.0.1",
+} = {}) => {
+    const binary = Buffer.isBuffer(body);
+    const nonEmpty = (map) => (map && Object.keys(map).length > 0 ? map : null);
+
+    return {
+        resource: path,
+        path,
+        httpMethod: method,
+        headers: {
+            ...(body !== undefined && { "Content-Type": binary ? "application/octet-stream" : "application/json" }),
+            ...(user && { Authorization: `Bearer ${devToken(user, { admin })}` }),
+            ...headers,
+        },
+        queryStringParameters: nonEmpty(query),
+        pathParameters: nonEmpty(params),
+        body: body === undefined
+            ? null
+            : binary ? body.toString("base64") : typeof body === "string" ? body : JSON.stringify(body),
+        isBase64Encoded: binary,
+        requestContext: {
+            requestId: randomUUID(),
+            stage: "local",
+            identity: { sourceIp, userAgent: "spacedash-local" },
+        },
+    };
+};
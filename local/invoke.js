@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Invokes a handler locally with a sample API Gateway (REST) event and prints the response.
+ *
+ * Usage: `npm run invoke -- <handler file> [options]`, e.g.
+ *
+ *     npm run invoke -- apiRouter.js --path /players/alice/stats --user alice --memory --seed seed.json
+ *     npm run invoke -- updatePlayerStatsDDB.js --method POST --user alice --query username=alice \
+ *         --body '{"level":1,"completionTime":42,"coinsCollected":10,"enemiesDefeated":3}'
+ *
+ * Options:
+ *
+ * - `--method`, `--path`: Request method (default `GET`) and path (default `/`).
+ * - `--query name=value`, `--param name=value`, `--header name=value`: Query string parameters, path
+ *   parameters and headers; repeat for several.
+ * - `--body <json>` or `--body-file <path>`: Request body. A file that is not JSON is sent base64 encoded
+ *   with `--content-type` (default `application/octet-stream`), e.g. a gzipped replay.
+ * - `--user <username>`: Send a development token for the player (see `devAuth.js`); `--admin` makes them
+ *   an admin.
+ * - `--event <path>`: Send this event as is instead, e.g. for `backfillAchievementsDDB.js`.
+ * - `--memory`: Use the in-memory DynamoDB and S3 fakes instead of the clients configured by the
+ *   environment (see `lib/clients.js`).
+ * - `--seed <path>`: With `--memory`, a JSON file loaded before the call, of the form
+ *   `{ "tables": { <table>: [items] }, "objects": { <key>: <body> } }`; objects go to `ASSET_BUCKET`.
+ *
+ * The handler's logs and metrics (see `lib/instrumentation.js`) go to standard error, leaving the response
+ * alone on standard output.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { getAssetConfig } from '../config/assets.js';
+import { setClientFactories } from '../lib/clients.js';
+import { setLogWriter } from '../lib/instrumentation.js';
+import { apiGatewayEvent } from './events.js';
+import { MemoryDynamo } from './memoryDynamo.js';
+import { MemoryS3 } from './memoryS3.js';
+
+/** Lambda timeout reported to handlers through `getRemainingTimeInMillis`. */
+const TIMEOUT_MS = 15 * 60 * 1000;
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        method: { type: "string", default: "GET" },
+        path: { type: "string", default: "/" },
+        query: { type: "string", multiple: true, default: [] },
+        param: { type: "string", multiple: true, default: [] },
+        header: { type: "string", multiple: true, default: [] },
+        body: { type: "string" },
+        "body-file": { type: "string" },
+        "content-type": { type: "string", default: "application/octet-stream" },
+        user: { type: "string" },
+        admin: { type: "boolean", default: false },
+        event: { type: "string" },
+        memory: { type: "boolean", default: false },
+        seed: { type: "string" },
+    },
+});
+
+if (positionals.length !== 1) {
+    console.error("Usage: npm run invoke -- <handler file> [--method GET] [--path /] [--query name=value] ...");
+    process.exit(1);
+}
+
+/**
+ * @param {string[]} pairs - `name=value` strings.
+ * @returns {Object<string, string>}
+ */
+const toMap = (pairs) =>
+    Object.fromEntries(pairs.map((pair) => {
+        const index = pair.indexOf("=");
+        return index === -1 ? [pair, ""] : [pair.slice(0, index), pair.slice(index + 1)];
+    }));
+
+/**
+ * Reads the request body: a JSON string, or a Buffer for a file that is not JSON.
+ *
+ * @returns {Promise<string|Buffer|undefined>}
+ */
+const readBody = async () => {
+    if (options.body !== undefined || !options["body-file"]) {
+        return options.body;
+    }
+
+    const bytes = await readFile(options["body-file"]);
+    try {
+        JSON.parse(bytes.toString("utf8"));
+        return bytes.toString("utf8");
+    } catch {
+        return bytes;
+    }
+};
+
+/**
+ * Builds a REST API (v1) proxy event from the options.
+ *
+ * @returns {Promise<object>}
+ */
+const buildEvent = async () => {
+    const body = await readBody();
+    return apiGatewayEvent({
+        method: options.method.toUpperCase(),
+        path: options.path,
+        query: toMap(options.query),
+        params: toMap(options.param),
+        headers: {
+            ...(Buffer.isBuffer(body) && { "Content-Type": options["content-type"] }),
+            ...toMap(options.header),
+        },
+        body,
+        user: options.user,
+        admin: options.admin,
+    });
+};
+
+/**
+ * Replaces the clients with in-memory fakes, seeded from `--seed`.
+ *
+ * @returns {Promise<void>}
+ */
+const useMemoryClients = async () => {
+    const dynamo = new MemoryDynamo();
+    const s3 = new MemoryS3();
+
+    if (options.seed) {
+        const { tables = {}, objects = {} } = JSON.parse(await readFile(options.seed, "utf8"));
+        for (const [table, items] of Object.entries(tables)) {
+            dynamo.seed(table, items);
+        }
+        for (const [key, body] of Object.entries(objects)) {
+            s3.seed(getAssetConfig().bucket, key, body);
+        }
+    }
+
+    setClientFactories({ dynamo: () => dynamo, s3: () => s3 });
+};
+
+if (options.memory) {
+    await useMemoryClients();
+}
+setLogWriter((line) => process.stderr.write(`${line}\n`));
+
+const event = options.event ? JSON.parse(await readFile(options.event, "utf8")) : await buildEvent();
+const startedAt = Date.now();
+const context = {
+    awsRequestId: event.requestContext?.requestId ?? randomUUID(),
+    functionName: positionals[0].replace(/\.js$/, ""),
+    getRemainingTimeInMillis: () => TIMEOUT_MS - (Date.now() - startedAt),
+};
+
+const { handler } = await import(pathToFileURL(resolve(positionals[0])).href);
+const response = await handler(event, context);
+
+// Print JSON bodies parsed so the output is readable
+if (typeof response?.body === "string" && response.headers?.["Content-Type"] === "application/json" && response.body) {
+    response.body = JSON.parse(response.body);
+}
+console.log(JSON.stringify(response, null, 2));
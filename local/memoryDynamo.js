@@ -0,0 +1,976 @@
+/**
+ * @fileoverview In-memory stand-in for the DynamoDB document client, for tests and local runs.
+ *
+ * Implements the document client calls the handlers make (`get`, `put`, `update`, `delete`, `query`,
+ * `scan`, `batchGet`, `batchWrite` and `transactWrite`) on plain JavaScript values, for the tables in
+ * `tables.js`. Condition, key condition, filter, update (`SET`, `ADD`, `REMOVE`, `DELETE`) and projection
+ * expressions are evaluated much as DynamoDB does, including its checks that every expression attribute
+ * name and value is defined and used, and that nested paths being set have a parent. Failures are thrown
+ * with the error names the SDK uses, e.g. `ConditionalCheckFailedException`.
+ *
+ * Queries and scans stop after about 1 MB of items, as DynamoDB does, so code that ignores
+ * `LastEvaluatedKey` loses items here too. The `pageSize` option makes pages smaller still. Requests with
+ * `ReturnConsumedCapacity` get an estimate of the capacity DynamoDB would have used.
+ *
+ * Items are copied in and out, so callers never share state with the store.
+ */
+
+import { TABLES } from './tables.js';
+
+/**
+ * @param {string} name - The SDK error name.
+ * @param {string} message
+ * @param {object} [extra] - Extra error properties, e.g. `CancellationReasons`.
+ * @returns {Error}
+ */
+const awsError = (name, message, extra = {}) => Object.assign(new Error(message), { name, ...extra });
+
+const conditionFailed = () => awsError("ConditionalCheckFailedException", "The conditional request failed");
+
+const validation = (message) => awsError("ValidationException", message);
+
+/** Marks the writes of a transaction whose conditions have already been checked together. */
+const CHECKED = Symbol("checked");
+
+/** Size of the data a query or scan reads before returning a page. */
+const MAX_PAGE_BYTES = 1024 * 1024;
+
+/** Bytes covered by one read capacity unit, and by one write capacity unit. */
+const READ_UNIT_BYTES = 4 * 1024;
+const WRITE_UNIT_BYTES = 1024;
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+/**
+ * Orders two key values as DynamoDB does: numbers numerically, strings by code point.
+ *
+ * @returns {number}
+ */
+const compareValues = (a, b) => {
+    if (a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+};
+
+/**
+ * Deep equality of stored values, including sets.
+ *
+ * @returns {boolean}
+ */
+const equals = (a, b) => {
+    if (a === b) {
+        return true;
+    }
+    if (a instanceof Set && b instanceof Set) {
+        return a.size === b.size && [...a].every((value) => b.has(value));
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, index) => equals(value, b[index]));
+    }
+    if (a && b && typeof a === "object" && typeof b === "object" && !Array.isArray(a) && !Array.isArray(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every((key) => equals(a[key], b[key]));
+    }
+    return false;
+};
+
+/**
+ * Approximates the stored size of an item from its JSON encoding.
+ *
+ * @param {object} item
+ * @returns {number} - The size in bytes.
+ */
+const itemSize = (item) =>
+    Buffer.byteLength(JSON.stringify(item, (key, value) => (value instanceof Set ? [...value] : value)));
+
+/**
+ * @param {number} bytes - The size of the data read.
+ * @param {boolean} [consistent] - Whether the read was strongly consistent.
+ * @returns {number} - The read capacity units used: one per 4 KB, halved for eventually consistent reads.
+ */
+const readUnits = (bytes, consistent) => Math.max(1, Math.ceil(bytes / READ_UNIT_BYTES)) * (consistent ? 1 : 0.5);
+
+/**
+ * @param {...object} [items] - The items before and after the write; the larger one is billed.
+ * @returns {number} - The write capacity units used: one per 1 KB.
+ */
+const writeUnits = (...items) =>
+    Math.max(1, ...items.filter(Boolean).map((item) => Math.ceil(itemSize(item) / WRITE_UNIT_BYTES)));
+
+/**
+ * Adds the capacity a request used to its result if the request asked for it.
+ *
+ * @param {object} result - The result of the request.
+ * @param {object} params - The request's parameters.
+ * @param {number} units - The capacity units used.
+ * @returns {object}
+ */
+const withCapacity = (result, params, units) => (
+    params.ReturnConsumedCapacity && params.ReturnConsumedCapacity !== "NONE"
+        ? { ...result, ConsumedCapacity: { TableName: params.TableName, CapacityUnits: units } }
+        : result
+);
+
+/**
+ * Totals the capacity of the requests making up a batch or transaction, by table.
+ *
+ * @param {object} params - The batch's parameters.
+ * @param {object[]} results - The results of its requests, with their `ConsumedCapacity`.
+ * @param {number} [factor] - Multiplier of the units, e.g. 2 for transactions.
+ * @returns {object[]|undefined} - The batch's `ConsumedCapacity`, if it asked for it.
+ */
+const totalCapacity = (params, results, factor = 1) => {
+    if (!params.ReturnConsumedCapacity || params.ReturnConsumedCapacity === "NONE") {
+        return undefined;
+    }
+    const byTable = {};
+    for (const { TableName, CapacityUnits } of results.map((result) => result.ConsumedCapacity)) {
+        byTable[TableName] = (byTable[TableName] ?? 0) + CapacityUnits * factor;
+    }
+    return Object.entries(byTable).map(([TableName, CapacityUnits]) => ({ TableName, CapacityUnits }));
+};
+
+/** Matches one expression token: a name placeholder, a value placeholder, a word, a number or punctuation. */
+const TOKEN = /\s*(?:(#\w+)|(:\w+)|([A-Za-z_]\w*)|(\d+)|(<>|<=|>=|[=<>(),.+\-[\]]))/y;
+
+const KEYWORDS = new Set(["AND", "OR", "NOT", "BETWEEN", "IN", "SET", "ADD", "REMOVE", "DELETE"]);
+const UPDATE_CLAUSES = new Set(["SET", "ADD", "REMOVE", "DELETE"]);
+const COMPARATORS = new Set(["=", "<>", "<", "<=", ">", ">="]);
+const CONDITION_FUNCTIONS = new Set(["attribute_exists", "attribute_not_exists", "contains", "begins_with"]);
+
+/**
+ * Splits an expression into tokens.
+ *
+ * @param {string} expression
+ * @returns {{ type: string, text: string }[]}
+ */
+const tokenize = (expression) => {
+    const tokens = [];
+    TOKEN.lastIndex = 0;
+    while (TOKEN.lastIndex < expression.length) {
+        if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) {
+            break;
+        }
+        const start = TOKEN.lastIndex;
+        const match = TOKEN.exec(expression);
+        if (!match) {
+            throw validation(`Invalid expression: syntax error at "${expression.slice(start)}"`);
+        }
+        const [, name, value, word, number, punctuation] = match;
+        if (name) {
+            tokens.push({ type: "name", text: name });
+        } else if (value) {
+            tokens.push({ type: "value", text: value });
+        } else if (word) {
+            tokens.push({ type: KEYWORDS.has(word.toUpperCase()) ? "keyword" : "word", text: word });
+        } else if (number) {
+            tokens.push({ type: "number", text: number });
+        } else {
+            tokens.push({ type: "punctuation", text: punctuation });
+        }
+    }
+    return tokens;
+};
+
+/**
+ * Parses the expressions of one request, resolving placeholders and recording which were used.
+ */
+class ExpressionParser {
+    /**
+     * @param {object} [names] - `ExpressionAttributeNames`.
+     * @param {object} [values] - `ExpressionAttributeValues`.
+     */
+    constructor(names = {}, values = {}) {
+        this.names = names;
+        this.values = values;
+        this.usedNames = new Set();
+        this.usedValues = new Set();
+    }
+
+    /**
+     * Throws if a name or value was supplied but no expression used it, as DynamoDB does.
+     */
+    checkAllUsed() {
+        const unusedNames = Object.keys(this.names).filter((name) => !this.usedNames.has(name));
+        const unusedValues = Object.keys(this.values).filter((value) => !this.usedValues.has(value));
+        if (unusedNames.length > 0) {
+            throw validation(
+                `Value provided in ExpressionAttributeNames unused in expressions: keys: {${unusedNames}}`
+            );
+        }
+        if (unusedValues.length > 0) {
+            throw validation(
+                `Value provided in ExpressionAttributeValues unused in expressions: keys: {${unusedValues}}`
+            );
+        }
+    }
+
+    start(expression) {
+        this.tokens = tokenize(expression);
+        this.position = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    accept(text) {
+        if (this.peek()?.text.toUpperCase() === text) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(text) {
+        if (!this.accept(text)) {
+            throw validation(`Invalid expression: expected "${text}" but found "${this.peek()?.text ?? "end"}"`);
+        }
+    }
+
+    end() {
+        if (this.position < this.tokens.length) {
+            throw validation(`Invalid expression: unexpected "${this.peek().text}"`);
+        }
+    }
+
+    resolveName(token) {
+        if (token.type === "word") {
+            return token.text;
+        }
+        if (token.type !== "name") {
+            throw validation(`Invalid expression: expected an attribute name but found "${token.text}"`);
+        }
+        if (!Object.hasOwn(this.names, token.text)) {
+            throw validation(
+                `An expression attribute name used in the document path is not defined; attribute name: ${token.text}`
+            );
+        }
+        this.usedNames.add(token.text);
+        return this.names[token.text];
+    }
+
+    resolveValue(token) {
+        if (!Object.hasOwn(this.values, token.text)) {
+            throw validation(
+                `An expression attribute value used in expression is not defined; attribute value: ${token.text}`
+            );
+        }
+        this.usedValues.add(token.text);
+        return this.values[token.text];
+    }
+
+    /** @returns {(string|number)[]} - The path's segments; numbers are list indexes. */
+    parsePath() {
+        const path = [this.resolveName(this.next() ?? {})];
+        for (;;) {
+            if (this.accept(".")) {
+                path.push(this.resolveName(this.next() ?? {}));
+            } else if (this.accept("[")) {
+                path.push(Number(this.next()?.text));
+                this.expect("]");
+            } else {
+                return path;
+            }
+        }
+    }
+
+    parseOperand() {
+        const token = this.peek();
+        if (token?.type === "value") {
+            this.next();
+            return { type: "value", value: this.resolveValue(token) };
+        }
+        if (token?.type === "word" && token.text === "size" && this.peek(1)?.text === "(") {
+            this.position += 2;
+            const path = this.parsePath();
+            this.expect(")");
+            return { type: "size", path };
+        }
+        return { type: "path", path: this.parsePath() };
+    }
+
+    /** Parses a condition, key condition or filter expression. */
+    parseCondition(expression) {
+        this.start(expression);
+        const condition = this.parseOr();
+        this.end();
+        return condition;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.accept("OR")) {
+            left = { type: "or", left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.accept("AND")) {
+            left = { type: "and", left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        return this.accept("NOT") ? { type: "not", operand: this.parseNot() } : this.parsePrimary();
+    }
+
+    parsePrimary() {
+        if (this.accept("(")) {
+            const condition = this.parseOr();
+            this.expect(")");
+            return condition;
+        }
+
+        const token = this.peek();
+        if (token?.type === "word" && CONDITION_FUNCTIONS.has(token.text) && this.peek(1)?.text === "(") {
+            this.position += 2;
+            const args = [this.parseOperand()];
+            while (this.accept(",")) {
+                args.push(this.parseOperand());
+            }
+            this.expect(")");
+            return { type: "function", name: token.text, args };
+        }
+
+        const left = this.parseOperand();
+        if (COMPARATORS.has(this.peek()?.text)) {
+            return { type: "compare", operator: this.next().text, left, right: this.parseOperand() };
+        }
+        if (this.accept("BETWEEN")) {
+            const low = this.parseOperand();
+            this.expect("AND");
+            return { type: "between", operand: left, low, high: this.parseOperand() };
+        }
+        if (this.accept("IN")) {
+            this.expect("(");
+            const options = [this.parseOperand()];
+            while (this.accept(",")) {
+                options.push(this.parseOperand());
+            }
+            this.expect(")");
+            return { type: "in", operand: left, options };
+        }
+        throw validation(`Invalid expression: expected a comparison after "${token?.text}"`);
+    }
+
+    /** Parses an update expression into its actions. */
+    parseUpdate(expression) {
+        this.start(expression);
+        const actions = [];
+
+        while (this.position < this.tokens.length) {
+            const clause = this.next().text.toUpperCase();
+            if (!UPDATE_CLAUSES.has(clause)) {
+                throw validation(`Invalid UpdateExpression: unexpected "${clause}"`);
+            }
+            do {
+                const path = this.parsePath();
+                if (clause === "SET") {
+                    this.expect("=");
+                    actions.push({ clause, path, value: this.parseSetValue() });
+                } else if (clause === "REMOVE") {
+                    actions.push({ clause, path });
+                } else {
+                    actions.push({ clause, path, value: this.parseOperand() });
+                }
+            } while (this.accept(","));
+        }
+        return actions;
+    }
+
+    parseSetValue() {
+        const left = this.parseSetTerm();
+        if (this.peek()?.text === "+" || this.peek()?.text === "-") {
+            return { type: "arithmetic", operator: this.next().text, left, right: this.parseSetTerm() };
+        }
+        return left;
+    }
+
+    parseSetTerm() {
+        const token = this.peek();
+        if (token?.type === "word" && ["if_not_exists", "list_append"].includes(token.text)) {
+            this.position += 2;
+            const first = token.text === "if_not_exists"
+                ? { type: "path", path: this.parsePath() }
+                : this.parseSetTerm();
+            this.expect(",");
+            const second = this.parseSetTerm();
+            this.expect(")");
+            return { type: token.text, first, second };
+        }
+        return this.parseOperand();
+    }
+
+    /** Parses a projection expression into paths. */
+    parseProjection(expression) {
+        this.start(expression);
+        const paths = [this.parsePath()];
+        while (this.accept(",")) {
+            paths.push(this.parsePath());
+        }
+        this.end();
+        return paths;
+    }
+}
+
+/**
+ * @param {object} item
+ * @param {(string|number)[]} path
+ * @returns {*} - The value at the path, or undefined.
+ */
+const getPath = (item, path) => path.reduce((value, segment) => (value == null ? undefined : value[segment]), item);
+
+/**
+ * Sets a value at a path whose parent must already exist, as `SET` requires.
+ */
+const setPath = (item, path, value) => {
+    const parent = getPath(item, path.slice(0, -1));
+    if (parent === null || typeof parent !== "object" || parent instanceof Set) {
+        throw validation("The document path provided in the update expression is invalid for update");
+    }
+    parent[path[path.length - 1]] = value;
+};
+
+const removePath = (item, path) => {
+    const parent = getPath(item, path.slice(0, -1));
+    if (Array.isArray(parent)) {
+        parent.splice(path[path.length - 1], 1);
+    } else if (parent && typeof parent === "object") {
+        delete parent[path[path.length - 1]];
+    }
+};
+
+const sizeOf = (value) => {
+    if (typeof value === "string" || Array.isArray(value)) {
+        return value.length;
+    }
+    if (value instanceof Set) {
+        return value.size;
+    }
+    return value && typeof value === "object" ? Object.keys(value).length : undefined;
+};
+
+const operandValue = (operand, item) => {
+    switch (operand.type) {
+        case "value":
+            return operand.value;
+        case "size":
+            return sizeOf(getPath(item, operand.path));
+        default:
+            return getPath(item, operand.path);
+    }
+};
+
+const compare = (operator, left, right) => {
+    if (left === undefined || right === undefined) {
+        return false;
+    }
+    if (operator === "=") {
+        return equals(left, right);
+    }
+    if (operator === "<>") {
+        return !equals(left, right);
+    }
+    if (typeof left !== typeof right || !["number", "string"].includes(typeof left)) {
+        return false;
+    }
+    return { "<": left < right, "<=": left <= right, ">": left > right, ">=": left >= right }[operator];
+};
+
+/**
+ * Evaluates a parsed condition against an item.
+ *
+ * @returns {boolean}
+ */
+const evaluate = (condition, item) => {
+    switch (condition.type) {
+        case "or":
+            return evaluate(condition.left, item) || evaluate(condition.right, item);
+        case "and":
+            return evaluate(condition.left, item) && evaluate(condition.right, item);
+        case "not":
+            return !evaluate(condition.operand, item);
+        case "compare":
+            return compare(condition.operator, operandValue(condition.left, item), operandValue(condition.right, item));
+        case "between": {
+            const value = operandValue(condition.operand, item);
+            return compare(">=", value, operandValue(condition.low, item)) &&
+                compare("<=", value, operandValue(condition.high, item));
+        }
+        case "in": {
+            const value = operandValue(condition.operand, item);
+            return condition.options.some((option) => compare("=", value, operandValue(option, item)));
+        }
+        case "function": {
+            const [target, argument] = condition.args.map((arg) => operandValue(arg, item));
+            switch (condition.name) {
+                case "attribute_exists":
+                    return target !== undefined;
+                case "attribute_not_exists":
+                    return target === undefined;
+                case "begins_with":
+                    return typeof target === "string" && target.startsWith(argument);
+                default: // contains
+                    if (typeof target === "string") {
+                        return target.includes(argument);
+                    }
+                    if (target instanceof Set) {
+                        return target.has(argument);
+                    }
+                    return Array.isArray(target) && target.some((value) => equals(value, argument));
+            }
+        }
+        default:
+            throw new Error(`Unknown condition ${condition.type}`);
+    }
+};
+
+/**
+ * Computes the value of a `SET` action against the item as it was before the update.
+ */
+const setValue = (value, item) => {
+    switch (value.type) {
+        case "arithmetic": {
+            const left = setValue(value.left, item);
+            const right = setValue(value.right, item);
+            if (typeof left !== "number" || typeof right !== "number") {
+                throw validation("An operand in the update expression has an incorrect data type");
+            }
+            return value.operator === "+" ? left + right : left - right;
+        }
+        case "if_not_exists":
+            return getPath(item, value.first.path) ?? setValue(value.second, item);
+        case "list_append":
+            return [...setValue(value.first, item), ...setValue(value.second, item)];
+        default:
+            return clone(operandValue(value, item));
+    }
+};
+
+/**
+ * Applies update actions to a copy of an item.
+ *
+ * @returns {object} - The updated item.
+ */
+const applyUpdate = (actions, item) => {
+    const updated = clone(item);
+
+    for (const action of actions) {
+        const current = getPath(updated, action.path);
+        switch (action.clause) {
+            case "SET":
+                setPath(updated, action.path, setValue(action.value, item));
+                break;
+            case "REMOVE":
+                removePath(updated, action.path);
+                break;
+            case "ADD": {
+                const value = operandValue(action.value, item);
+                if (typeof value === "number" && (current === undefined || typeof current === "number")) {
+                    setPath(updated, action.path, (current ?? 0) + value);
+                } else if (value instanceof Set && (current === undefined || current instanceof Set)) {
+                    setPath(updated, action.path, new Set([...(current ?? []), ...value]));
+                } else {
+                    throw validation("An operand in the update expression has an incorrect data type");
+                }
+                break;
+            }
+            default: { // DELETE
+                const value = operandValue(action.value, item);
+                if (!(value instanceof Set) || (current !== undefined && !(current instanceof Set))) {
+                    throw validation("An operand in the update expression has an incorrect data type");
+                }
+                const remaining = new Set([...(current ?? [])].filter((entry) => !value.has(entry)));
+                if (remaining.size > 0) {
+                    setPath(updated, action.path, remaining);
+                } else {
+                    removePath(updated, action.path);
+                }
+            }
+        }
+    }
+    return updated;
+};
+
+/**
+ * Copies only the projected paths of an item.
+ */
+const project = (item, paths) => {
+    if (!paths) {
+        return clone(item);
+    }
+    const projected = {};
+    for (const path of paths) {
+        const value = getPath(item, path);
+        if (value === undefined) {
+            continue;
+        }
+        let target = projected;
+        for (const segment of path.slice(0, -1)) {
+            target[segment] ??= {};
+            target = target[segment];
+        }
+        target[path[path.length - 1]] = clone(value);
+    }
+    return projected;
+};
+
+/**
+ * One table: its key schema, indexes and items.
+ */
+class Table {
+    constructor(definition) {
+        const keyOf = (schema) => ({
+            hash: schema.find(({ KeyType }) => KeyType === "HASH").AttributeName,
+            range: schema.find(({ KeyType }) => KeyType === "RANGE")?.AttributeName,
+        });
+        this.name = definition.TableName;
+        this.key = keyOf(definition.KeySchema);
+        this.indexes = Object.fromEntries(
+            (definition.GlobalSecondaryIndexes || []).map((index) => [index.IndexName, keyOf(index.KeySchema)])
+        );
+        this.items = new Map();
+    }
+
+    keyAttributes() {
+        return [this.key.hash, this.key.range].filter(Boolean);
+    }
+
+    /** @returns {string} - The storage key of an item or key, checking it against the schema. */
+    storageKey(key) {
+        const attributes = this.keyAttributes();
+        if (attributes.some((name) => key[name] === undefined || key[name] === null)) {
+            throw validation("The provided key element does not match the schema");
+        }
+        return JSON.stringify(attributes.map((name) => key[name]));
+    }
+
+    /** @returns {object} - Only the key attributes of an item. */
+    primaryKey(item) {
+        return Object.fromEntries(this.keyAttributes().map((name) => [name, item[name]]));
+    }
+
+    /** @returns {number} - The order of two items or keys by primary key. */
+    compareKeys(a, b) {
+        return compareValues(a[this.key.hash], b[this.key.hash]) ||
+            compareValues(a[this.key.range], b[this.key.range]);
+    }
+
+    /** @returns {object[]} - Every item, ordered by primary key. */
+    sortedItems() {
+        return [...this.items.values()].sort((a, b) => this.compareKeys(a, b));
+    }
+}
+
+/**
+ * In-memory DynamoDB document client.
+ */
+export class MemoryDynamo {
+    /**
+     * @param {object[]} [tables] - Table definitions (default `TABLES` from `tables.js`).
+     * @param {object} [options]
+     * @param {number} [options.pageSize] - Maximum items per query or scan page, to exercise pagination.
+     * @param {number} [options.pageBytes] - Maximum size of the items read per page (default 1 MB, as in
+     * DynamoDB).
+     */
+    constructor(tables = TABLES, { pageSize = Infinity, pageBytes = MAX_PAGE_BYTES } = {}) {
+        this.tables = new Map(tables.map((definition) => [definition.TableName, new Table(definition)]));
+        this.pageSize = pageSize;
+        this.pageBytes = pageBytes;
+    }
+
+    table(name) {
+        const table = this.tables.get(name);
+        if (!table) {
+            throw awsError("ResourceNotFoundException", `Requested resource not found: Table: ${name} not found`);
+        }
+        return table;
+    }
+
+    /**
+     * Stores items directly, e.g. to seed a test.
+     *
+     * @param {string} tableName
+     * @param {object[]} items
+     */
+    seed(tableName, items) {
+        const table = this.table(tableName);
+        for (const item of items) {
+            table.items.set(table.storageKey(item), clone(item));
+        }
+    }
+
+    /**
+     * @param {string} tableName
+     * @returns {object[]} - Copies of every item in the table, ordered by primary key.
+     */
+    dump(tableName) {
+        return this.table(tableName).sortedItems().map(clone);
+    }
+
+    /** Removes every item from every table. */
+    clear() {
+        for (const table of this.tables.values()) {
+            table.items.clear();
+        }
+    }
+
+    /**
+     * Checks the optional condition of a write against the stored item.
+     *
+     * @param {ExpressionParser} parser - The request's parser.
+     * @param {object} params - The write's parameters.
+     * @param {object} [item] - The stored item.
+     * @returns {boolean}
+     */
+    conditionHolds(parser, params, item) {
+        if (!params.ConditionExpression) {
+            return true;
+        }
+        const condition = parser.parseCondition(params.ConditionExpression);
+        return params[CHECKED] || evaluate(condition, item ?? {});
+    }
+
+    async get(params) {
+        const { TableName, Key, ProjectionExpression, ExpressionAttributeNames, ConsistentRead } = params;
+        const table = this.table(TableName);
+        const parser = new ExpressionParser(ExpressionAttributeNames);
+        const paths = ProjectionExpression ? parser.parseProjection(ProjectionExpression) : undefined;
+        parser.checkAllUsed();
+
+        const item = table.items.get(table.storageKey(Key));
+        const units = readUnits(item ? itemSize(item) : 0, ConsistentRead);
+        return withCapacity(item ? { Item: project(item, paths) } : {}, params, units);
+    }
+
+    async put(params) {
+        const { TableName, Item, ReturnValues } = params;
+        const table = this.table(TableName);
+        const key = table.storageKey(Item);
+        const existing = table.items.get(key);
+        const parser = new ExpressionParser(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+        const holds = this.conditionHolds(parser, params, existing);
+        parser.checkAllUsed();
+        if (!holds) {
+            throw conditionFailed();
+        }
+
+        table.items.set(key, clone(Item));
+        const result = ReturnValues === "ALL_OLD" && existing ? { Attributes: clone(existing) } : {};
+        return withCapacity(result, params, writeUnits(existing, Item));
+    }
+
+    async update(params) {
+        const { TableName, Key, ReturnValues } = params;
+        const table = this.table(TableName);
+        const key = table.storageKey(Key);
+        const existing = table.items.get(key);
+        const parser = new ExpressionParser(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+        const actions = parser.parseUpdate(params.UpdateExpression);
+        const holds = this.conditionHolds(parser, params, existing);
+        parser.checkAllUsed();
+        if (!holds) {
+            throw conditionFailed();
+        }
+
+        const updated = applyUpdate(actions, existing ?? clone(table.primaryKey(Key)));
+        table.items.set(key, updated);
+
+        let result = {};
+        switch (ReturnValues) {
+            case "ALL_NEW":
+                result = { Attributes: clone(updated) };
+                break;
+            case "ALL_OLD":
+                result = existing ? { Attributes: clone(existing) } : {};
+                break;
+            case "UPDATED_NEW":
+                result = { Attributes: project(updated, actions.map(({ path }) => path.slice(0, 1))) };
+                break;
+        }
+        return withCapacity(result, params, writeUnits(existing, updated));
+    }
+
+    async delete(params) {
+        const { TableName, Key, ReturnValues } = params;
+        const table = this.table(TableName);
+        const key = table.storageKey(Key);
+        const existing = table.items.get(key);
+        const parser = new ExpressionParser(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+        const holds = this.conditionHolds(parser, params, existing);
+        parser.checkAllUsed();
+        if (!holds) {
+            throw conditionFailed();
+        }
+
+        table.items.delete(key);
+        const result = ReturnValues === "ALL_OLD" && existing ? { Attributes: clone(existing) } : {};
+        return withCapacity(result, params, writeUnits(existing));
+    }
+
+    async query(params) {
+        const table = this.table(params.TableName);
+        const index = params.IndexName ? table.indexes[params.IndexName] : table.key;
+        if (!index) {
+            throw validation(`The table does not have the specified index: ${params.IndexName}`);
+        }
+        const parser = new ExpressionParser(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+        const keyCondition = parser.parseCondition(params.KeyConditionExpression);
+
+        const direction = params.ScanIndexForward === false ? -1 : 1;
+        const order = (a, b) => direction * (
+            compareValues(a[index.range], b[index.range]) || table.compareKeys(a, b)
+        );
+        const items = [...table.items.values()]
+            .filter((item) => item[index.hash] !== undefined && (!index.range || item[index.range] !== undefined))
+            .filter((item) => evaluate(keyCondition, item))
+            .sort(order);
+        return this.page(table, index, items, order, parser, params);
+    }
+
+    async scan(params) {
+        const table = this.table(params.TableName);
+        const parser = new ExpressionParser(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+        const order = (a, b) => table.compareKeys(a, b);
+        return this.page(table, table.key, [...table.items.values()].sort(order), order, parser, params);
+    }
+
+    /**
+     * Returns one page of query or scan results, applying the start key, limit, size limit, filter and
+     * projection.
+     *
+     * @param {Table} table
+     * @param {{ hash: string, range?: string }} index - The key schema read, the table's or an index's.
+     * @param {object[]} items - The items read, in order.
+     * @param {function(object, object): number} order - The order of the items.
+     * @param {ExpressionParser} parser - The request's parser.
+     * @param {object} params - The request's parameters.
+     * @returns {object}
+     */
+    page(table, index, items, order, parser, params) {
+        const { ExclusiveStartKey, Limit, FilterExpression, ProjectionExpression, Select, ConsistentRead } = params;
+        const filter = FilterExpression ? parser.parseCondition(FilterExpression) : undefined;
+        const paths = ProjectionExpression ? parser.parseProjection(ProjectionExpression) : undefined;
+        parser.checkAllUsed();
+
+        // Resume after the start key's position, even if that item has since been deleted
+        let start = ExclusiveStartKey ? items.findIndex((item) => order(item, ExclusiveStartKey) > 0) : 0;
+        if (start === -1) {
+            start = items.length;
+        }
+
+        const limit = Math.min(Limit ?? Infinity, this.pageSize);
+        const scanned = [];
+        let bytes = 0;
+        for (const item of items.slice(start)) {
+            if (scanned.length === limit || bytes >= this.pageBytes) {
+                break;
+            }
+            scanned.push(item);
+            bytes += itemSize(item);
+        }
+        const matched = filter ? scanned.filter((item) => evaluate(filter, item)) : scanned;
+
+        const last = scanned[scanned.length - 1];
+        const result = {
+            Count: matched.length,
+            ScannedCount: scanned.length,
+            ...(Select !== "COUNT" && { Items: matched.map((item) => project(item, paths)) }),
+        };
+        if (start + scanned.length < items.length) {
+            result.LastEvaluatedKey = {
+                ...table.primaryKey(last),
+                [index.hash]: last[index.hash],
+                ...(index.range && { [index.range]: last[index.range] }),
+            };
+        }
+        return withCapacity(result, params, readUnits(bytes, ConsistentRead));
+    }
+
+    async batchGet(params) {
+        const { RequestItems, ReturnConsumedCapacity } = params;
+        const Responses = {};
+        const results = [];
+        for (const [TableName, request] of Object.entries(RequestItems)) {
+            const { Keys, ProjectionExpression, ExpressionAttributeNames, ConsistentRead } = request;
+            Responses[TableName] = [];
+            for (const Key of Keys) {
+                const result = await this.get({
+                    TableName, Key, ProjectionExpression, ExpressionAttributeNames, ConsistentRead,
+                    ReturnConsumedCapacity,
+                });
+                results.push(result);
+                if (result.Item) {
+                    Responses[TableName].push(result.Item);
+                }
+            }
+        }
+        const ConsumedCapacity = totalCapacity(params, results);
+        return { Responses, UnprocessedKeys: {}, ...(ConsumedCapacity && { ConsumedCapacity }) };
+    }
+
+    async batchWrite(params) {
+        const { RequestItems, ReturnConsumedCapacity } = params;
+        const results = [];
+        for (const [TableName, requests] of Object.entries(RequestItems)) {
+            if (requests.length > 25) {
+                throw validation("Too many items requested for the BatchWriteItem call");
+            }
+            for (const { PutRequest, DeleteRequest } of requests) {
+                results.push(PutRequest
+                    ? await this.put({ TableName, Item: PutRequest.Item, ReturnConsumedCapacity })
+                    : await this.delete({ TableName, Key: DeleteRequest.Key, ReturnConsumedCapacity }));
+            }
+        }
+        const ConsumedCapacity = totalCapacity(params, results);
+        return { UnprocessedItems: {}, ...(ConsumedCapacity && { ConsumedCapacity }) };
+    }
+
+    async transactWrite(params) {
+        const { TransactItems, ReturnConsumedCapacity } = params;
+        const operations = TransactItems.map((transactItem) => Object.entries(transactItem)[0]);
+        const reasons = operations.map(([operation, params]) => {
+            const table = this.table(params.TableName);
+            const existing = table.items.get(table.storageKey(params.Item ?? params.Key));
+            const parser = new ExpressionParser(params.ExpressionAttributeNames, params.ExpressionAttributeValues);
+            if (operation === "Update") {
+                parser.parseUpdate(params.UpdateExpression);
+            }
+            const holds = this.conditionHolds(parser, params, existing);
+            parser.checkAllUsed();
+            return holds ? "None" : "ConditionalCheckFailed";
+        });
+
+        if (reasons.includes("ConditionalCheckFailed")) {
+            throw awsError(
+                "TransactionCanceledException",
+                `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.join(", ")}]`,
+                { CancellationReasons: reasons.map((Code) => ({ Code })) }
+            );
+        }
+
+        const results = [];
+        for (const [operation, write] of operations) {
+            const checked = { ...write, ReturnConsumedCapacity, [CHECKED]: true };
+            if (operation === "Put") {
+                results.push(await this.put(checked));
+            } else if (operation === "Update") {
+                results.push(await this.update(checked));
+            } else if (operation === "Delete") {
+                results.push(await this.delete(checked));
+            }
+        }
+        // Transactional writes cost twice as much as plain ones
+        const ConsumedCapacity = totalCapacity(params, results, 2);
+        return ConsumedCapacity ? { ConsumedCapacity } : {};
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview In-memory stand-in for the S3 client, for tests and local runs.
+ *
+ * `send` accepts the commands the handlers use (`PutObject`, `GetObject`, `HeadObject`, `DeleteObject`,
+ * `DeleteObjects` and `ListObjectsV2`) and keeps objects per bucket. Bodies are stored as bytes and
+ * returned with the SDK's `transformToString` and `transformToByteArray` helpers.
+ */
+
+/**
+ * @param {string} name - The SDK error name.
+ * @param {string} message
+ * @param {number} httpStatusCode
+ * @returns {Error}
+ */
+const s3Error = (name, message, httpStatusCode) =>
+    Object.assign(new Error(message), { name, $metadata: { httpStatusCode } });
+
+/** Keys returned per `ListObjectsV2` page, as in S3. */
+const DEFAULT_MAX_KEYS = 1000;
+
+/**
+ * @param {string|Uint8Array|Buffer} body
+ * @returns {Buffer}
+ */
+const toBytes = (body) => Buffer.from(typeof body === "string" ? body : body ?? "");
+
+/**
+ * In-memory S3 client.
+ */
+export class MemoryS3 {
+    constructor() {
+        this.buckets = new Map();
+    }
+
+    bucket(name) {
+        if (!this.buckets.has(name)) {
+            this.buckets.set(name, new Map());
+        }
+        return this.buckets.get(name);
+    }
+
+    /**
+     * Stores an object directly, e.g. to seed a test.
+     *
+     * @param {string} bucket
+     * @param {string} key
+     * @param {string|Uint8Array} [body]
+     * @param {object} [attributes] - e.g. `ContentType`.
+     */
+    seed(bucket, key, body = "", attributes = {}) {
+        this.bucket(bucket).set(key, { ...attributes, Body: toBytes(body), LastModified: new Date() });
+    }
+
+    /**
+     * @param {string} bucket
+     * @returns {string[]} - The bucket's keys in order.
+     */
+    keys(bucket) {
+        return [...this.bucket(bucket).keys()].sort();
+    }
+
+    /**
+     * @param {string} bucket
+     * @param {string} key
+     * @returns {object|undefined} - The stored object, with its body as a Buffer.
+     */
+    object(bucket, key) {
+        return this.bucket(bucket).get(key);
+    }
+
+    /** Removes every object. */
+    clear() {
+        this.buckets.clear();
+    }
+
+    /**
+     * Runs a command.
+     *
+     * @param {object} command - An `@aws-sdk/client-s3` command.
+     * @returns {Promise<object>}
+     */
+    async send(command) {
+        const { input } = command;
+        const objects = this.bucket(input.Bucket);
+
+        switch (command.constructor.name) {
+            case "PutObjectCommand": {
+                const { Bucket, Key, Body, ...attributes } = input;
+                objects.set(Key, { ...attributes, Body: toBytes(Body), LastModified: new Date() });
+                return {};
+            }
+            case "GetObjectCommand":
+            case "HeadObjectCommand": {
+                const object = objects.get(input.Key);
+                if (!object) {
+                    throw command.constructor.name === "GetObjectCommand"
+                        ? s3Error("NoSuchKey", "The specified key does not exist.", 404)
+                        : s3Error("NotFound", "Not Found", 404);
+                }
+                const { Body, ...attributes } = object;
+                const response = { ...attributes, ContentLength: Body.length };
+                if (command.constructor.name === "GetObjectCommand") {
+                    response.Body = {
+                        transformToString: async (encoding = "utf8") => Body.toString(encoding),
+                        transformToByteArray: async () => new Uint8Array(Body),
+                    };
+                }
+                return response;
+            }
+            case "DeleteObjectCommand":
+                objects.delete(input.Key);
+                return {};
+            case "DeleteObjectsCommand": {
+                const deleted = input.Delete.Objects.map(({ Key }) => {
+                    objects.delete(Key);
+                    return { Key };
+                });
+                return input.Delete.Quiet ? {} : { Deleted: deleted };
+            }
+            case "ListObjectsV2Command": {
+                const prefix = input.Prefix ?? "";
+                const maxKeys = input.MaxKeys ?? DEFAULT_MAX_KEYS;
+                const keys = [...objects.keys()]
+                    .filter((key) => key.startsWith(prefix))
+                    .sort()
+                    .filter((key) => !input.ContinuationToken || key > input.ContinuationToken);
+                const page = keys.slice(0, maxKeys);
+                const truncated = keys.length > maxKeys;
+                return {
+                    Contents: page.map((Key) => ({ Key, Size: objects.get(Key).Body.length })),
+                    KeyCount: page.length,
+                    IsTruncated: truncated,
+                    ...(truncated && { NextContinuationToken: page[page.length - 1] }),
+                };
+            }
+            default:
+                throw new Error(`MemoryS3 does not support ${command.constructor.name}`);
+        }
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Definitions of the DynamoDB tables used by the handlers, as `CreateTable` inputs.
+ *
+ * Used to create the tables in DynamoDB Local (`createTables.js`) and by the in-memory fake
+ * (`memoryDynamo.js`). Keep them in step with the tables deployed in AWS.
+ */
+
+/**
+ * @param {string} name - Attribute name.
+ * @param {("S"|"N")} [type] - Attribute type.
+ * @returns {object}
+ */
+const attribute = (name, type = "S") => ({ AttributeName: name, AttributeType: type });
+
+/**
+ * @param {string} hash - Partition key name.
+ * @param {string} [range] - Sort key name.
+ * @returns {object[]}
+ */
+const keySchema = (hash, range) => [
+    { AttributeName: hash, KeyType: "HASH" },
+    ...(range ? [{ AttributeName: range, KeyType: "RANGE" }] : []),
+];
+
+/** @type {object[]} */
+export const TABLES = [
+    {
+        TableName: "spacedash-user",
+        KeySchema: keySchema("username"),
+        AttributeDefinitions: [attribute("username")],
+    },
+    {
+        TableName: "player-stats",
+        KeySchema: keySchema("username"),
+        AttributeDefinitions: [attribute("username")],
+    },
+    {
+        TableName: "suspicious-submissions",
+        KeySchema: keySchema("username", "submitted-at"),
+        AttributeDefinitions: [attribute("username"), attribute("submitted-at")],
+    },
+    {
+        TableName: "leaderboard",
+        KeySchema: keySchema("board", "username"),
+        AttributeDefinitions: [attribute("board"), attribute("username"), attribute("score", "N")],
+        GlobalSecondaryIndexes: [
+            {
+                IndexName: "board-score-index",
+                KeySchema: keySchema("board", "score"),
+                Projection: { ProjectionType: "ALL" },
+            },
+            {
+                IndexName: "username-board-index",
+                KeySchema: keySchema("username", "board"),
+                Projection: { ProjectionType: "ALL" },
+            },
+        ],
+    },
+    {
+        TableName: "player-achievements",
+        KeySchema: keySchema("username", "achievement"),
+        AttributeDefinitions: [attribute("username"), attribute("achievement")],
+    },
+    {
+        TableName: "player-saves",
+        KeySchema: keySchema("username", "slot"),
+        AttributeDefinitions: [attribute("username"), attribute("slot", "N")],
+    },
+    {
+        TableName: "player-friends",
+        KeySchema: keySchema("username", "friend"),
+        AttributeDefinitions: [attribute("username"), attribute("friend")],
+        GlobalSecondaryIndexes: [{
+            IndexName: "friend-username-index",
+            KeySchema: keySchema("friend", "username"),
+            Projection: { ProjectionType: "ALL" },
+        }],
+    },
+    {
+        TableName: "moderation",
+        KeySchema: keySchema("username"),
+        AttributeDefinitions: [attribute("username")],
+    },
+    {
+        TableName: "moderation-audit",
+        KeySchema: keySchema("username", "changed-at"),
+        AttributeDefinitions: [attribute("username"), attribute("changed-at")],
+    },
+    {
+        TableName: "rate-limits",
+        KeySchema: keySchema("bucket"),
+        AttributeDefinitions: [attribute("bucket")],
+    },
+];
+
+/** TTL attribute of the tables whose items expire, by table name. */
+export const TIME_TO_LIVE = {
+    "rate-limits": "expires-at",
+};
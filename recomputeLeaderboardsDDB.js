@@ -0,0 +1,109 @@
+/**
+ * AWS Lambda function to rebuild the all-time leaderboards from `player-stats`, e.g. after stats were
+ * edited by hand or a leaderboard write failed.
+ *
+ * The job runs in two phases. The `stats` phase scans `player-stats` and writes every all-time entry each
+ * player's stats earn (see `lib/moderation.js`), skipping banned and shadow-banned players, which are read
+ * from the `moderation` table when the job starts. The `boards`
+ * phase scans the `leaderboard` table and removes entries the stats no longer earn: those of players
+ * without stats or with a moderation status, on every board, and all-time entries that no longer match a
+ * stat, such as the time of a level whose times were reset.
+ *
+ * Daily, weekly and seasonal boards hold the runs submitted during their window, which `player-stats` does
+ * not record, so they are only cleared of moderated players, never rebuilt. A run merged while the job
+ * writes that player's entries can be overwritten by the scanned total; the player's next run corrects it.
+ *
+ * Invoked manually; when the Lambda is about to time out it stops and returns `nextKey`, which can be
+ * passed back as `startKey` to continue.
+ *
+ * @param {Object} [event] - The invocation payload.
+ * @param {Object} [event.startKey] - The `nextKey` returned by a previous, unfinished run.
+ * @param {Object} [context] - The Lambda context, used to stop before the timeout.
+ * @returns {Promise<Object>} - The number of players written and skipped, the number of entries removed, and
+ * `nextKey` if the job is not finished.
+ */
+
+import { dynamo } from './lib/clients.js';
+import { instrument, log } from './lib/instrumentation.js';
+import { LEADERBOARD_TABLE_NAME } from './lib/leaderboard.js';
+import { listModeration, playerBoardScores, writePlayerBoards } from './lib/moderation.js';
+
+/** Time left, in milliseconds, at which the job stops and returns where it got to. */
+const STOP_BEFORE_TIMEOUT_MS = 30 * 1000;
+
+/** Phases of the job, in order. */
+const PHASES = ["stats", "boards"];
+
+/**
+ * Writes the all-time entries of the players on one page of `player-stats`.
+ *
+ * @param {object[]} items - The scanned `player-stats` items.
+ * @param {Map<string, object>} moderation - The `moderation` items by username.
+ * @param {object} counts - The job's counts, updated.
+ * @returns {Promise<void>}
+ */
+const writePlayers = async (items, moderation, counts) => {
+    for (const stats of items) {
+        if (moderation.has(stats.username)) {
+            counts.skipped++;
+            continue;
+        }
+        await writePlayerBoards(dynamo, stats.username, stats);
+        counts.players++;
+    }
+};
+
+/**
+ * Removes the entries on one page of the `leaderboard` table that the players' stats no longer earn.
+ *
+ * @param {object[]} items - The scanned `leaderboard` items.
+ * @param {Map<string, object>} moderation - The `moderation` items by username.
+ * @param {object} counts - The job's counts, updated.
+ * @returns {Promise<void>}
+ */
+const removeStaleEntries = async (items, moderation, counts) => {
+    const stats = new Map();
+    for (const { board, username } of items) {
+        if (!stats.has(username)) {
+            const { Item } = await dynamo.get({ TableName: "player-stats", Key: { username } });
+            stats.set(username, Item);
+        }
+        const player = stats.get(username);
+        // Period boards are suffixed with their period, e.g. `coins@weekly:2026-W42`
+        const earned = board.includes("@") || playerBoardScores(player).has(board);
+
+        if (!player || moderation.has(username) || !earned) {
+            await dynamo.delete({ TableName: LEADERBOARD_TABLE_NAME, Key: { board, username } });
+            counts.removed++;
+        }
+    }
+};
+
+export const handler = instrument(async (event = {}, context) => {
+    let phase = event.startKey?.phase ?? PHASES[0];
+    let ExclusiveStartKey = event.startKey?.key ?? undefined;
+    const counts = { players: 0, skipped: 0, removed: 0 };
+    const moderation = await listModeration(dynamo);
+
+    while (phase) {
+        const table = phase === "stats" ? "player-stats" : LEADERBOARD_TABLE_NAME;
+        const result = await dynamo.scan({ TableName: table, ExclusiveStartKey });
+        if (phase === "stats") {
+            await writePlayers(result.Items || [], moderation, counts);
+        } else {
+            await removeStaleEntries(result.Items || [], moderation, counts);
+        }
+
+        ExclusiveStartKey = result.LastEvaluatedKey;
+        if (!ExclusiveStartKey) {
+            phase = PHASES[PHASES.indexOf(phase) + 1];
+        }
+        if (context?.getRemainingTimeInMillis?.() < STOP_BEFORE_TIMEOUT_MS) {
+            break;
+        }
+    }
+
+    const nextKey = phase ? { phase, key: ExclusiveStartKey ?? null } : null;
+    log.info("Leaderboard recompute", { ...counts, finished: !nextKey });
+    return { ...counts, nextKey };
+});
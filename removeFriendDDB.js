@@ -0,0 +1,87 @@
+/**
+ * AWS Lambda function to remove a friend, or to decline or cancel a pending friend request.
+ *
+ * Both players' entries in the `player-friends` DynamoDB table (see `lib/friends.js`) are deleted in one
+ * transaction, whatever their status; a declined or cancelled request is then released from its receiver's
+ * pending requests count. The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and may only
+ * change their own friends, unless the token has admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} [event.queryStringParameters.username] - The player (defaults to the caller).
+ * @param {string} event.queryStringParameters.friend - The friend, or the other player of the request.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 204: The friendship or request was removed.
+ * - 401/403: Missing or invalid token, or another player's friends changed without admin rights.
+ * - 404: No friendship or request with that player.
+ * - 409: The friendship or request changed while it was being removed, e.g. it was just accepted.
+ */
+
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { cancellationReasons, dynamo } from './lib/clients.js';
+import {
+    FRIEND_STATUS,
+    FRIENDS_TABLE_NAME,
+    releaseIncomingRequest
+} from './lib/friends.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { USER_TABLE_NAME } from './lib/users.js';
+
+/**
+ * Removes the friendship or request with `friend`. Routed as `DELETE /players/{username}/friends/{friend}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const removeFriend = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    const { friend } = req.params;
+
+    if (!friend) {
+        throw new HttpError(400, "Username of the friend is required.");
+    }
+
+    const { Item } = await dynamo.get({ TableName: FRIENDS_TABLE_NAME, Key: { username, friend } });
+    if (!Item) {
+        throw new HttpError(404, `No friendship or friend request with "${friend}".`);
+    }
+
+    try {
+        await dynamo.transactWrite({
+            TransactItems: [
+                {
+                    Delete: {
+                        TableName: FRIENDS_TABLE_NAME,
+                        Key: { username, friend },
+                        // The status read above decides whose pending request is released
+                        ConditionExpression: '#status = :status',
+                        ExpressionAttributeNames: { '#status': 'status' },
+                        ExpressionAttributeValues: { ':status': Item.status }
+                    }
+                },
+                { Delete: { TableName: FRIENDS_TABLE_NAME, Key: { username: friend, friend: username } } }
+            ]
+        });
+    } catch (error) {
+        if (cancellationReasons(error)?.includes('ConditionalCheckFailed')) {
+            throw new HttpError(409, `The friendship or friend request with "${friend}" changed; try again.`);
+        }
+        throw error;
+    }
+
+    if (Item.status === FRIEND_STATUS.incoming) {
+        await releaseIncomingRequest(dynamo, USER_TABLE_NAME, username);
+    } else if (Item.status === FRIEND_STATUS.outgoing) {
+        await releaseIncomingRequest(dynamo, USER_TABLE_NAME, friend);
+    }
+
+    return {};
+};
+
+export const handler = createHandler({
+    DELETE: queryAdapter(removeFriend, { params: ['username', 'friend'] })
+});
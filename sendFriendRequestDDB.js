@@ -0,0 +1,110 @@
+/**
+ * AWS Lambda function to send a friend request to another registered player.
+ *
+ * The request is stored under both players in the `player-friends` DynamoDB table (see `lib/friends.js`)
+ * in one transaction, which also checks that the other player exists in `spacedash-user` and counts the
+ * request against their `MAX_INCOMING_REQUESTS` pending requests. The caller is
+ * authenticated with a Bearer JWT (see `lib/auth.js`) and may only send requests for themselves, unless
+ * the token has admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} [event.queryStringParameters.username] - The sender (defaults to the caller).
+ * @param {string} event.body - JSON body `{ "username": string }` naming the player to befriend.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 201: The request was sent.
+ * - 400: Missing username, or a request to oneself.
+ * - 401/403: Missing or invalid token, or a request sent for another player without admin rights.
+ * - 404: The other player does not exist.
+ * - 409: The players are already friends or a request between them is pending, the friends list is full, or
+ *   the other player has too many pending requests.
+ * - 429: Too many requests; `Retry-After` gives the seconds to wait (see `config/rateLimits.js`).
+ */
+
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { cancellationReasons, dynamo } from './lib/clients.js';
+import {
+    FRIEND_STATUS,
+    FRIENDS_TABLE_NAME,
+    listFriendItems,
+    MAX_FRIENDS,
+    MAX_INCOMING_REQUESTS,
+    reserveIncomingRequest
+} from './lib/friends.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { enforceRateLimit } from './lib/rateLimit.js';
+import { USER_TABLE_NAME } from './lib/users.js';
+
+/**
+ * Sends a friend request to the player named in the JSON body. Routed as `POST /players/{username}/friends`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const sendFriendRequest = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    await enforceRateLimit(req, identity, "POST /players/{username}/friends");
+    const { username: friend } = req.body || {};
+
+    if (!friend || typeof friend !== 'string') {
+        throw new HttpError(400, "Username of the player to befriend is required.");
+    }
+    if (friend === username) {
+        throw new HttpError(400, "Players cannot befriend themselves.");
+    }
+    if ((await listFriendItems(dynamo, username)).length >= MAX_FRIENDS) {
+        throw new HttpError(409, `Friends list is full (${MAX_FRIENDS} friends and requests).`, {
+            code: 'friends_limit_reached'
+        });
+    }
+
+    const now = new Date().toISOString();
+    const entry = (owner, other, status) => ({
+        Put: {
+            TableName: FRIENDS_TABLE_NAME,
+            Item: { username: owner, friend: other, status, 'created-at': now, 'updated-at': now },
+            ConditionExpression: 'attribute_not_exists(friend)'
+        }
+    });
+
+    try {
+        await dynamo.transactWrite({
+            TransactItems: [
+                entry(username, friend, FRIEND_STATUS.outgoing),
+                entry(friend, username, FRIEND_STATUS.incoming),
+                reserveIncomingRequest(USER_TABLE_NAME, friend)
+            ]
+        });
+    } catch (error) {
+        const reasons = cancellationReasons(error);
+        if (reasons?.[2] === 'ConditionalCheckFailed') {
+            const { Item } = await dynamo.get({ TableName: USER_TABLE_NAME, Key: { username: friend } });
+            if (!Item) {
+                throw new HttpError(404, `User "${friend}" not found.`);
+            }
+            throw new HttpError(409, `"${friend}" has too many pending friend requests (${MAX_INCOMING_REQUESTS}).`, {
+                code: 'incoming_requests_limit_reached'
+            });
+        }
+        if (reasons?.includes('ConditionalCheckFailed')) {
+            throw new HttpError(409, `A friendship or friend request with "${friend}" already exists.`, {
+                code: 'friend_exists'
+            });
+        }
+        throw error;
+    }
+
+    return {
+        statusCode: 201,
+        message: "Friend request sent.",
+        data: { username: friend, status: FRIEND_STATUS.outgoing, requestedAt: now }
+    };
+};
+
+export const handler = createHandler({
+    POST: queryAdapter(sendFriendRequest, { params: ['username'] })
+});
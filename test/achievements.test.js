@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { handler as backfillAchievements } from '../backfillAchievementsDDB.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+let dynamo;
+
+beforeEach(() => {
+    ({ dynamo } = useMemoryClients());
+});
+
+const submit = (username, run) => invoke(api, {
+    method: "POST", path: `/players/${username}/stats`, user: username, body: run,
+});
+
+describe("achievements on run submission", () => {
+    it("unlocks an achievement once", async () => {
+        dynamo.seed("player-stats", [{ username: "alice", "coins-collected": 990, "levels-completed": new Set([1, 2]) }]);
+
+        const first = await submit("alice", { level: 3, coinsCollected: 10, completionTime: 35 });
+        const second = await submit("alice", { level: 3, coinsCollected: 10, completionTime: 36 });
+
+        assert.deepEqual(first.json.data.newAchievements.map(({ id }) => id).sort(), [
+            "all-levels", "coins-1000", "level-3-under-40",
+        ]);
+        assert.deepEqual(second.json.data.newAchievements, []);
+        assert.equal(dynamo.dump("player-achievements").length, 3);
+    });
+
+    it("does not fail the run when achievements cannot be stored", async () => {
+        dynamo.seed("player-stats", [{ username: "alice", "enemies-defeated": 99 }]);
+        const put = dynamo.put.bind(dynamo);
+        dynamo.put = async (params) => {
+            if (params.TableName === "player-achievements") {
+                throw new Error("Throttled");
+            }
+            return put(params);
+        };
+
+        const response = await submit("alice", { level: 1, enemiesDefeated: 1, completionTime: 30 });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data.newAchievements, []);
+        assert.equal(dynamo.dump("player-stats")[0]["enemies-defeated"], 100);
+    });
+});
+
+describe("GET /players/{username}/achievements", () => {
+    it("lists unlocked achievements and progress towards the others", async () => {
+        dynamo.seed("player-stats", [{ username: "alice", "coins-collected": 250 }]);
+        dynamo.seed("player-achievements", [
+            { username: "alice", achievement: "enemies-100", "unlocked-at": "2026-10-01T00:00:00.000Z" },
+        ]);
+
+        const response = await invoke(api, { path: "/players/alice/achievements", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.unlockedCount, 1);
+        const byId = Object.fromEntries(response.json.data.achievements.map((entry) => [entry.id, entry]));
+        assert.equal(byId["enemies-100"].unlockedAt, "2026-10-01T00:00:00.000Z");
+        assert.deepEqual(byId["coins-1000"].progress, [{ stat: "coinsCollected", current: 250, required: 1000 }]);
+    });
+
+    it("works for players without stats", async () => {
+        const response = await invoke(api, { path: "/players/alice/achievements", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.unlockedCount, 0);
+    });
+
+    it("does not show another player's achievements", async () => {
+        const response = await invoke(api, { path: "/players/alice/achievements", user: "bob" });
+
+        assert.equal(response.statusCode, 403);
+    });
+});
+
+describe("backfillAchievementsDDB", () => {
+    it("awards achievements to every player", async () => {
+        dynamo.seed("player-stats", [
+            { username: "alice", "coins-collected": 1000 },
+            { username: "bob", "enemies-defeated": 100 },
+            { username: "carol" },
+        ]);
+
+        const result = await backfillAchievements({}, { getRemainingTimeInMillis: () => 60 * 1000 });
+
+        assert.deepEqual(result, { players: 3, unlocked: 2, nextKey: null });
+        assert.deepEqual((await backfillAchievements()).unlocked, 0);
+    });
+
+    it("stops before the timeout and resumes from the returned key", async () => {
+        ({ dynamo } = useMemoryClients({ pageSize: 2 }));
+        dynamo.seed("player-stats", ["a", "b", "c", "d", "e"].map((username) => ({
+            username, "coins-collected": 1000,
+        })));
+
+        const first = await backfillAchievements({}, { getRemainingTimeInMillis: () => 1000 });
+        const second = await backfillAchievements({ startKey: first.nextKey });
+
+        assert.equal(first.players, 2);
+        assert.deepEqual(first.nextKey, { username: "b" });
+        assert.deepEqual(second, { players: 3, unlocked: 3, nextKey: null });
+    });
+});
@@ -0,0 +1,203 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { handler as buildAnalytics } from '../buildAnalyticsS3.js';
+import { HISTOGRAM_MAX_BUCKETS } from '../config/analytics.js';
+import { toCsv, toPlayerRecord } from '../lib/analytics.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+const BUCKET = "spacedash-analytics";
+
+let dynamo;
+let s3;
+
+beforeEach(() => {
+    ({ dynamo, s3 } = useMemoryClients());
+    dynamo.seed("player-stats", [
+        {
+            username: "alice",
+            "coins-collected": 40,
+            "enemies-defeated": 10,
+            "levels-completed": new Set([1, 2]),
+            "fastest-times": { 1: [30, 32.5], 2: [50] },
+        },
+        // Written by the old overwrite handler, with a list of levels
+        {
+            username: "bob",
+            "coins-collected": 20,
+            "enemies-defeated": 6,
+            "levels-completed": [1],
+            "fastest-times": { 1: [41] },
+        },
+        { username: "carol", "coins-collected": 0 },
+        {
+            username: "mallory",
+            "coins-collected": 999,
+            "levels-completed": new Set([1, 2, 3]),
+            "fastest-times": { 1: [1] },
+        },
+    ]);
+    dynamo.seed("moderation", [{ username: "mallory", status: "banned" }]);
+    mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-10-19T12:00:00.123Z") });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+});
+
+const read = (key) => s3.object(BUCKET, key).Body.toString("utf8");
+
+describe("buildAnalyticsS3", () => {
+    it("computes completions, time distributions, averages and drop-off", async () => {
+        const result = await buildAnalytics({});
+
+        assert.equal(result.snapshotKey, "snapshots/2026-10-19T120000Z.json");
+        assert.equal(result.players, 4);
+        const snapshot = JSON.parse(read("snapshots/latest.json"));
+        assert.deepEqual(snapshot, JSON.parse(read(result.snapshotKey)));
+
+        assert.equal(snapshot.generatedAt, "2026-10-19T12:00:00.123Z");
+        assert.equal(snapshot.players, 3);
+        assert.equal(snapshot.excludedPlayers, 1);
+        assert.deepEqual(snapshot.averages, { coinsCollected: 20, enemiesDefeated: 5.33 });
+        assert.deepEqual(snapshot.levels.map(({ level, completions, completionRate }) =>
+            [level, completions, completionRate]), [
+            [1, 2, 0.67],
+            [2, 1, 0.33],
+            [3, 0, 0],
+        ]);
+        assert.deepEqual(snapshot.levels[0].times, {
+            count: 2,
+            min: 30,
+            max: 41,
+            mean: 35.5,
+            percentiles: { p10: 30, p25: 30, p50: 30, p75: 41, p90: 41, p99: 41 },
+            histogram: [
+                { from: 30, to: 35, count: 1 },
+                { from: 35, to: 40, count: 0 },
+                { from: 40, to: 45, count: 1 },
+            ],
+        });
+        assert.equal(snapshot.levels[2].times, null);
+        assert.deepEqual(snapshot.dropOff, [
+            { from: 1, to: 2, players: 2, continued: 1, dropOffRate: 0.5 },
+            { from: 2, to: 3, players: 1, continued: 0, dropOffRate: 1 },
+        ]);
+    });
+
+    it("puts outlier times in an open-ended last histogram bucket", async () => {
+        // The old overwrite handler accepted any time
+        dynamo.seed("player-stats", [{ username: "legacy", "fastest-times": { 1: [1e10] } }]);
+
+        await buildAnalytics({ formats: [] });
+
+        const { histogram } = JSON.parse(read("snapshots/latest.json")).levels[0].times;
+        assert.equal(histogram.length, HISTOGRAM_MAX_BUCKETS);
+        assert.deepEqual(histogram[0], { from: 30, to: 35, count: 1 });
+        assert.deepEqual(histogram.at(-1), { from: 30 + (HISTOGRAM_MAX_BUCKETS - 1) * 5, to: null, count: 1 });
+        assert.equal(histogram.reduce((total, { count }) => total + count, 0), 3);
+    });
+
+    it("exports every player as CSV and NDJSON", async () => {
+        const result = await buildAnalytics({});
+
+        assert.deepEqual(result.export, {
+            prefix: "exports/2026-10-19T120000Z/",
+            formats: ["csv", "ndjson"],
+            parts: 1,
+        });
+        assert.equal(read("exports/2026-10-19T120000Z/player-stats-00001.csv"), [
+            "username,coinsCollected,enemiesDefeated,levelsCompleted,moderation," +
+                "bestTimeLevel1,bestTimeLevel2,bestTimeLevel3",
+            "alice,40,10,1;2,,30,50,",
+            "bob,20,6,1,,41,,",
+            "carol,0,0,,,,,",
+            "mallory,999,0,1;2;3,banned,1,,",
+            "",
+        ].join("\r\n"));
+
+        const lines = read("exports/2026-10-19T120000Z/player-stats-00001.ndjson").trim().split("\n").map(JSON.parse);
+        assert.equal(lines.length, 4);
+        assert.deepEqual(lines[0], {
+            username: "alice",
+            coinsCollected: 40,
+            enemiesDefeated: 10,
+            levelsCompleted: [1, 2],
+            fastestTimes: { 1: [30, 32.5], 2: [50] },
+            moderation: null,
+        });
+        assert.equal(s3.object(BUCKET, "exports/2026-10-19T120000Z/player-stats-00001.ndjson").ContentType,
+            "application/x-ndjson");
+    });
+
+    it("writes one part per page of the scan", async () => {
+        ({ dynamo, s3 } = useMemoryClients({ pageSize: 1 }));
+        dynamo.seed("player-stats", [{ username: "alice" }, { username: "bob" }, { username: "carol" }]);
+
+        const result = await buildAnalytics({ formats: ["ndjson"] });
+
+        const keys = s3.keys(BUCKET).filter((key) => key.startsWith("exports/"));
+        assert.equal(keys.length, result.export.parts);
+        assert.ok(keys.length >= 3);
+        assert.ok(keys.every((key) => key.endsWith(".ndjson")));
+        const usernames = keys.flatMap((key) => read(key).split("\n").filter(Boolean))
+            .map((line) => JSON.parse(line).username);
+        assert.deepEqual(usernames, ["alice", "bob", "carol"]);
+    });
+
+    it("skips the export when no formats are requested and rejects unknown ones", async () => {
+        const result = await buildAnalytics({ formats: [] });
+
+        assert.equal(result.export, null);
+        assert.ok(s3.keys(BUCKET).every((key) => key.startsWith("snapshots/")));
+        await assert.rejects(buildAnalytics({ formats: ["xlsx"] }), /Unsupported export formats: xlsx/);
+    });
+});
+
+describe("lib/analytics", () => {
+    it("quotes CSV cells and defuses formulas", () => {
+        const csv = toCsv([toPlayerRecord({ username: "=HYPERLINK(\"x\",\"y\")", "coins-collected": 1 })]);
+
+        assert.equal(csv.split("\r\n")[1], `"'=HYPERLINK(""x"",""y"")",1,0,,,,,`);
+    });
+});
+
+describe("GET /analytics", () => {
+    it("returns 404 until a snapshot is built", async () => {
+        const response = await invoke(api, { path: "/analytics", user: "designer", admin: true });
+
+        assert.equal(response.statusCode, 404);
+    });
+
+    it("returns the latest snapshot to admins", async () => {
+        await buildAnalytics({});
+
+        const response = await invoke(api, { path: "/analytics", user: "designer", admin: true });
+        const player = await invoke(api, { path: "/analytics", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.players, 3);
+        assert.equal(response.json.meta.generatedAt, "2026-10-19T12:00:00.123Z");
+        assert.equal(response.headers["Cache-Control"], "private, max-age=0");
+        assert.equal(player.statusCode, 403);
+    });
+
+    it("serves the snapshot from memory while it is fresh", async () => {
+        await buildAnalytics({});
+        process.env.ANALYTICS_CACHE_TTL_SECONDS = "60";
+        try {
+            await invoke(api, { path: "/analytics", user: "designer", admin: true });
+            s3.seed(BUCKET, "snapshots/latest.json", JSON.stringify({ generatedAt: "later", players: 0 }));
+
+            const cached = await invoke(api, { path: "/analytics", user: "designer", admin: true });
+            mock.timers.tick(60 * 1000);
+            const refreshed = await invoke(api, { path: "/analytics", user: "designer", admin: true });
+
+            assert.equal(cached.json.data.players, 3);
+            assert.equal(cached.headers["Cache-Control"], "private, max-age=60");
+            assert.equal(refreshed.json.data.generatedAt, "later");
+        } finally {
+            process.env.ANALYTICS_CACHE_TTL_SECONDS = "0";
+        }
+    });
+});
@@ -0,0 +1,210 @@
+import assert from 'node:assert/strict';
+import { generateKeyPairSync } from 'node:crypto';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { handler as buildAssetManifest } from '../buildAssetManifestS3.js';
+import { handler as getPlayerSpritesheetLegacy } from '../getPlayerSpritesheetS3.js';
+import { invoke, seedAssets, useMemoryClients } from './helpers/harness.js';
+
+const CDN = "https://d3vva0g6vi1eo1.cloudfront.net";
+
+let dynamo;
+let s3;
+
+beforeEach(() => {
+    ({ dynamo, s3 } = useMemoryClients());
+    seedAssets(s3);
+});
+
+afterEach(() => {
+    delete process.env.ASSET_MANIFEST_KEY;
+    delete process.env.CDN_KEY_PAIR_ID;
+    delete process.env.CDN_PRIVATE_KEY;
+});
+
+const enableSigning = () => {
+    const { privateKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+    process.env.CDN_KEY_PAIR_ID = "K2TESTKEY";
+    process.env.CDN_PRIVATE_KEY = privateKey.export({ type: "pkcs1", format: "pem" });
+};
+
+describe("GET /characters", () => {
+    it("returns a URL per character image", async () => {
+        const response = await invoke(api, { path: "/characters" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.blue, `${CDN}/characters/blue.png`);
+        assert.equal(Object.keys(response.json.data).length, 4);
+        assert.equal(response.json.meta.expiresAt, null);
+    });
+
+    it("lists the bucket past the first page of keys", async () => {
+        s3.clear();
+        for (let index = 0; index < 1500; index++) {
+            s3.seed("spacedash", `characters/colour${index}.png`, "png");
+        }
+
+        const response = await invoke(api, { path: "/characters" });
+
+        assert.equal(Object.keys(response.json.data).length, 1500);
+    });
+
+    it("reads the prebuilt manifest when configured", async () => {
+        process.env.ASSET_MANIFEST_KEY = "manifest.json";
+        s3.seed("spacedash", "manifest.json", JSON.stringify({ characters: { gold: "characters/gold.png" } }));
+
+        const response = await invoke(api, { path: "/characters" });
+
+        assert.deepEqual(response.json.data, { gold: `${CDN}/characters/gold.png` });
+    });
+});
+
+describe("GET /characters/{colour}/spritesheet", () => {
+    it("returns the spritesheet URL", async () => {
+        const response = await invoke(api, { path: "/characters/blue/spritesheet", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data, {
+            characterColour: "blue", url: `${CDN}/spritesheets/blue.png`, expiresAt: null,
+        });
+    });
+
+    it("requires a token", async () => {
+        const response = await invoke(api, { path: "/characters/blue/spritesheet" });
+
+        assert.equal(response.statusCode, 401);
+    });
+
+    it("returns 404 for an unknown colour", async () => {
+        const response = await invoke(api, { path: "/characters/gold/spritesheet", user: "alice" });
+
+        assert.equal(response.statusCode, 404);
+    });
+
+    it("refuses the spritesheets of characters the caller has not unlocked", async () => {
+        dynamo.seed("player-stats", [{ username: "bob", "enemies-defeated": 150 }]);
+        s3.seed("spacedash", "spritesheets/gold.png", "png");
+
+        const locked = await invoke(api, { path: "/characters/red/spritesheet", user: "alice" });
+        const unlocked = await invoke(api, { path: "/characters/red/spritesheet", user: "bob" });
+        const unlisted = await invoke(api, { path: "/characters/gold/spritesheet", user: "bob" });
+
+        assert.equal(locked.statusCode, 403);
+        assert.equal(locked.json.error.code, "character_locked");
+        assert.deepEqual(locked.json.error.details.progress, { enemiesDefeated: { current: 0, required: 100 } });
+        assert.equal(unlocked.statusCode, 200);
+        assert.equal(unlisted.statusCode, 403);
+    });
+
+    it("requires the colour in the legacy query string", async () => {
+        const response = await invoke(getPlayerSpritesheetLegacy, { user: "alice" });
+
+        assert.equal(response.statusCode, 400);
+        assert.equal((await invoke(getPlayerSpritesheetLegacy, { user: "alice", query: { characterColour: "blue" } }))
+            .statusCode, 200);
+    });
+
+    it("signs URLs that expire when signing is enabled", async () => {
+        enableSigning();
+        dynamo.seed("player-stats", [{ username: "alice", "enemies-defeated": 100 }]);
+        const response = await invoke(api, { path: "/characters/red/spritesheet", user: "alice" });
+
+        const url = new URL(response.json.data.url);
+        assert.equal(url.searchParams.get("Key-Pair-Id"), "K2TESTKEY");
+        assert.ok(url.searchParams.has("Signature"));
+        const expiresInMinutes = (Date.parse(response.json.meta.expiresAt) - Date.now()) / 60000;
+        assert.ok(expiresInMinutes > 14 && expiresInMinutes <= 15);
+    });
+});
+
+describe("GET /characters/catalogue", () => {
+    it("marks the characters the caller has unlocked", async () => {
+        dynamo.seed("player-stats", [{ username: "alice", "coins-collected": 600, "levels-completed": new Set([1]) }]);
+
+        const response = await invoke(api, { path: "/characters/catalogue", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        const unlocked = Object.fromEntries(response.json.data.map(({ colour, unlocked }) => [colour, unlocked]));
+        assert.deepEqual(unlocked, { blue: true, green: true, red: false, purple: true });
+        const red = response.json.data.find(({ colour }) => colour === "red");
+        assert.deepEqual(red.progress, { enemiesDefeated: { current: 0, required: 100 } });
+    });
+
+    it("requires a token", async () => {
+        const response = await invoke(api, { path: "/characters/catalogue" });
+
+        assert.equal(response.statusCode, 401);
+    });
+
+    it("returns when the earliest signed URL expires", async () => {
+        enableSigning();
+        const response = await invoke(api, { path: "/characters/catalogue", user: "alice" });
+
+        const blue = response.json.data.find(({ colour }) => colour === "blue");
+        assert.ok(blue.portraitUrl.startsWith(`${CDN}/characters/blue.png`));
+        assert.ok(!blue.portraitUrl.includes("Signature"));
+        assert.ok(blue.spritesheetUrl.includes("Signature"));
+        const red = response.json.data.find(({ colour }) => colour === "red");
+        assert.ok(red.portraitUrl.startsWith(`${CDN}/characters/red.png`));
+        assert.equal(red.spritesheetUrl, null);
+        assert.equal(red.urlsExpireAt, null);
+        assert.equal(
+            response.json.meta.expiresAt,
+            response.json.data.map(({ urlsExpireAt }) => urlsExpireAt).sort()[0]
+        );
+    });
+});
+
+describe("GET /assets/cookies", () => {
+    it("returns 404 when signing is disabled", async () => {
+        const response = await invoke(api, { path: "/assets/cookies", user: "alice" });
+
+        assert.equal(response.statusCode, 404);
+    });
+
+    it("sets signed cookies", async () => {
+        enableSigning();
+        const response = await invoke(api, { path: "/assets/cookies", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers["Cache-Control"], "no-store");
+        const names = response.multiValueHeaders["Set-Cookie"].map((cookie) => cookie.split("=")[0]);
+        assert.deepEqual(names.sort(), ["CloudFront-Key-Pair-Id", "CloudFront-Policy", "CloudFront-Signature"]);
+        assert.deepEqual(response.cookies, response.multiValueHeaders["Set-Cookie"]);
+    });
+
+    it("only covers the assets every player may fetch", async () => {
+        enableSigning();
+        const response = await invoke(api, { path: "/assets/cookies", user: "alice" });
+
+        const cookie = response.cookies.find((value) => value.startsWith("CloudFront-Policy="));
+        // CloudFront replaces the base64 characters that are not allowed in cookies
+        const encoded = cookie.split(";")[0].slice("CloudFront-Policy=".length);
+        const policy = JSON.parse(Buffer.from(encoded.replace(/-/g, "+").replace(/_/g, "=").replace(/~/g, "/"),
+            "base64").toString("utf8"));
+        assert.deepEqual(policy.Statement.map(({ Resource }) => Resource), [`${CDN}/replays/*`]);
+    });
+
+    it("requires a token", async () => {
+        enableSigning();
+        const response = await invoke(api, { path: "/assets/cookies" });
+
+        assert.equal(response.statusCode, 401);
+    });
+});
+
+describe("buildAssetManifestS3", () => {
+    it("writes the asset index to the manifest key", async () => {
+        process.env.ASSET_MANIFEST_KEY = "manifest.json";
+
+        const result = await buildAssetManifest();
+
+        assert.deepEqual(result, { manifestKey: "manifest.json", files: { characters: 4, spritesheets: 4 } });
+        const manifest = JSON.parse(s3.object("spacedash", "manifest.json").Body.toString());
+        assert.equal(manifest.spritesheets.purple, "spritesheets/purple.png");
+    });
+
+    it("requires a manifest key", async () => {
+        await assert.rejects(buildAssetManifest(), /ASSET_MANIFEST_KEY/);
+    });
+});
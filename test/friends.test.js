@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { MAX_FRIENDS, MAX_INCOMING_REQUESTS } from '../lib/friends.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+let dynamo;
+
+beforeEach(() => {
+    ({ dynamo } = useMemoryClients());
+    dynamo.seed("spacedash-user", ["alice", "bob", "carol"].map((username) => ({ username })));
+});
+
+const request = (from, to) => invoke(api, {
+    method: "POST", path: `/players/${from}/friends`, user: from, body: { username: to },
+});
+const accept = (username, friend) => invoke(api, {
+    method: "PUT", path: `/players/${username}/friends/${friend}`, user: username,
+});
+const remove = (username, friend) => invoke(api, {
+    method: "DELETE", path: `/players/${username}/friends/${friend}`, user: username,
+});
+const friendsOf = async (username) =>
+    (await invoke(api, { path: `/players/${username}/friends`, user: username })).json.data;
+
+describe("friend requests", () => {
+    it("sends a request both players can see", async () => {
+        const response = await request("alice", "bob");
+
+        assert.equal(response.statusCode, 201);
+        assert.deepEqual((await friendsOf("alice")).outgoing.map(({ username }) => username), ["bob"]);
+        assert.deepEqual((await friendsOf("bob")).incoming.map(({ username }) => username), ["alice"]);
+    });
+
+    it("accepts a request on both sides", async () => {
+        await request("alice", "bob");
+        const response = await accept("bob", "alice");
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual((await friendsOf("alice")).friends.map(({ username }) => username), ["bob"]);
+        assert.deepEqual((await friendsOf("bob")).friends.map(({ username }) => username), ["alice"]);
+    });
+
+    it("does not let the sender accept their own request", async () => {
+        await request("alice", "bob");
+
+        assert.equal((await accept("alice", "bob")).statusCode, 404);
+        assert.equal((await accept("bob", "carol")).statusCode, 404);
+    });
+
+    it("removes a friendship on both sides", async () => {
+        await request("alice", "bob");
+        await accept("bob", "alice");
+
+        assert.equal((await remove("bob", "alice")).statusCode, 204);
+        assert.deepEqual(dynamo.dump("player-friends"), []);
+        assert.equal((await remove("bob", "alice")).statusCode, 404);
+    });
+
+    it("rejects duplicate requests in either direction", async () => {
+        await request("alice", "bob");
+
+        for (const response of [await request("alice", "bob"), await request("bob", "alice")]) {
+            assert.equal(response.statusCode, 409);
+            assert.equal(response.json.error.code, "friend_exists");
+        }
+    });
+
+    it("rejects unknown players and the caller themselves", async () => {
+        assert.equal((await request("alice", "zed")).statusCode, 404);
+        assert.equal((await request("alice", "alice")).statusCode, 400);
+        assert.equal((await request("alice", undefined)).statusCode, 400);
+        assert.deepEqual(dynamo.dump("player-friends"), []);
+    });
+
+    it("limits the size of a friends list", async () => {
+        dynamo.seed("player-friends", Array.from({ length: MAX_FRIENDS }, (_, index) => ({
+            username: "alice", friend: `player${index}`, status: "accepted",
+        })));
+
+        const response = await request("alice", "bob");
+
+        assert.equal(response.statusCode, 409);
+        assert.equal(response.json.error.code, "friends_limit_reached");
+    });
+
+    it("limits the requests waiting for a player's answer", async () => {
+        dynamo.seed("spacedash-user", [{ username: "bob", "incoming-requests": MAX_INCOMING_REQUESTS }]);
+
+        const response = await request("alice", "bob");
+
+        assert.equal(response.statusCode, 409);
+        assert.equal(response.json.error.code, "incoming_requests_limit_reached");
+        assert.deepEqual(dynamo.dump("player-friends"), []);
+    });
+
+    it("releases requests once they are answered, withdrawn or their sender leaves", async () => {
+        const incoming = (username) => dynamo.dump("spacedash-user")
+            .find((user) => user.username === username)["incoming-requests"];
+
+        await request("alice", "bob");
+        await request("carol", "bob");
+        await request("alice", "carol");
+        assert.equal(incoming("bob"), 2);
+
+        await remove("bob", "carol");
+        assert.equal(incoming("bob"), 1);
+        await accept("bob", "alice");
+        assert.equal(incoming("bob"), 0);
+        await remove("alice", "bob");
+        assert.equal(incoming("bob"), 0);
+
+        assert.equal(incoming("carol"), 1);
+        assert.equal((await invoke(api, { method: "DELETE", path: "/users/alice", user: "alice" })).statusCode, 200);
+        assert.equal(incoming("carol"), 0);
+    });
+});
+
+describe("GET /leaderboards/friends", () => {
+    it("ranks the caller and their friends only", async () => {
+        await request("alice", "bob");
+        await accept("bob", "alice");
+        dynamo.seed("leaderboard", [
+            { board: "coins", username: "alice", score: 10 },
+            { board: "coins", username: "bob", score: 20 },
+            { board: "coins", username: "carol", score: 30 },
+            { board: "time#2", username: "alice", score: 40 },
+        ]);
+
+        const response = await invoke(api, { path: "/leaderboards/friends", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data.topCoins, [{ username: "bob", coins: 20 }, { username: "alice", coins: 10 }]);
+        assert.deepEqual(response.json.data.topEnemies, []);
+        assert.deepEqual(response.json.data.topTimes, { 1: [], 2: [{ username: "alice", time: 40 }], 3: [] });
+    });
+
+    it("leaves out pending requests", async () => {
+        await request("alice", "bob");
+        dynamo.seed("leaderboard", [{ board: "coins", username: "bob", score: 20 }]);
+
+        const response = await invoke(api, { path: "/leaderboards/friends", user: "alice" });
+
+        assert.deepEqual(response.json.data.topCoins, []);
+    });
+
+    it("requires a token", async () => {
+        assert.equal((await invoke(api, { path: "/leaderboards/friends" })).statusCode, 401);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Shared setup for the handler tests.
+ *
+ * Tests call the Lambda handlers with API Gateway events (see `local/events.js`) signed with development
+ * tokens, against in-memory DynamoDB and S3 fakes installed by {@link useMemoryClients}. Log lines are
+ * captured, parsed, in {@link logs} rather than written out.
+ */
+
+import { getAssetConfig } from '../../config/assets.js';
+import { CHARACTERS } from '../../config/characters.js';
+import { setClientFactories } from '../../lib/clients.js';
+import { setLogWriter } from '../../lib/instrumentation.js';
+import { apiGatewayEvent } from '../../local/events.js';
+import { MemoryDynamo } from '../../local/memoryDynamo.js';
+import { MemoryS3 } from '../../local/memoryS3.js';
+
+// Start from the defaults whatever the developer's environment holds; signing tests set their own keys
+for (const name of [
+    "ALLOWED_ORIGINS", "ANALYTICS_BUCKET", "ASSET_MANIFEST_KEY", "CDN_COOKIE_DOMAIN", "CDN_KEY_PAIR_ID",
+    "CDN_PRIVATE_KEY", "JWT_AUDIENCE", "JWT_ISSUER", "JWT_USERNAME_CLAIM", "RATE_LIMIT_BYPASS",
+]) {
+    delete process.env[name];
+}
+// Rebuild the asset index and reread the analytics on every call so each test sees the objects it stored
+process.env.ASSET_CACHE_TTL_SECONDS = "0";
+process.env.ANALYTICS_CACHE_TTL_SECONDS = "0";
+
+/** Log lines and EMF records written since the last {@link useMemoryClients} call. */
+export const logs = [];
+setLogWriter((line) => logs.push(JSON.parse(line)));
+
+/**
+ * Points the handlers at new, empty in-memory clients, and clears the captured logs.
+ *
+ * @param {object} [options] - Options of the DynamoDB fake, e.g. `pageSize`.
+ * @returns {{ dynamo: MemoryDynamo, s3: MemoryS3 }}
+ */
+export const useMemoryClients = (options) => {
+    const dynamo = new MemoryDynamo(undefined, options);
+    const s3 = new MemoryS3();
+    setClientFactories({ dynamo: () => dynamo, s3: () => s3 });
+    logs.length = 0;
+    return { dynamo, s3 };
+};
+
+/**
+ * Stores a portrait and spritesheet for every character in the asset bucket.
+ *
+ * @param {MemoryS3} s3
+ */
+export const seedAssets = (s3) => {
+    for (const { portrait, spritesheet } of Object.values(CHARACTERS)) {
+        s3.seed(getAssetConfig().bucket, portrait, "png");
+        s3.seed(getAssetConfig().bucket, spritesheet, "png");
+    }
+};
+
+/**
+ * Calls a handler with an API Gateway event.
+ *
+ * @param {function(object, object): Promise<object>} handler - The Lambda handler.
+ * @param {object} [request] - The request (see `apiGatewayEvent`).
+ * @returns {Promise<object>} - The response, with its JSON body parsed into `json`.
+ */
+export const invoke = async (handler, request) => {
+    const response = await handler(apiGatewayEvent(request), {
+        awsRequestId: "test-request",
+        getRemainingTimeInMillis: () => 60 * 1000,
+    });
+    return { ...response, json: response.body ? JSON.parse(response.body) : undefined };
+};
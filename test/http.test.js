@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { signToken } from '../local/devAuth.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+let dynamo;
+
+beforeEach(() => {
+    ({ dynamo } = useMemoryClients());
+    dynamo.seed("spacedash-user", [{ username: "alice" }]);
+});
+
+afterEach(() => {
+    delete process.env.ALLOWED_ORIGINS;
+    delete process.env.API_BASE_PATH;
+    delete process.env.JWT_AUDIENCE;
+    delete process.env.JWT_USERNAME_CLAIM;
+});
+
+const withToken = (token) => ({ path: "/users/alice", headers: { Authorization: `Bearer ${token}` } });
+
+describe("routing", () => {
+    it("answers preflight requests with the resource's methods", async () => {
+        const response = await invoke(api, { method: "OPTIONS", path: "/users/alice" });
+
+        assert.equal(response.statusCode, 204);
+        assert.equal(response.headers["Access-Control-Allow-Methods"], "GET,PATCH,DELETE,OPTIONS");
+        assert.equal(response.headers["Access-Control-Allow-Origin"], "*");
+    });
+
+    it("returns 404 for unknown paths and 405 for unsupported methods", async () => {
+        const missing = await invoke(api, { path: "/nothing/here" });
+        const unsupported = await invoke(api, { method: "PUT", path: "/leaderboards" });
+
+        assert.equal(missing.statusCode, 404);
+        assert.equal(missing.json.error.code, "not_found");
+        assert.equal(unsupported.statusCode, 405);
+        assert.equal(unsupported.headers.Allow, "GET,OPTIONS");
+    });
+
+    it("prefers the more specific route", async () => {
+        const response = await invoke(api, { path: "/leaderboards/friends" });
+
+        // Served by the friends leaderboard, which requires a token, rather than as a board named "friends"
+        assert.equal(response.statusCode, 401);
+    });
+
+    it("strips the API base path and decodes path parameters", async () => {
+        process.env.API_BASE_PATH = "/prod";
+        dynamo.seed("spacedash-user", [{ username: "al ice" }]);
+
+        const response = await invoke(api, { path: "/prod/users/al%20ice", user: "al ice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.username, "al ice");
+    });
+
+    it("accepts HTTP API (v2) events", async () => {
+        const response = await api({
+            rawPath: "/users/alice",
+            headers: { authorization: `Bearer ${signToken({ username: "alice" })}` },
+            requestContext: { requestId: "v2-request", http: { method: "GET" } },
+        });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers["X-Request-Id"], "v2-request");
+        assert.equal(JSON.parse(response.body).requestId, "v2-request");
+    });
+
+    it("only echoes allowed origins", async () => {
+        process.env.ALLOWED_ORIGINS = "https://game.example, https://admin.example";
+
+        const allowed = await invoke(api, { path: "/leaderboards", headers: { Origin: "https://game.example" } });
+        const other = await invoke(api, { path: "/leaderboards", headers: { Origin: "https://evil.example" } });
+
+        assert.equal(allowed.headers["Access-Control-Allow-Origin"], "https://game.example");
+        assert.equal(allowed.headers["Access-Control-Allow-Credentials"], "true");
+        assert.equal(other.headers["Access-Control-Allow-Origin"], undefined);
+        assert.equal(other.headers.Vary, "Origin");
+    });
+
+    it("hides unexpected errors behind a generic 500", async () => {
+        dynamo.get = async () => {
+            throw new Error("Connection reset");
+        };
+
+        const response = await invoke(api, { path: "/users/alice", user: "alice" });
+
+        assert.equal(response.statusCode, 500);
+        assert.deepEqual(response.json.error, { code: "internal_error", message: "Internal server error." });
+        assert.equal(response.json.requestId, response.headers["X-Request-Id"]);
+    });
+});
+
+describe("authentication", () => {
+    it("rejects malformed, expired and badly signed tokens", async () => {
+        const valid = signToken({ username: "alice" });
+        const [header, payload] = valid.split(".");
+        const cases = {
+            "Malformed token.": "not-a-token",
+            "Token has expired.": signToken({ username: "alice" }, { expiresInSeconds: -120 }),
+            "Invalid token signature.": `${header}.${payload}.${Buffer.from("forged").toString("base64url")}`,
+            "Token has no username.": signToken({}),
+        };
+
+        for (const [message, token] of Object.entries(cases)) {
+            const response = await invoke(api, withToken(token));
+            assert.equal(response.statusCode, 401, message);
+            assert.equal(response.json.error.message, message);
+        }
+    });
+
+    it("rejects tokens whose header or payload is not a JSON object", async () => {
+        const [header, payload, signature] = signToken({ username: "alice" }).split(".");
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+        for (const token of [
+            `${encode(null)}.${payload}.${signature}`,
+            `${header}.${encode(null)}.${signature}`,
+            `${header}.${encode([1])}.${signature}`,
+            `${encode("RS256")}.${payload}.${signature}`,
+        ]) {
+            const response = await invoke(api, withToken(token));
+            assert.equal(response.statusCode, 401, token);
+            assert.equal(response.json.error.message, "Malformed token.");
+        }
+    });
+
+    it("fetches the key set for unknown key IDs at most once a minute", async () => {
+        const jwksFile = process.env.JWKS_FILE;
+        const jwks = readFileSync(jwksFile, "utf8");
+        const fetch = mock.method(globalThis, "fetch", async () => new Response(jwks));
+        // Start past the cache lifetime of the keys read so far, so the first request fetches them
+        mock.timers.enable({ apis: ["Date"], now: Date.now() + 2 * 60 * 60 * 1000 });
+        delete process.env.JWKS_FILE;
+        process.env.JWKS_URL = "https://auth.example.com/jwks.json";
+        try {
+            const [, payload, signature] = signToken({ username: "alice" }).split(".");
+            const header = Buffer.from(JSON.stringify({ alg: "RS256", kid: "unknown" })).toString("base64url");
+            const unknownKey = withToken(`${header}.${payload}.${signature}`);
+
+            for (let attempt = 0; attempt < 3; attempt++) {
+                assert.equal((await invoke(api, unknownKey)).json.error.message, "Unknown signing key.");
+            }
+            assert.equal(fetch.mock.callCount(), 1);
+
+            mock.timers.tick(60 * 1000);
+            await invoke(api, unknownKey);
+            assert.equal(fetch.mock.callCount(), 2);
+            assert.equal((await invoke(api, withToken(signToken({ username: "alice" })))).statusCode, 200);
+        } finally {
+            process.env.JWKS_FILE = jwksFile;
+            delete process.env.JWKS_URL;
+            mock.timers.reset();
+            fetch.mock.restore();
+        }
+    });
+
+    it("checks the audience when configured", async () => {
+        process.env.JWT_AUDIENCE = "spacedash-client";
+
+        assert.equal((await invoke(api, withToken(signToken({ username: "alice" })))).statusCode, 401);
+        assert.equal((await invoke(api, withToken(signToken({ username: "alice", client_id: "spacedash-client" }))))
+            .statusCode, 200);
+    });
+
+    it("reads the username from the configured claim", async () => {
+        process.env.JWT_USERNAME_CLAIM = "preferred_username";
+
+        const response = await invoke(api, withToken(signToken({ username: "bob", preferred_username: "alice" })));
+
+        assert.equal(response.statusCode, 200);
+    });
+
+    it("grants admin rights through the admin scope", async () => {
+        const response = await invoke(api, withToken(signToken({ username: "bob", scope: "openid spacedash/admin" })));
+
+        assert.equal(response.statusCode, 200);
+    });
+});
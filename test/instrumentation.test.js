@@ -0,0 +1,241 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { handler as backfillAchievements } from '../backfillAchievementsDDB.js';
+import { handler as getUserInfo } from '../getUserInfoDDB.js';
+import { log, redact } from '../lib/instrumentation.js';
+import { devToken } from '../local/devAuth.js';
+import { invoke, logs, seedAssets, useMemoryClients } from './helpers/harness.js';
+
+let dynamo;
+let s3;
+
+beforeEach(() => {
+    ({ dynamo, s3 } = useMemoryClients());
+});
+
+afterEach(() => {
+    delete process.env.LOG_LEVEL;
+    delete process.env.TRACE_HEADER;
+    delete process.env._X_AMZN_TRACE_ID;
+    process.env.ASSET_CACHE_TTL_SECONDS = "0";
+});
+
+const summary = () => logs.find(({ message }) => message === "Invocation completed");
+const metrics = () => logs.find((line) => line._aws);
+
+const submit = (body) => invoke(api, { method: "POST", path: "/players/alice/stats", user: "alice", body });
+
+describe("request logs", () => {
+    it("summarises each request with its route, caller, latency and consumed capacity", async () => {
+        const response = await submit({ level: 1, coinsCollected: 5, completionTime: 30 });
+
+        const line = summary();
+        assert.equal(line.level, "info");
+        assert.equal(line.requestId, response.headers["X-Request-Id"]);
+        assert.equal(line.route, "POST /players/{username}/stats");
+        assert.equal(line.username, "alice");
+        assert.equal(line.statusCode, 200);
+        assert.equal(typeof line.latencyMs, "number");
+        assert.ok(line.consumedCapacity["player-stats"] > 0);
+        assert.ok(line.consumedCapacity.leaderboard > 0);
+    });
+
+    it("logs unexpected errors with their stack", async () => {
+        dynamo.get = async () => {
+            throw new Error("Connection reset");
+        };
+
+        const response = await invoke(api, { path: "/players/alice/stats", user: "alice" });
+
+        const error = logs.find(({ message }) => message === "Unhandled error");
+        assert.equal(error.level, "error");
+        assert.equal(error.requestId, response.headers["X-Request-Id"]);
+        assert.equal(error.error.message, "Connection reset");
+        assert.match(error.error.stack, /Connection reset/);
+    });
+
+    it("logs from batch jobs with the function name", async () => {
+        dynamo.seed("player-stats", [{ username: "alice", "coins-collected": 1000 }]);
+
+        await backfillAchievements({}, { awsRequestId: "job-1", functionName: "backfillAchievements" });
+
+        const line = logs.find(({ message }) => message === "Achievement backfill");
+        assert.equal(line.function, "backfillAchievements");
+        assert.equal(line.requestId, "job-1");
+        assert.equal(line.unlocked, 1);
+        assert.equal(metrics().Operation, "backfillAchievements");
+    });
+
+    it("leaves out lines below LOG_LEVEL", async () => {
+        process.env.LOG_LEVEL = "warn";
+
+        await invoke(api, { path: "/leaderboards" });
+
+        assert.equal(summary(), undefined);
+        assert.ok(metrics());
+    });
+
+    it("writes lines outside an invocation without its context", () => {
+        log.warn("Standalone", { count: 1 });
+
+        assert.deepEqual(Object.keys(logs[0]), ["timestamp", "level", "message", "count"]);
+    });
+});
+
+describe("metrics", () => {
+    it("writes one EMF record per request, by route", async () => {
+        await submit({ level: 1, completionTime: 30 });
+
+        const record = metrics();
+        const [directive] = record._aws.CloudWatchMetrics;
+        assert.equal(directive.Namespace, "SpaceDash");
+        assert.deepEqual(directive.Dimensions, [["Operation"]]);
+        assert.deepEqual(directive.Metrics.map(({ Name }) => Name).sort(), [
+            "4xxErrors", "5xxErrors", "Latency", "RunSubmissions",
+        ]);
+        assert.equal(record.Operation, "POST /players/{username}/stats");
+        assert.equal(record.RunSubmissions, 1);
+        assert.equal(record["4xxErrors"], 0);
+        assert.equal(logs.filter((line) => line._aws).length, 1);
+    });
+
+    it("never uses the raw path as the operation", async () => {
+        dynamo.seed("spacedash-user", [{ username: "alice" }]);
+        // An HTTP API (v2) event for a single-purpose handler carries no route template
+        const event = {
+            version: "2.0",
+            routeKey: "$default",
+            rawPath: "/users/alice",
+            headers: { authorization: `Bearer ${devToken("alice")}` },
+            queryStringParameters: { username: "alice" },
+            requestContext: { requestId: "v2-request", http: { method: "GET", sourceIp: "127.0.0.1" } },
+        };
+
+        const response = await getUserInfo(event, { awsRequestId: "v2-request", functionName: "getUserInfo" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(metrics().Operation, "getUserInfo");
+        assert.ok(logs.every((line) => !JSON.stringify(line.route ?? "").includes("alice")));
+    });
+
+    it("counts client and server errors", async () => {
+        await submit({ level: 1, completionTime: 1 });
+        assert.equal(metrics().RejectedRuns, 1);
+        assert.equal(metrics()["4xxErrors"], 1);
+
+        logs.length = 0;
+        dynamo.get = async () => {
+            throw new Error("Throttled");
+        };
+        await invoke(api, { path: "/players/alice/stats", user: "alice" });
+        assert.equal(metrics()["5xxErrors"], 1);
+    });
+
+    it("counts leaderboard reads", async () => {
+        await invoke(api, { path: "/leaderboards/levels/1" });
+
+        assert.equal(metrics().LeaderboardReads, 1);
+        assert.equal(metrics().Operation, "GET /leaderboards/levels/{level}");
+    });
+
+    it("counts asset cache hits and misses", async () => {
+        process.env.ASSET_CACHE_TTL_SECONDS = "300";
+        seedAssets(s3);
+
+        await invoke(api, { path: "/characters" });
+        const first = metrics();
+        logs.length = 0;
+        await invoke(api, { path: "/characters" });
+
+        assert.equal(first.AssetCacheMisses, 1);
+        assert.equal(metrics().AssetCacheHits, 1);
+    });
+
+    it("uses METRICS_NAMESPACE", async () => {
+        process.env.METRICS_NAMESPACE = "SpaceDashStaging";
+        try {
+            await invoke(api, { path: "/leaderboards" });
+        } finally {
+            delete process.env.METRICS_NAMESPACE;
+        }
+
+        assert.equal(metrics()._aws.CloudWatchMetrics[0].Namespace, "SpaceDashStaging");
+    });
+});
+
+describe("trace propagation", () => {
+    const TRACE_ID = "Root=1-67891233-abcdef012345678912345678";
+
+    it("logs and returns the incoming trace header", async () => {
+        process.env.TRACE_HEADER = "X-Amzn-Trace-Id";
+
+        const response = await invoke(api, { path: "/leaderboards", headers: { "x-amzn-trace-id": TRACE_ID } });
+
+        assert.equal(response.headers["X-Amzn-Trace-Id"], TRACE_ID);
+        assert.equal(summary().traceId, TRACE_ID);
+    });
+
+    it("falls back to the Lambda's X-Ray trace ID", async () => {
+        process.env.TRACE_HEADER = "X-Amzn-Trace-Id";
+        process.env._X_AMZN_TRACE_ID = TRACE_ID;
+
+        const response = await invoke(api, { path: "/leaderboards" });
+
+        assert.equal(response.headers["X-Amzn-Trace-Id"], TRACE_ID);
+    });
+
+    it("is off unless TRACE_HEADER is set", async () => {
+        const response = await invoke(api, { path: "/leaderboards", headers: { "X-Amzn-Trace-Id": TRACE_ID } });
+
+        assert.equal(response.headers["X-Amzn-Trace-Id"], undefined);
+        assert.equal(summary().traceId, undefined);
+    });
+});
+
+describe("redaction", () => {
+    it("redacts credentials and personal data by field name", () => {
+        assert.deepEqual(redact({
+            headers: { Authorization: "Bearer abc", Cookie: "CloudFront-Policy=x", Origin: "https://game.example" },
+            sourceIp: "203.0.113.7",
+            "display-name": "Alice Liddell",
+            user: { email: "alice@example.com", username: "alice" },
+            nextToken: "opaque",
+        }), {
+            headers: { Authorization: "[REDACTED]", Cookie: "[REDACTED]", Origin: "https://game.example" },
+            sourceIp: "[REDACTED]",
+            "display-name": "[REDACTED]",
+            user: { email: "[REDACTED]", username: "alice" },
+            nextToken: "[REDACTED]",
+        });
+    });
+
+    it("redacts tokens and email addresses inside strings", () => {
+        const token = devToken("alice");
+
+        assert.equal(redact(`Rejected Bearer ${token} for alice@example.com`), "Rejected [REDACTED] for [REDACTED]");
+        assert.equal(redact(`token ${token}`), "token [REDACTED]");
+    });
+
+    it("redacts error messages and flattens values JSON cannot hold", () => {
+        const logged = redact({
+            error: new Error("Bad token for bob@example.com"),
+            levels: new Set([1, 2]),
+            body: Buffer.from("replay"),
+        });
+
+        assert.equal(logged.error.message, "Bad token for [REDACTED]");
+        assert.deepEqual(logged.levels, [1, 2]);
+        assert.equal(logged.body, "[Buffer 6 bytes]");
+    });
+
+    it("never writes the caller's token", async () => {
+        dynamo.get = async () => {
+            throw new Error(`Unexpected header ${devToken("alice")}`);
+        };
+
+        await invoke(api, { path: "/players/alice/stats", user: "alice" });
+
+        assert.doesNotMatch(JSON.stringify(logs), /eyJ/);
+    });
+});
@@ -0,0 +1,278 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { handler as getLeaderboardStatsLegacy } from '../getLeaderboardStatsDDB.js';
+import { addScore, getPlayerRank, putScore, queryBoard } from '../lib/leaderboard.js';
+import { currentPeriodKeys, resolvePeriod } from '../lib/periods.js';
+import { handler as recompute } from '../recomputeLeaderboardsDDB.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+let dynamo;
+
+beforeEach(() => {
+    ({ dynamo } = useMemoryClients());
+});
+
+/**
+ * Stores players with the given coin totals on the all-time coins board.
+ */
+const seedCoins = (scores) => dynamo.seed("leaderboard", Object.entries(scores)
+    .map(([username, score]) => ({ board: "coins", username, score })));
+
+/**
+ * Reads every page of a board through the API.
+ */
+const readAllPages = async (path, query) => {
+    const entries = [];
+    let nextToken;
+    do {
+        const response = await invoke(api, { path, query: { ...query, ...(nextToken && { nextToken }) } });
+        assert.equal(response.statusCode, 200);
+        entries.push(...response.json.data.entries);
+        nextToken = response.json.data.nextToken;
+    } while (nextToken);
+    return entries;
+};
+
+describe("lib/leaderboard", () => {
+    it("only replaces a score with a better one", async () => {
+        await putScore(dynamo, "coins", undefined, "alice", 10);
+        await putScore(dynamo, "coins", undefined, "alice", 5);
+        await putScore(dynamo, "time", 1, "alice", 30);
+        await putScore(dynamo, "time", 1, "alice", 35);
+        await putScore(dynamo, "time", 1, "alice", 25);
+
+        assert.deepEqual(dynamo.dump("leaderboard").map(({ board, score }) => [board, score]), [
+            ["coins", 10],
+            ["time#1", 25],
+        ]);
+    });
+
+    it("adds up period scores", async () => {
+        await addScore(dynamo, "coins", "alice", 10, "daily:2026-10-19");
+        await addScore(dynamo, "coins", "alice", 5, "daily:2026-10-19");
+
+        const { entries } = await queryBoard(dynamo, "coins", { periodKey: "daily:2026-10-19" });
+        assert.deepEqual(entries, [{ rank: 1, username: "alice", coins: 15 }]);
+    });
+
+    it("ranks ascending boards lowest first", async () => {
+        dynamo.seed("leaderboard", [
+            { board: "time#1", username: "alice", score: 40 },
+            { board: "time#1", username: "bob", score: 20 },
+            { board: "time#2", username: "carol", score: 10 },
+        ]);
+
+        const { entries } = await queryBoard(dynamo, "time", { level: 1 });
+        assert.deepEqual(entries.map(({ username, time }) => [username, time]), [["bob", 20], ["alice", 40]]);
+    });
+
+    it("paginates with a token that cannot be used on another board", async () => {
+        seedCoins({ alice: 30, bob: 20, carol: 10 });
+
+        const first = await queryBoard(dynamo, "coins", { limit: 2 });
+        const second = await queryBoard(dynamo, "coins", { limit: 2, nextToken: first.nextToken });
+
+        assert.deepEqual(first.entries.map(({ rank }) => rank), [1, 2]);
+        assert.deepEqual(second.entries, [{ rank: 3, username: "carol", coins: 10 }]);
+        assert.equal(second.nextToken, null);
+        await assert.rejects(
+            queryBoard(dynamo, "enemies", { nextToken: first.nextToken }),
+            { statusCode: 400, message: "Invalid nextToken." }
+        );
+        await assert.rejects(queryBoard(dynamo, "coins", { nextToken: "garbage" }), { statusCode: 400 });
+    });
+
+    it("ranks a player with their neighbours, sharing ranks on ties", async () => {
+        seedCoins({ alice: 30, bob: 20, carol: 20, dave: 10 });
+
+        const rank = await getPlayerRank(dynamo, "coins", undefined, "carol");
+        assert.equal(rank.rank, 2);
+        assert.deepEqual(rank.above, { username: "alice", coins: 30 });
+        assert.deepEqual(rank.below, { username: "dave", coins: 10 });
+        assert.equal((await getPlayerRank(dynamo, "coins", undefined, "alice")).above, null);
+        assert.equal(await getPlayerRank(dynamo, "coins", undefined, "erin"), null);
+    });
+
+    it("counts the players ahead across pages", async () => {
+        ({ dynamo } = useMemoryClients({ pageSize: 3 }));
+        seedCoins(Object.fromEntries(Array.from({ length: 10 }, (_, index) => [`player${index}`, index])));
+
+        const rank = await getPlayerRank(dynamo, "coins", undefined, "player0");
+        assert.equal(rank.rank, 10);
+    });
+});
+
+describe("lib/periods", () => {
+    it("resolves current, previous and explicit windows", () => {
+        const date = new Date("2026-10-19T12:00:00Z");
+
+        assert.deepEqual(resolvePeriod(undefined, undefined, date), { periodKey: undefined, periodId: undefined });
+        assert.equal(resolvePeriod("daily", undefined, date).periodKey, "daily:2026-10-19");
+        assert.equal(resolvePeriod("daily", "previous", date).periodKey, "daily:2026-10-18");
+        assert.equal(resolvePeriod("weekly", undefined, date).periodKey, "weekly:2026-W43");
+        assert.equal(resolvePeriod("weekly", "2026-W01", date).periodKey, "weekly:2026-W01");
+        assert.equal(resolvePeriod("season", undefined, date).periodKey, "season:season-1");
+        assert.deepEqual(currentPeriodKeys(date), ["daily:2026-10-19", "weekly:2026-W43", "season:season-1"]);
+    });
+
+    it("rejects unknown periods and malformed IDs", () => {
+        assert.throws(() => resolvePeriod("monthly"), { statusCode: 400 });
+        assert.throws(() => resolvePeriod("weekly", "2026-42"), { statusCode: 400 });
+        assert.throws(() => resolvePeriod("season", "previous", new Date("2026-10-19T00:00:00Z")), { statusCode: 404 });
+    });
+});
+
+describe("GET /leaderboards", () => {
+    it("returns the top players and the top times of each level", async () => {
+        seedCoins({ alice: 30, bob: 20 });
+        dynamo.seed("leaderboard", [
+            { board: "enemies", username: "bob", score: 7 },
+            { board: "time#1", username: "alice", score: 30 },
+            { board: "time#1", username: "bob", score: 25 },
+        ]);
+
+        const response = await invoke(api, { path: "/leaderboards" });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data, {
+            topCoins: [{ username: "alice", coins: 30 }, { username: "bob", coins: 20 }],
+            topEnemies: [{ username: "bob", enemies: 7 }],
+            topTimes: {
+                1: [{ username: "bob", time: 25 }, { username: "alice", time: 30 }],
+                2: [],
+                3: [],
+            },
+        });
+    });
+
+    it("reads period boards", async () => {
+        const [daily] = currentPeriodKeys(new Date());
+        dynamo.seed("leaderboard", [{ board: `coins@${daily}`, username: "alice", score: 3 }]);
+
+        const response = await invoke(api, { path: "/leaderboards", query: { period: "daily" } });
+
+        assert.equal(response.json.data.period, "daily");
+        assert.deepEqual(response.json.data.topCoins, [{ username: "alice", coins: 3 }]);
+        assert.deepEqual(response.json.data.topTimes[1], []);
+    });
+
+    it("reads the summary from the boards without scanning player-stats", async () => {
+        seedCoins({ alice: 30 });
+        dynamo.scan = () => assert.fail("The summary must not scan a table.");
+
+        const response = await invoke(api, { path: "/leaderboards" });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data.topCoins, [{ username: "alice", coins: 30 }]);
+    });
+
+    it("rejects an unknown period", async () => {
+        const response = await invoke(api, { path: "/leaderboards", query: { period: "monthly" } });
+
+        assert.equal(response.statusCode, 400);
+    });
+});
+
+describe("GET /leaderboards/{board}", () => {
+    it("pages through more than 1 MB of entries in rank order", async () => {
+        // Pad each entry so the board is larger than one DynamoDB page
+        const padding = "x".repeat(400);
+        dynamo.seed("leaderboard", Array.from({ length: 3000 }, (_, index) => ({
+            board: "coins",
+            username: `player${String(index).padStart(4, "0")}`,
+            score: index,
+            padding,
+        })));
+
+        const entries = await readAllPages("/leaderboards/coins", { limit: "100" });
+
+        assert.equal(entries.length, 3000);
+        assert.deepEqual(entries[0], { rank: 1, username: "player2999", coins: 2999 });
+        assert.ok(entries.every((entry, index) => entry.rank === index + 1 && entry.coins === 2999 - index));
+    });
+
+    it("pages through per-level times", async () => {
+        dynamo.seed("leaderboard", Array.from({ length: 25 }, (_, index) => ({
+            board: "time#2", username: `player${index}`, score: 100 - index,
+        })));
+
+        const entries = await readAllPages("/leaderboards/time", { level: "2", limit: "10" });
+
+        assert.equal(entries.length, 25);
+        assert.equal(entries[0].time, 76);
+    });
+
+    it("works through the legacy query string", async () => {
+        seedCoins({ alice: 30 });
+        const response = await invoke(getLeaderboardStatsLegacy, { query: { board: "coins", limit: "1" } });
+
+        assert.deepEqual(response.json.data, {
+            board: "coins", entries: [{ rank: 1, username: "alice", coins: 30 }], nextToken: null,
+        });
+    });
+
+    it("validates the board, level and limit", async () => {
+        const cases = [
+            ["/leaderboards/gems", {}],
+            ["/leaderboards/time", {}],
+            ["/leaderboards/coins", { limit: "0" }],
+            ["/leaderboards/coins", { limit: "101" }],
+            ["/leaderboards/coins", { nextToken: "garbage" }],
+        ];
+        for (const [path, query] of cases) {
+            const response = await invoke(api, { path, query });
+            assert.equal(response.statusCode, 400, `${path} ${JSON.stringify(query)}`);
+        }
+    });
+});
+
+describe("recomputeLeaderboardsDDB", () => {
+    it("fills the boards from more than 1 MB of player stats", async () => {
+        // Pad each item so the stats are larger than one DynamoDB page
+        const padding = "x".repeat(1024);
+        dynamo.seed("player-stats", Array.from({ length: 1500 }, (_, index) => ({
+            username: `player${String(index).padStart(4, "0")}`,
+            "coins-collected": index,
+            "enemies-defeated": 1,
+            "fastest-times": { 1: [30 + index] },
+            padding,
+        })));
+
+        const result = await recompute({});
+        const coins = await readAllPages("/leaderboards/coins", { limit: "100" });
+        const times = await readAllPages("/leaderboards/time", { level: "1", limit: "100" });
+
+        assert.equal(result.players, 1500);
+        assert.equal(result.nextKey, null);
+        assert.equal(coins.length, 1500);
+        assert.deepEqual(coins[0], { rank: 1, username: "player1499", coins: 1499 });
+        assert.ok(coins.every((entry, index) => entry.coins === 1499 - index));
+        assert.equal(times.length, 1500);
+        assert.deepEqual(times[0], { rank: 1, username: "player0000", time: 30 });
+    });
+});
+
+describe("GET /leaderboards/levels/{level}", () => {
+    it("returns the top times and the requested player's rank", async () => {
+        dynamo.seed("leaderboard", [
+            { board: "time#1", username: "alice", score: 30 },
+            { board: "time#1", username: "bob", score: 20 },
+        ]);
+
+        const response = await invoke(api, { path: "/leaderboards/levels/1", query: { username: "alice" } });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.level, 1);
+        assert.deepEqual(response.json.data.topTimes.map(({ username }) => username), ["bob", "alice"]);
+        assert.deepEqual(response.json.data.player, {
+            rank: 2, username: "alice", time: 30, above: { username: "bob", time: 20 }, below: null,
+        });
+    });
+
+    it("returns 404 for an unknown level", async () => {
+        const response = await invoke(api, { path: "/leaderboards/levels/99" });
+
+        assert.equal(response.statusCode, 404);
+    });
+});
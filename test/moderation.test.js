@@ -0,0 +1,365 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { handler as recompute } from '../recomputeLeaderboardsDDB.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+const WEEK = "weekly:2026-W43";
+
+let dynamo;
+let s3;
+
+beforeEach(() => {
+    ({ dynamo, s3 } = useMemoryClients());
+    dynamo.seed("player-stats", [
+        {
+            username: "alice",
+            "coins-collected": 40,
+            "enemies-defeated": 10,
+            "levels-completed": new Set([1]),
+            "fastest-times": { 1: [30, 32.5] },
+            "fastest-replays": { 1: { 30: "replays/alice/1/30.json.gz", 32.5: "replays/alice/1/32.5.json.gz" } },
+        },
+        { username: "bob", "coins-collected": 25, "enemies-defeated": 5, "fastest-times": { 1: [35] } },
+    ]);
+    dynamo.seed("leaderboard", [
+        { board: "coins", username: "alice", score: 40 },
+        { board: "enemies", username: "alice", score: 10 },
+        { board: "time#1", username: "alice", score: 30 },
+        { board: `coins@${WEEK}`, username: "alice", score: 40 },
+        { board: "coins", username: "bob", score: 25 },
+        { board: "enemies", username: "bob", score: 5 },
+        { board: "time#1", username: "bob", score: 35 },
+        { board: `coins@${WEEK}`, username: "bob", score: 25 },
+    ]);
+    s3.seed("spacedash", "replays/alice/1/30.json.gz", "replay");
+    s3.seed("spacedash", "replays/alice/1/32.5.json.gz", "replay");
+});
+
+const admin = (method, path, body) => invoke(api, { method, path, user: "moderator", admin: true, body });
+
+const entries = (username) => dynamo.dump("leaderboard")
+    .filter((entry) => entry.username === username)
+    .map(({ board, score }) => [board, score]);
+
+const audit = (username) => dynamo.dump("moderation-audit").filter((entry) => entry.username === username);
+
+describe("PUT /admin/players/{username}/ban", () => {
+    it("requires admin rights", async () => {
+        const response = await invoke(api, {
+            method: "PUT", path: "/admin/players/bob/ban", user: "alice", body: { status: "banned" },
+        });
+
+        assert.equal(response.statusCode, 403);
+        assert.deepEqual(dynamo.dump("moderation"), []);
+    });
+
+    it("removes a banned player from every board and rejects their runs", async () => {
+        const response = await admin("PUT", "/admin/players/alice/ban", { status: "banned", reason: "Speed hack" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.moderation.status, "banned");
+        assert.deepEqual(entries("alice"), []);
+        assert.equal(entries("bob").length, 4);
+
+        const [entry] = audit("alice");
+        assert.equal(entry.action, "ban");
+        assert.equal(entry.actor, "moderator");
+        assert.equal(entry.reason, "Speed hack");
+        assert.deepEqual(entry.changes.moderation.from, null);
+
+        const leaderboards = await invoke(api, { path: "/leaderboards" });
+        assert.deepEqual(leaderboards.json.data.topTimes[1].map(({ username }) => username), ["bob"]);
+
+        const run = await invoke(api, {
+            method: "POST",
+            path: "/players/alice/stats",
+            user: "alice",
+            body: { level: 1, coinsCollected: 10, completionTime: 25 },
+        });
+        assert.equal(run.statusCode, 403);
+        assert.equal(dynamo.dump("player-stats")[0]["coins-collected"], 40);
+    });
+
+    it("finds the player's entries without scanning the leaderboard", async () => {
+        const scan = dynamo.scan.bind(dynamo);
+        dynamo.scan = (params) => params.TableName === "leaderboard"
+            ? assert.fail("The leaderboard must not be scanned.")
+            : scan(params);
+
+        const response = await admin("PUT", "/admin/players/alice/ban", { status: "banned" });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(entries("alice"), []);
+    });
+
+    it("accepts the runs of a shadow-banned player without ranking them", async () => {
+        await admin("PUT", "/admin/players/alice/ban", { status: "shadow-banned" });
+
+        const run = await invoke(api, {
+            method: "POST",
+            path: "/players/alice/stats",
+            user: "alice",
+            body: { level: 1, coinsCollected: 10, completionTime: 25 },
+        });
+        const own = await invoke(api, { path: "/players/alice/stats", user: "alice" });
+        const asAdmin = await admin("GET", "/players/alice/stats");
+
+        assert.equal(run.statusCode, 200);
+        assert.equal(run.json.data.coinsCollected, 50);
+        assert.deepEqual(entries("alice"), []);
+        assert.equal(own.json.data.moderation, undefined);
+        assert.equal(asAdmin.json.data.moderation.status, "shadow-banned");
+    });
+
+    it("keeps the ban when the player deletes their account and registers again", async () => {
+        dynamo.seed("spacedash-user", [{ username: "alice" }, { username: "bob" }]);
+        await admin("PUT", "/admin/players/alice/ban", { status: "banned" });
+        await admin("PUT", "/admin/players/bob/ban", { status: "shadow-banned" });
+
+        for (const username of ["alice", "bob"]) {
+            const deleted = await invoke(api, { method: "DELETE", path: `/users/${username}`, user: username });
+            assert.equal(deleted.statusCode, 200);
+        }
+        const alice = await invoke(api, { method: "POST", path: "/users", user: "alice", body: { username: "alice" } });
+        const bob = await invoke(api, { method: "POST", path: "/users", user: "bob", body: { username: "bob" } });
+        const run = await invoke(api, {
+            method: "POST",
+            path: "/players/bob/stats",
+            user: "bob",
+            body: { level: 1, coinsCollected: 10, completionTime: 25 },
+        });
+
+        assert.equal(alice.statusCode, 403);
+        assert.equal(alice.json.error.code, "username_banned");
+        assert.equal(bob.statusCode, 201);
+        assert.equal(run.statusCode, 200);
+        assert.deepEqual(entries("bob"), []);
+        assert.deepEqual(dynamo.dump("moderation").map(({ username, status }) => [username, status]), [
+            ["alice", "banned"],
+            ["bob", "shadow-banned"],
+        ]);
+    });
+
+    it("rejects unknown statuses and players", async () => {
+        assert.equal((await admin("PUT", "/admin/players/alice/ban", { status: "muted" })).statusCode, 400);
+        assert.equal((await admin("PUT", "/admin/players/carol/ban", { status: "banned" })).statusCode, 404);
+    });
+});
+
+describe("DELETE /admin/players/{username}/ban", () => {
+    it("puts the player back on the all-time boards", async () => {
+        await admin("PUT", "/admin/players/alice/ban", { status: "banned" });
+
+        const response = await admin("DELETE", "/admin/players/alice/ban");
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(dynamo.dump("moderation"), []);
+        assert.deepEqual(entries("alice"), [["coins", 40], ["enemies", 10], ["time#1", 30]]);
+        assert.deepEqual(audit("alice").map(({ action }) => action), ["ban", "unban"]);
+    });
+
+    it("returns 404 for a player who is not banned", async () => {
+        assert.equal((await admin("DELETE", "/admin/players/alice/ban")).statusCode, 404);
+    });
+});
+
+describe("PATCH /admin/players/{username}/stats", () => {
+    it("edits and resets fields, updating the boards and the audit log", async () => {
+        const response = await admin("PATCH", "/admin/players/alice/stats", {
+            coinsCollected: 12,
+            levelsCompleted: null,
+            reason: "Duplicated coins",
+        });
+
+        assert.equal(response.statusCode, 200);
+        const [stats] = dynamo.dump("player-stats");
+        assert.equal(stats["coins-collected"], 12);
+        assert.equal(stats["levels-completed"], undefined);
+        assert.deepEqual(entries("alice")[0], ["coins", 12]);
+
+        const [entry] = audit("alice");
+        assert.equal(entry.action, "edit-stats");
+        assert.deepEqual(entry.changes, {
+            "coins-collected": { from: 40, to: 12 },
+            "levels-completed": { from: [1], to: null },
+        });
+    });
+
+    it("removes the boards and replays of fastest times that were reset", async () => {
+        const response = await admin("PATCH", "/admin/players/alice/stats", { fastestTimes: { 1: [32.5] } });
+
+        assert.equal(response.statusCode, 200);
+        const [stats] = dynamo.dump("player-stats");
+        assert.deepEqual(stats["fastest-replays"], { 1: { 32.5: "replays/alice/1/32.5.json.gz" } });
+        assert.deepEqual(entries("alice").find(([board]) => board === "time#1"), ["time#1", 32.5]);
+        assert.deepEqual(s3.keys("spacedash"), ["replays/alice/1/32.5.json.gz"]);
+
+        await admin("PATCH", "/admin/players/alice/stats", { fastestTimes: null });
+        assert.equal(entries("alice").find(([board]) => board === "time#1"), undefined);
+        assert.deepEqual(s3.keys("spacedash"), []);
+    });
+
+    it("removes the period entries of an edited total", async () => {
+        await admin("PATCH", "/admin/players/alice/stats", { coinsCollected: 12 });
+
+        assert.deepEqual(entries("alice").filter(([board]) => board.includes("@")), []);
+        assert.deepEqual(entries("bob").filter(([board]) => board.includes("@")), [[`coins@${WEEK}`, 25]]);
+    });
+
+    it("returns 409 when the stats change during the edit", async () => {
+        const get = dynamo.get.bind(dynamo);
+        dynamo.get = async (params) => {
+            const result = await get(params);
+            await dynamo.update({
+                TableName: "player-stats",
+                Key: { username: "alice" },
+                UpdateExpression: "ADD #coins :coins",
+                ExpressionAttributeNames: { "#coins": "coins-collected" },
+                ExpressionAttributeValues: { ":coins": 5 },
+            });
+            return result;
+        };
+
+        const response = await admin("PATCH", "/admin/players/alice/stats", { coinsCollected: 12 });
+
+        assert.equal(response.statusCode, 409);
+        assert.equal(dynamo.dump("player-stats")[0]["coins-collected"], 45);
+        assert.deepEqual(audit("alice"), []);
+    });
+
+    it("rejects empty and invalid edits", async () => {
+        const codes = await Promise.all([
+            {},
+            { coinsCollected: -1 },
+            { levelsCompleted: [0] },
+            { fastestTimes: { 1: [30, 31, 32, 33, 34, 35] } },
+            { fastestTimes: { level: [30] } },
+        ].map(async (body) => (await admin("PATCH", "/admin/players/alice/stats", body)).statusCode));
+
+        assert.deepEqual(codes, [400, 400, 400, 400, 400]);
+    });
+});
+
+describe("DELETE /admin/players/{username}/times/{level}/{time}", () => {
+    it("deletes the time, its replay and moves the player to their next best time", async () => {
+        const response = await admin("DELETE", "/admin/players/alice/times/1/30");
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data.fastestTimes, [32.5]);
+        assert.deepEqual(dynamo.dump("player-stats")[0]["fastest-times"], { 1: [32.5] });
+        assert.deepEqual(entries("alice").find(([board]) => board === "time#1"), ["time#1", 32.5]);
+        assert.deepEqual(s3.keys("spacedash"), ["replays/alice/1/32.5.json.gz"]);
+        assert.deepEqual(audit("alice")[0].changes["fastest-times"], {
+            from: { 1: [30, 32.5] },
+            to: { 1: [32.5] },
+        });
+    });
+
+    it("removes the period entries holding the deleted time", async () => {
+        dynamo.seed("leaderboard", [
+            { board: `time#1@${WEEK}`, username: "alice", score: 30 },
+            { board: "time#1@season:season-1", username: "alice", score: 30 },
+            { board: "time#1@daily:2026-10-19", username: "alice", score: 32.5 },
+        ]);
+
+        const response = await admin("DELETE", "/admin/players/alice/times/1/30");
+        const weekly = await invoke(api, {
+            path: "/leaderboards/time", query: { level: "1", period: "weekly", periodId: "2026-W43" },
+        });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(entries("alice").filter(([board]) => board.includes("@")), [
+            [`coins@${WEEK}`, 40],
+            ["time#1@daily:2026-10-19", 32.5],
+        ]);
+        assert.deepEqual(weekly.json.data.entries, []);
+    });
+
+    it("takes the player off the level's board when no time is left", async () => {
+        await admin("DELETE", "/admin/players/bob/times/1/35");
+
+        assert.equal(dynamo.dump("player-stats")[1]["fastest-times"], undefined);
+        assert.deepEqual(entries("bob"), [["coins", 25], [`coins@${WEEK}`, 25], ["enemies", 5]]);
+    });
+
+    it("returns 404 for a time the player does not have", async () => {
+        assert.equal((await admin("DELETE", "/admin/players/alice/times/1/31")).statusCode, 404);
+        assert.equal((await admin("DELETE", "/admin/players/alice/times/2/30")).statusCode, 404);
+    });
+});
+
+describe("GET /admin/players/{username}/audit", () => {
+    it("lists the changes newest first, a page at a time", async () => {
+        await admin("PUT", "/admin/players/alice/ban", { status: "shadow-banned" });
+        await admin("PATCH", "/admin/players/alice/stats", { coinsCollected: 0 });
+        await admin("DELETE", "/admin/players/alice/ban");
+
+        const first = await invoke(api, {
+            path: "/admin/players/alice/audit", user: "moderator", admin: true, query: { limit: "2" },
+        });
+        const second = await invoke(api, {
+            path: "/admin/players/alice/audit",
+            user: "moderator",
+            admin: true,
+            query: { limit: "2", nextToken: first.json.data.nextToken },
+        });
+
+        assert.deepEqual(first.json.data.entries.map(({ action }) => action), ["unban", "edit-stats"]);
+        assert.deepEqual(second.json.data.entries.map(({ action }) => action), ["ban"]);
+        assert.equal(first.json.data.entries[0].actor, "moderator");
+        assert.match(first.json.data.entries[0].changedAt, /^\d{4}-\d\d-\d\dT[\d:.]+Z$/);
+    });
+
+    it("is only readable by admins", async () => {
+        const response = await invoke(api, { path: "/admin/players/alice/audit", user: "alice" });
+
+        assert.equal(response.statusCode, 403);
+    });
+});
+
+describe("recomputeLeaderboardsDDB", () => {
+    it("rebuilds the all-time boards from player-stats", async () => {
+        dynamo.seed("player-stats", [
+            { username: "carol", "coins-collected": 7, "fastest-times": { 2: [41] } },
+            { username: "mallory", "coins-collected": 99 },
+        ]);
+        dynamo.seed("moderation", [{ username: "mallory", status: "banned" }]);
+        dynamo.seed("leaderboard", [
+            { board: "coins", username: "alice", score: 400 },
+            { board: "time#2", username: "bob", score: 20 },
+            { board: "coins", username: "mallory", score: 99 },
+            { board: `coins@${WEEK}`, username: "mallory", score: 99 },
+            { board: "coins", username: "deleted", score: 3 },
+        ]);
+
+        const result = await recompute({}, { getRemainingTimeInMillis: () => 60 * 1000 });
+
+        assert.deepEqual(result, { players: 3, skipped: 1, removed: 4, nextKey: null });
+        assert.deepEqual(entries("alice"), [["coins", 40], [`coins@${WEEK}`, 40], ["enemies", 10], ["time#1", 30]]);
+        assert.deepEqual(entries("bob"), [["coins", 25], [`coins@${WEEK}`, 25], ["enemies", 5], ["time#1", 35]]);
+        assert.deepEqual(entries("carol"), [["coins", 7], ["enemies", 0], ["time#2", 41]]);
+        assert.deepEqual(entries("mallory"), []);
+        assert.deepEqual(entries("deleted"), []);
+    });
+
+    it("stops before the timeout and resumes from nextKey", async () => {
+        ({ dynamo } = useMemoryClients({ pageSize: 1 }));
+        dynamo.seed("player-stats", [
+            { username: "alice", "coins-collected": 40 },
+            { username: "bob", "coins-collected": 25 },
+        ]);
+        const context = { getRemainingTimeInMillis: () => 1000 };
+
+        const results = [await recompute({}, context)];
+        while (results.at(-1).nextKey) {
+            results.push(await recompute({ startKey: results.at(-1).nextKey }, context));
+        }
+
+        assert.ok(results.length > 2);
+        assert.deepEqual(results[0].nextKey.phase, "stats");
+        assert.equal(results.reduce((total, { players }) => total + players, 0), 2);
+        assert.deepEqual(entries("alice"), [["coins", 40], ["enemies", 0]]);
+        assert.deepEqual(entries("bob"), [["coins", 25], ["enemies", 0]]);
+    });
+});
@@ -0,0 +1,175 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { handler as getPlayerStatsLegacy } from '../getPlayerStatsDDB.js';
+import { handler as updatePlayerStatsLegacy } from '../updatePlayerStatsDDB.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+let dynamo;
+
+beforeEach(() => {
+    ({ dynamo } = useMemoryClients());
+});
+
+const submit = (username, run, request = {}) => invoke(api, {
+    method: "POST",
+    path: `/players/${username}/stats`,
+    user: username,
+    body: { level: 1, coinsCollected: 10, enemiesDefeated: 2, completionTime: 30, ...run },
+    ...request,
+});
+
+describe("POST /players/{username}/stats", () => {
+    it("merges runs into the lifetime stats", async () => {
+        await submit("alice", { completionTime: 40 });
+        const response = await submit("alice", { completionTime: 30 });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data, {
+            username: "alice",
+            level: 1,
+            coinsCollected: 20,
+            enemiesDefeated: 4,
+            levelsCompleted: [1],
+            fastestTimes: [30, 40],
+            newPersonalBest: true,
+            newLevelUnlocked: false,
+            newAchievements: [],
+        });
+    });
+
+    it("keeps only the five fastest times per level", async () => {
+        for (const completionTime of [50, 40, 60, 30, 45, 55]) {
+            await submit("alice", { completionTime });
+        }
+        const [item] = dynamo.dump("player-stats");
+
+        assert.deepEqual(item["fastest-times"]["1"], [30, 40, 45, 50, 55]);
+    });
+
+    it("merges into items written by the old handler", async () => {
+        dynamo.seed("player-stats", [{ username: "alice", "levels-completed": [1], "coins-collected": 5 }]);
+        const response = await submit("alice", { level: 2, completionTime: 25 });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data.levelsCompleted, [1, 2]);
+        assert.equal(response.json.data.coinsCollected, 15);
+    });
+
+    it("retries when a concurrent submission changes the stats", async () => {
+        await submit("alice", { completionTime: 40 });
+        const update = dynamo.update.bind(dynamo);
+        let raced = false;
+        dynamo.update = async (params) => {
+            if (!raced && params.TableName === "player-stats") {
+                // Another run is merged between this submission's read and its update
+                raced = true;
+                const [item] = dynamo.dump("player-stats");
+                dynamo.seed("player-stats", [{ ...item, "fastest-times": { 1: [38, 40] } }]);
+            }
+            return update(params);
+        };
+
+        const response = await submit("alice", { completionTime: 35 });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data.fastestTimes, [35, 38, 40]);
+    });
+
+    it("updates the leaderboards", async () => {
+        await submit("alice", { coinsCollected: 10, completionTime: 30 });
+        const boards = dynamo.dump("leaderboard").map(({ board }) => board);
+
+        assert.ok(boards.includes("coins"));
+        assert.ok(boards.includes("time#1"));
+        assert.ok(boards.some((board) => board.startsWith("coins@daily:")));
+    });
+
+    it("rejects invalid runs", async () => {
+        for (const run of [{ level: 0 }, { coinsCollected: -1 }, { enemiesDefeated: 1.5 }, { completionTime: "fast" }]) {
+            const response = await submit("alice", run);
+            assert.equal(response.statusCode, 400, JSON.stringify(run));
+        }
+        assert.deepEqual(dynamo.dump("player-stats"), []);
+    });
+
+    it("rejects and records implausible runs", async () => {
+        const response = await submit("alice", { level: 2, coinsCollected: 1000, completionTime: 1 });
+
+        assert.equal(response.statusCode, 422);
+        assert.deepEqual(
+            response.json.error.details.violations.map(({ rule }) => rule),
+            ["max-coins", "min-completion-time", "level-prerequisites"]
+        );
+        const [suspicious] = dynamo.dump("suspicious-submissions");
+        assert.equal(suspicious.username, "alice");
+        assert.equal(suspicious["source-ip"], "127.0.0.1");
+        assert.deepEqual(dynamo.dump("player-stats"), []);
+    });
+
+    it("does not submit runs for another player", async () => {
+        const response = await submit("alice", {}, { user: "bob" });
+
+        assert.equal(response.statusCode, 403);
+    });
+});
+
+describe("GET /players/{username}/stats", () => {
+    it("returns the stored stats", async () => {
+        await submit("alice");
+        const response = await invoke(api, { path: "/players/alice/stats", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data["coins-collected"], 10);
+    });
+
+    it("returns the completed levels as a sorted list", async () => {
+        await submit("alice", { level: 1 });
+        assert.equal((await submit("alice", { level: 2, completionTime: 50 })).statusCode, 200);
+        const response = await invoke(api, { path: "/players/alice/stats", user: "alice" });
+        const exported = await invoke(api, { path: "/users/alice/export", user: "alice" });
+
+        assert.deepEqual(response.json.data["levels-completed"], [1, 2]);
+        assert.deepEqual(exported.json.data.playerStats[0]["levels-completed"], [1, 2]);
+    });
+
+    it("returns 404 for a player without stats", async () => {
+        const response = await invoke(api, { path: "/players/alice/stats", user: "alice" });
+
+        assert.equal(response.statusCode, 404);
+    });
+
+    it("defaults to the caller in the legacy Lambda", async () => {
+        await submit("alice");
+        const response = await invoke(getPlayerStatsLegacy, { user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.username, "alice");
+    });
+});
+
+describe("updatePlayerStatsDDB", () => {
+    it("reads the run from the query string", async () => {
+        const response = await invoke(updatePlayerStatsLegacy, {
+            user: "alice",
+            query: { username: "alice", level: "1", coinsCollected: "3", enemiesDefeated: "1", completionTime: "20" },
+        });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.coinsCollected, 3);
+    });
+
+    // The Lambda used to parse the body itself and answered malformed JSON with a 500
+    it("returns 400 for a body that is not valid JSON", async () => {
+        const response = await invoke(updatePlayerStatsLegacy, { method: "POST", user: "alice", body: "{ level: 1" });
+
+        assert.equal(response.statusCode, 400);
+        assert.equal(response.json.error.message, "Request body is not valid JSON.");
+    });
+
+    it("requires a level", async () => {
+        const response = await invoke(updatePlayerStatsLegacy, { user: "alice" });
+
+        assert.equal(response.statusCode, 400);
+    });
+});
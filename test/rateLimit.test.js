@@ -0,0 +1,183 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { RATE_LIMITS } from '../config/rateLimits.js';
+import { createMemoryBucketStore, enforceRateLimit, setRateLimitStore } from '../lib/rateLimit.js';
+import { handler as updateCharacterLegacy } from '../updateCharacterDDB.js';
+import { invoke, logs, useMemoryClients } from './helpers/harness.js';
+
+const STATS_ROUTE = "POST /players/{username}/stats";
+const { user: STATS_LIMIT } = RATE_LIMITS[STATS_ROUTE];
+
+let dynamo;
+
+beforeEach(() => {
+    ({ dynamo } = useMemoryClients());
+    dynamo.seed("spacedash-user", [{ username: "alice", character: "blue" }]);
+    mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-10-19T12:00:00Z") });
+});
+
+afterEach(() => {
+    mock.timers.reset();
+    setRateLimitStore();
+    delete process.env.RATE_LIMIT_BYPASS;
+});
+
+const submit = (options = {}) => invoke(api, {
+    method: "POST",
+    path: "/players/alice/stats",
+    user: "alice",
+    body: { level: 1, coinsCollected: 1, completionTime: 30 },
+    ...options,
+});
+
+/** Sends requests one after the other and returns their status codes. */
+const statuses = async (count, send) => {
+    const codes = [];
+    for (let index = 0; index < count; index++) {
+        codes.push((await send(index)).statusCode);
+    }
+    return codes;
+};
+
+describe("per-user limits", () => {
+    it("allows a burst up to the capacity, then returns 429 with Retry-After", async () => {
+        const codes = await statuses(STATS_LIMIT.capacity, () => submit());
+        const limited = await submit();
+
+        assert.ok(codes.every((code) => code === 200));
+        assert.equal(limited.statusCode, 429);
+        assert.equal(limited.json.error.code, "too_many_requests");
+        assert.equal(limited.headers["Retry-After"], String(60 / STATS_LIMIT.refillPerMinute));
+        assert.equal(limited.json.error.details.retryAfter, 60 / STATS_LIMIT.refillPerMinute);
+        assert.equal(logs.findLast((line) => line._aws).RateLimited, 1);
+    });
+
+    it("refills the bucket over time", async () => {
+        await statuses(STATS_LIMIT.capacity, () => submit());
+
+        mock.timers.tick(60 * 1000 / STATS_LIMIT.refillPerMinute);
+        assert.equal((await submit()).statusCode, 200);
+        assert.equal((await submit()).statusCode, 429);
+    });
+
+    it("stores buckets with an expiry for the table's TTL", async () => {
+        await submit();
+
+        const bucket = dynamo.dump("rate-limits").find(({ bucket }) => bucket === `${STATS_ROUTE}#user#alice`);
+        assert.equal(bucket.tokens, STATS_LIMIT.capacity - 1);
+        assert.equal(bucket["expires-at"], Date.now() / 1000 + 60 / STATS_LIMIT.refillPerMinute);
+    });
+
+    it("limits each route separately and applies to the legacy Lambdas", async () => {
+        await statuses(STATS_LIMIT.capacity, () => submit());
+
+        const { capacity } = RATE_LIMITS["PUT /users/{username}/character"].user;
+        const codes = await statuses(capacity + 1, () => invoke(updateCharacterLegacy, {
+            user: "alice", query: { username: "alice", colour: "blue" },
+        }));
+
+        assert.deepEqual(codes, [...Array(capacity).fill(200), 429]);
+    });
+
+    it("does not limit reads", async () => {
+        const codes = await statuses(STATS_LIMIT.capacity + 5, () => invoke(api, {
+            path: "/players/alice/stats", user: "alice",
+        }));
+
+        assert.ok(codes.every((code) => code !== 429));
+    });
+});
+
+describe("per-IP limits", () => {
+    it("limits callers sharing an address", async () => {
+        const { user, ip } = RATE_LIMITS["POST /users"];
+        assert.ok(user.capacity < ip.capacity);
+
+        const codes = await statuses(ip.capacity + 1, (index) => invoke(api, {
+            method: "POST", path: "/users", user: `player${index}`, body: { username: `player${index}` },
+            sourceIp: "198.51.100.4",
+        }));
+        const elsewhere = await invoke(api, {
+            method: "POST", path: "/users", user: "bob", body: { username: "bob" }, sourceIp: "198.51.100.5",
+        });
+
+        assert.deepEqual(codes, [...Array(ip.capacity).fill(201), 429]);
+        assert.equal(elsewhere.statusCode, 201);
+    });
+
+    it("does not charge the caller for requests the address limit rejects", async () => {
+        const { ip } = RATE_LIMITS[STATS_ROUTE];
+        const sourceIp = "198.51.100.4";
+        dynamo.seed("rate-limits", [{
+            bucket: `${STATS_ROUTE}#ip#${sourceIp}`,
+            tokens: 0,
+            "updated-at": Date.now(),
+            version: 1,
+            "expires-at": Date.now() / 1000 + 60 * ip.capacity / ip.refillPerMinute,
+        }]);
+
+        const userTokens = () => dynamo.dump("rate-limits")
+            .find(({ bucket }) => bucket === `${STATS_ROUTE}#user#alice`).tokens;
+
+        assert.equal((await submit()).statusCode, 200);
+        const before = userTokens();
+        const limited = await submit({ sourceIp });
+
+        assert.equal(limited.statusCode, 429);
+        assert.equal(userTokens(), before);
+    });
+});
+
+describe("overrides", () => {
+    it("never limits admins", async () => {
+        const codes = await statuses(STATS_LIMIT.capacity + 1, () => submit({ user: "moderator", admin: true }));
+
+        assert.ok(codes.every((code) => code === 200));
+        assert.deepEqual(dynamo.dump("rate-limits"), []);
+    });
+
+    it("skips the usernames and addresses in RATE_LIMIT_BYPASS", async () => {
+        process.env.RATE_LIMIT_BYPASS = "carol, 203.0.113.9";
+
+        const byUser = await statuses(STATS_LIMIT.capacity + 1, () => submit());
+        process.env.RATE_LIMIT_BYPASS = "alice";
+        const bypassed = await statuses(STATS_LIMIT.capacity + 1, () => submit());
+
+        assert.equal(byUser.at(-1), 429);
+        assert.ok(bypassed.every((code) => code === 200));
+    });
+});
+
+describe("in-memory store", () => {
+    const req = { sourceIp: "192.0.2.1" };
+    const identity = { username: "alice", isAdmin: false };
+
+    it("limits without touching DynamoDB", async () => {
+        setRateLimitStore(createMemoryBucketStore());
+
+        const codes = await statuses(STATS_LIMIT.capacity + 1, () => submit());
+
+        assert.equal(codes.at(-1), 429);
+        assert.deepEqual(dynamo.dump("rate-limits"), []);
+    });
+
+    it("never spends the same token twice under concurrency", async () => {
+        setRateLimitStore(createMemoryBucketStore());
+
+        const results = await Promise.allSettled(Array.from({ length: STATS_LIMIT.capacity * 2 }, () =>
+            enforceRateLimit(req, identity, STATS_ROUTE)));
+
+        const allowed = results.filter(({ status }) => status === "fulfilled").length;
+        assert.ok(allowed > 0 && allowed <= STATS_LIMIT.capacity, `${allowed} allowed`);
+        assert.ok(results.filter(({ reason }) => reason?.statusCode === 429).length >= STATS_LIMIT.capacity);
+    });
+
+    it("ignores routes without limits", async () => {
+        setRateLimitStore(createMemoryBucketStore());
+
+        for (let index = 0; index < 100; index++) {
+            await enforceRateLimit(req, identity, "GET /leaderboards");
+        }
+    });
+});
@@ -0,0 +1,165 @@
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+import { beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { MAX_TIMES_PER_LEVEL } from '../config/levels.js';
+import { MAX_REPLAYS_PER_LEVEL } from '../config/replays.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+const CDN = "https://d3vva0g6vi1eo1.cloudfront.net";
+
+let dynamo;
+let s3;
+
+beforeEach(() => {
+    ({ dynamo, s3 } = useMemoryClients());
+    dynamo.seed("player-stats", [{ username: "alice", "fastest-times": { 1: [30, 32.5] } }]);
+});
+
+const replay = (time, overrides = {}) => gzipSync(JSON.stringify({
+    version: 1,
+    level: 1,
+    completionTime: time,
+    frames: [{ t: 0 }, { t: time / 2 }, { t: time }],
+    ...overrides,
+}));
+
+const upload = (time, body = replay(time), user = "alice") => invoke(api, {
+    method: "PUT",
+    path: "/players/alice/replays/1",
+    user,
+    query: { time: String(time) },
+    headers: { "Content-Type": "application/gzip" },
+    body,
+});
+
+describe("PUT /players/{username}/replays/{level}", () => {
+    it("stores the replay and links it to the time", async () => {
+        const response = await upload(30);
+
+        assert.equal(response.statusCode, 201);
+        const object = s3.object("spacedash", "replays/alice/1/30.json.gz");
+        assert.equal(object.ContentEncoding, "gzip");
+        assert.deepEqual(dynamo.dump("player-stats")[0]["fastest-replays"], {
+            1: { 30: "replays/alice/1/30.json.gz" },
+        });
+    });
+
+    it("adds to the replays already linked", async () => {
+        await upload(30);
+        await upload(32.5);
+
+        assert.deepEqual(Object.keys(dynamo.dump("player-stats")[0]["fastest-replays"]["1"]), ["30", "32.5"]);
+    });
+
+    it("keeps only the replays of the fastest times", async () => {
+        const times = Array.from({ length: MAX_REPLAYS_PER_LEVEL + 1 }, (_, index) => 30 + index);
+        dynamo.seed("player-stats", [{ username: "alice", "fastest-times": { 1: times } }]);
+
+        // More uploads in a row than the rate limit allows
+        process.env.RATE_LIMIT_BYPASS = "alice";
+        try {
+            for (const time of times.reverse()) {
+                assert.equal((await upload(time)).statusCode, 201);
+            }
+        } finally {
+            delete process.env.RATE_LIMIT_BYPASS;
+        }
+
+        const linked = dynamo.dump("player-stats")[0]["fastest-replays"]["1"];
+        assert.equal(Object.keys(linked).length, MAX_REPLAYS_PER_LEVEL);
+        assert.equal(linked[String(30 + MAX_REPLAYS_PER_LEVEL)], undefined);
+        assert.equal(s3.keys("spacedash").length, MAX_REPLAYS_PER_LEVEL);
+    });
+
+    it("only accepts replays of a stored fastest time", async () => {
+        const response = await upload(31);
+
+        assert.equal(response.statusCode, 404);
+        assert.deepEqual(s3.keys("spacedash"), []);
+    });
+
+    it("rejects replays that are not gzipped or do not match the run", async () => {
+        const cases = [
+            [415, Buffer.from("{}")],
+            [422, gzipSync("not json")],
+            [422, replay(30, { version: 2 })],
+            [422, replay(30, { level: 2 })],
+            [422, replay(30, { frames: [{ t: 0 }, { t: 10 }] })],
+            [422, replay(30, { frames: [{ t: 5 }, { t: 1 }, { t: 30 }] })],
+        ];
+        for (const [status, body] of cases) {
+            const response = await upload(30, body);
+            assert.equal(response.statusCode, status, response.body);
+        }
+        assert.deepEqual(s3.keys("spacedash"), []);
+    });
+
+    it("validates the level and time", async () => {
+        const response = await invoke(api, {
+            method: "PUT", path: "/players/alice/replays/0", user: "alice", query: { time: "30" }, body: replay(30),
+        });
+
+        assert.equal(response.statusCode, 400);
+        assert.equal((await upload("soon")).statusCode, 400);
+    });
+
+    it("does not upload for another player", async () => {
+        assert.equal((await upload(30, replay(30), "bob")).statusCode, 403);
+    });
+});
+
+describe("POST /players/{username}/stats", () => {
+    it("removes the replay of a time pushed out of the fastest times", async () => {
+        const times = Array.from({ length: MAX_TIMES_PER_LEVEL }, (_, index) => 30 + index);
+        const links = Object.fromEntries(times.map((time) => [time, `replays/alice/1/${time}.json.gz`]));
+        dynamo.seed("player-stats", [
+            { username: "alice", "fastest-times": { 1: times }, "fastest-replays": { 1: links } },
+        ]);
+        for (const key of Object.values(links)) {
+            s3.seed("spacedash", key, "replay");
+        }
+
+        const response = await invoke(api, {
+            method: "POST",
+            path: "/players/alice/stats",
+            user: "alice",
+            body: { level: 1, completionTime: 25 },
+        });
+
+        assert.equal(response.statusCode, 200);
+        const slowest = String(times.at(-1));
+        const linked = dynamo.dump("player-stats")[0]["fastest-replays"]["1"];
+        assert.deepEqual(Object.keys(linked).sort(), times.slice(0, -1).map(String).sort());
+        assert.ok(!s3.keys("spacedash").includes(`replays/alice/1/${slowest}.json.gz`));
+        assert.equal(s3.keys("spacedash").length, MAX_TIMES_PER_LEVEL - 1);
+    });
+});
+
+describe("GET /leaderboards/levels/{level}/replays/{username}", () => {
+    it("returns the personal best's replay by default", async () => {
+        await upload(32.5);
+        await upload(30);
+
+        const response = await invoke(api, { path: "/leaderboards/levels/1/replays/alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data, {
+            username: "alice", level: 1, time: 30, url: `${CDN}/replays/alice/1/30.json.gz`, expiresAt: null,
+        });
+    });
+
+    it("returns the replay of a given time", async () => {
+        await upload(32.5);
+
+        const response = await invoke(api, { path: "/leaderboards/levels/1/replays/alice", query: { time: "32.5" } });
+
+        assert.equal(response.json.data.time, 32.5);
+    });
+
+    it("returns 404 without a replay", async () => {
+        assert.equal((await invoke(api, { path: "/leaderboards/levels/1/replays/alice" })).statusCode, 404);
+        assert.equal((await invoke(api, { path: "/leaderboards/levels/1/replays/bob" })).statusCode, 404);
+        assert.equal((await invoke(api, { path: "/leaderboards/levels/9/replays/alice" })).statusCode, 404);
+    });
+});
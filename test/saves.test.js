@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { MAX_SAVE_BYTES } from '../config/saves.js';
+import { handler as getPlayerSaveLegacy } from '../getPlayerSaveDDB.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+beforeEach(() => {
+    useMemoryClients();
+});
+
+const save = (slot, body, user = "alice") => invoke(api, {
+    method: "PUT", path: `/players/alice/saves/${slot}`, user, body: { schemaVersion: 1, ...body },
+});
+
+describe("PUT /players/{username}/saves/{slot}", () => {
+    it("creates and then updates a slot, bumping its version", async () => {
+        const created = await save(1, { version: 0, data: { level: 1 } });
+        const updated = await save(1, { version: 1, data: { level: 2 } });
+
+        assert.equal(created.statusCode, 200);
+        assert.equal(created.json.data.version, 1);
+        assert.equal(updated.json.data.version, 2);
+        assert.deepEqual(updated.json.data.data, { level: 2 });
+    });
+
+    it("rejects a stale version with the server copy", async () => {
+        await save(1, { version: 0, data: { level: 1 } });
+        await save(1, { version: 1, data: { level: 2 } });
+
+        const response = await save(1, { version: 1, data: { level: 3 } });
+
+        assert.equal(response.statusCode, 409);
+        assert.equal(response.json.error.code, "save_conflict");
+        assert.equal(response.json.error.details.server.version, 2);
+        assert.deepEqual(response.json.error.details.server.data, { level: 2 });
+    });
+
+    it("does not overwrite an existing slot as new", async () => {
+        await save(1, { version: 0, data: {} });
+        const response = await save(1, { version: 0, data: {} });
+
+        assert.equal(response.statusCode, 409);
+    });
+
+    it("validates the slot and body", async () => {
+        const cases = [
+            [0, { version: 0, data: {} }],
+            [4, { version: 0, data: {} }],
+            [1, { version: -1, data: {} }],
+            [1, { version: 0, schemaVersion: 0, data: {} }],
+            [1, { version: 0, data: [1] }],
+        ];
+        for (const [slot, body] of cases) {
+            const response = await save(slot, body);
+            assert.equal(response.statusCode, 400, JSON.stringify([slot, body]));
+        }
+    });
+
+    it("rejects saves over the size limit", async () => {
+        const response = await save(1, { version: 0, data: { blob: "x".repeat(MAX_SAVE_BYTES) } });
+
+        assert.equal(response.statusCode, 413);
+        assert.equal(response.json.error.code, "save_too_large");
+    });
+
+    it("does not write another player's save", async () => {
+        const response = await save(1, { version: 0, data: {} }, "bob");
+
+        assert.equal(response.statusCode, 403);
+    });
+});
+
+describe("GET /players/{username}/saves", () => {
+    it("lists the slots without their data", async () => {
+        await save(2, { version: 0, data: { level: 1 } });
+        await save(1, { version: 0, data: { level: 3 } });
+
+        const response = await invoke(api, { path: "/players/alice/saves", user: "alice" });
+
+        assert.deepEqual(response.json.data.slots.map(({ slot, version, data }) => [slot, version, data]), [
+            [1, 1, undefined],
+            [2, 1, undefined],
+        ]);
+    });
+
+    it("reads one slot", async () => {
+        await save(2, { version: 0, data: { level: 1 } });
+
+        const response = await invoke(api, { path: "/players/alice/saves/2", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data.data, { level: 1 });
+        assert.equal((await invoke(api, { path: "/players/alice/saves/1", user: "alice" })).statusCode, 404);
+    });
+
+    it("lists or reads slots through the legacy query string", async () => {
+        await save(1, { version: 0, data: { level: 1 } });
+
+        const list = await invoke(getPlayerSaveLegacy, { user: "alice" });
+        const slot = await invoke(getPlayerSaveLegacy, { user: "alice", query: { slot: "1" } });
+
+        assert.equal(list.json.data.slots.length, 1);
+        assert.deepEqual(slot.json.data.data, { level: 1 });
+    });
+});
+
+describe("DELETE /players/{username}/saves/{slot}", () => {
+    it("clears a slot", async () => {
+        await save(1, { version: 0, data: {} });
+
+        const response = await invoke(api, { method: "DELETE", path: "/players/alice/saves/1", user: "alice" });
+
+        assert.equal(response.statusCode, 204);
+        assert.equal((await invoke(api, { path: "/players/alice/saves/1", user: "alice" })).statusCode, 404);
+    });
+
+    it("checks the expected version", async () => {
+        await save(1, { version: 0, data: {} });
+        const request = { method: "DELETE", path: "/players/alice/saves/1", user: "alice" };
+
+        assert.equal((await invoke(api, { ...request, query: { version: "2" } })).statusCode, 409);
+        assert.equal((await invoke(api, { ...request, query: { version: "x" } })).statusCode, 400);
+        assert.equal((await invoke(api, { ...request, query: { version: "1" } })).statusCode, 204);
+    });
+
+    it("returns 404 for an empty slot", async () => {
+        const response = await invoke(api, { method: "DELETE", path: "/players/alice/saves/1", user: "alice" });
+
+        assert.equal(response.statusCode, 404);
+    });
+});
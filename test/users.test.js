@@ -0,0 +1,256 @@
+import assert from 'node:assert/strict';
+import { beforeEach, describe, it } from 'node:test';
+import { handler as api } from '../apiRouter.js';
+import { handler as updateCharacterLegacy } from '../updateCharacterDDB.js';
+import { invoke, useMemoryClients } from './helpers/harness.js';
+
+let dynamo;
+let s3;
+
+beforeEach(() => {
+    ({ dynamo, s3 } = useMemoryClients());
+});
+
+const register = (username, body = {}) =>
+    invoke(api, { method: "POST", path: "/users", user: username, body: { username, ...body } });
+
+describe("POST /users", () => {
+    it("registers the caller with the default character", async () => {
+        const response = await register("alice", { displayName: "  Alice  " });
+
+        assert.equal(response.statusCode, 201);
+        assert.equal(response.json.data.username, "alice");
+        assert.equal(response.json.data["display-name"], "Alice");
+        assert.equal(response.json.data.character, "blue");
+        assert.equal(dynamo.dump("spacedash-user").length, 1);
+    });
+
+    it("rejects a taken username", async () => {
+        await register("alice");
+        const response = await register("alice");
+
+        assert.equal(response.statusCode, 409);
+        assert.equal(response.json.error.code, "username_taken");
+    });
+
+    it("rejects invalid and reserved usernames", async () => {
+        for (const username of ["ab", "has space", "Admin"]) {
+            const response = await register(username);
+            assert.equal(response.statusCode, 400, username);
+        }
+    });
+
+    it("rejects a locked starting character", async () => {
+        const response = await register("alice", { character: "red" });
+
+        assert.equal(response.statusCode, 403);
+        assert.equal(response.json.error.code, "character_locked");
+    });
+
+    it("requires a token", async () => {
+        const response = await invoke(api, { method: "POST", path: "/users", body: { username: "alice" } });
+
+        assert.equal(response.statusCode, 401);
+        assert.equal(response.headers["WWW-Authenticate"], "Bearer");
+    });
+
+    it("does not register another user", async () => {
+        const response = await invoke(api, { method: "POST", path: "/users", user: "bob", body: { username: "alice" } });
+
+        assert.equal(response.statusCode, 403);
+    });
+});
+
+describe("GET /users/{username}", () => {
+    it("returns the user", async () => {
+        await register("alice");
+        const response = await invoke(api, { path: "/users/alice", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.username, "alice");
+    });
+
+    it("returns 404 for an unknown user", async () => {
+        const response = await invoke(api, { path: "/users/alice", user: "alice" });
+
+        assert.equal(response.statusCode, 404);
+    });
+
+    it("lets admins read other users", async () => {
+        await register("alice");
+
+        assert.equal((await invoke(api, { path: "/users/alice", user: "bob" })).statusCode, 403);
+        assert.equal((await invoke(api, { path: "/users/alice", user: "bob", admin: true })).statusCode, 200);
+    });
+});
+
+describe("PATCH /users/{username}", () => {
+    it("updates the display name", async () => {
+        await register("alice");
+        const response = await invoke(api, {
+            method: "PATCH", path: "/users/alice", user: "alice", body: { displayName: "Ally" },
+        });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data["display-name"], "Ally");
+    });
+
+    it("requires a field to change", async () => {
+        const response = await invoke(api, { method: "PATCH", path: "/users/alice", user: "alice", body: {} });
+
+        assert.equal(response.statusCode, 400);
+    });
+
+    it("returns 404 for an unknown user", async () => {
+        const response = await invoke(api, {
+            method: "PATCH", path: "/users/alice", user: "alice", body: { displayName: "Ally" },
+        });
+
+        assert.equal(response.statusCode, 404);
+    });
+});
+
+describe("PUT /users/{username}/character", () => {
+    it("selects an unlocked character", async () => {
+        await register("alice");
+        dynamo.seed("player-stats", [{ username: "alice", "levels-completed": new Set([1]) }]);
+
+        const response = await invoke(api, {
+            method: "PUT", path: "/users/alice/character", user: "alice", body: { colour: "green" },
+        });
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(response.json.data, { character: "green" });
+    });
+
+    it("rejects a locked character with the player's progress", async () => {
+        await register("alice");
+        const response = await invoke(api, {
+            method: "PUT", path: "/users/alice/character", user: "alice", body: { colour: "purple" },
+        });
+
+        assert.equal(response.statusCode, 403);
+        assert.deepEqual(response.json.error.details.progress, { coinsCollected: { current: 0, required: 500 } });
+    });
+
+    it("returns 404 without creating a user", async () => {
+        const response = await invoke(api, {
+            method: "PUT", path: "/users/alice/character", user: "alice", body: { colour: "blue" },
+        });
+
+        assert.equal(response.statusCode, 404);
+        assert.equal(dynamo.dump("spacedash-user").length, 0);
+    });
+
+    it("reads the legacy query string", async () => {
+        await register("alice");
+        const response = await invoke(updateCharacterLegacy, {
+            user: "alice", query: { username: "alice", colour: "blue" },
+        });
+
+        assert.equal(response.statusCode, 200);
+    });
+
+    // The legacy Lambda used to read queryStringParameters.username and crashed when API Gateway sent null
+    it("returns 400 instead of crashing without query string parameters", async () => {
+        const response = await invoke(updateCharacterLegacy, { user: "alice" });
+
+        assert.equal(response.statusCode, 400);
+        assert.equal(response.json.error.message, "Colour is required.");
+    });
+});
+
+describe("GET /users/{username}/export", () => {
+    it("returns everything stored about the user", async () => {
+        await register("alice");
+        dynamo.seed("player-stats", [{ username: "alice", "coins-collected": 3 }]);
+        dynamo.seed("player-friends", [{ username: "bob", friend: "alice", status: "accepted" }]);
+
+        const response = await invoke(api, { path: "/users/alice/export", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.headers["Cache-Control"], "no-store");
+        assert.equal(response.json.data.user.length, 1);
+        assert.equal(response.json.data.playerStats[0]["coins-collected"], 3);
+        assert.deepEqual(response.json.data.friendOf, [{ username: "bob", friend: "alice", status: "accepted" }]);
+    });
+
+    it("returns 404 for an unknown user", async () => {
+        const response = await invoke(api, { path: "/users/alice/export", user: "alice" });
+
+        assert.equal(response.statusCode, 404);
+    });
+});
+
+describe("DELETE /users/{username}", () => {
+    it("deletes the user's data in every table and their replays", async () => {
+        await register("alice");
+        await register("bob");
+        dynamo.seed("player-stats", [{ username: "alice" }, { username: "bob" }]);
+        dynamo.seed("leaderboard", [
+            { board: "coins", username: "alice", score: 5 },
+            { board: "coins", username: "bob", score: 3 },
+        ]);
+        dynamo.seed("player-friends", [
+            { username: "alice", friend: "bob", status: "accepted" },
+            { username: "bob", friend: "alice", status: "accepted" },
+        ]);
+        s3.seed("spacedash", "replays/alice/1/20.json.gz", "replay");
+
+        const response = await invoke(api, { method: "DELETE", path: "/users/alice", user: "alice" });
+
+        assert.equal(response.statusCode, 200);
+        assert.equal(response.json.data.deleted.replays, 1);
+        assert.equal(response.json.data.deleted.friendOf, 1);
+        assert.deepEqual(dynamo.dump("spacedash-user").map(({ username }) => username), ["bob"]);
+        assert.deepEqual(dynamo.dump("leaderboard").map(({ username }) => username), ["bob"]);
+        assert.deepEqual(dynamo.dump("player-friends"), []);
+        assert.deepEqual(s3.keys("spacedash"), []);
+    });
+
+    it("finds the user's leaderboard entries without scanning the leaderboard", async () => {
+        await register("alice");
+        dynamo.seed("leaderboard", [
+            { board: "coins", username: "alice", score: 5 },
+            { board: "time#1@daily:2026-10-19", username: "alice", score: 30 },
+            { board: "coins", username: "bob", score: 3 },
+        ]);
+        const scan = dynamo.scan.bind(dynamo);
+        dynamo.scan = (params) => params.TableName === "leaderboard"
+            ? assert.fail("The leaderboard must not be scanned.")
+            : scan(params);
+
+        const exported = await invoke(api, { path: "/users/alice/export", user: "alice" });
+        const deleted = await invoke(api, { method: "DELETE", path: "/users/alice", user: "alice" });
+
+        assert.equal(exported.json.data.leaderboardEntries.length, 2);
+        assert.equal(deleted.json.data.deleted.leaderboardEntries, 2);
+        assert.deepEqual(dynamo.dump("leaderboard").map(({ username }) => username), ["bob"]);
+    });
+
+    it("finds the other side of the user's friendships without scanning player-friends", async () => {
+        await register("alice");
+        dynamo.seed("player-friends", [
+            { username: "alice", friend: "bob", status: "accepted" },
+            { username: "bob", friend: "alice", status: "accepted" },
+            { username: "bob", friend: "carol", status: "accepted" },
+        ]);
+        const scan = dynamo.scan.bind(dynamo);
+        dynamo.scan = (params) => params.TableName === "player-friends"
+            ? assert.fail("player-friends must not be scanned.")
+            : scan(params);
+
+        const exported = await invoke(api, { path: "/users/alice/export", user: "alice" });
+        const deleted = await invoke(api, { method: "DELETE", path: "/users/alice", user: "alice" });
+
+        assert.deepEqual(exported.json.data.friendOf, [{ username: "bob", friend: "alice", status: "accepted" }]);
+        assert.equal(deleted.json.data.deleted.friendOf, 1);
+        assert.deepEqual(dynamo.dump("player-friends"), [{ username: "bob", friend: "carol", status: "accepted" }]);
+    });
+
+    it("returns 404 when nothing is stored", async () => {
+        const response = await invoke(api, { method: "DELETE", path: "/users/alice", user: "alice" });
+
+        assert.equal(response.statusCode, 404);
+    });
+});
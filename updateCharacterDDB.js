@@ -1,65 +1,78 @@
 /**
  * AWS Lambda function to update the character associated with a user in a DynamoDB table.
- * This function is triggered by an API Gateway and supports `GET` and `OPTIONS` HTTP methods.
+ * This function is triggered by an API Gateway and supports the `GET` HTTP method, plus `OPTIONS`
+ * pre-flight requests. The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and may only
+ * update their own character, unless the token has admin rights. The colour must be in the character
+ * catalogue (`config/characters.js`) and unlocked by the user's `player-stats`, and the user must exist.
  *
  * @param {Object} event - The API Gateway event object.
  * @param {string} event.httpMethod - The HTTP method of the request (e.g., `GET`, `OPTIONS`).
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
  * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
- * @param {string} [event.queryStringParameters.username] - The username of the user to update.
+ * @param {string} [event.queryStringParameters.username] - The username of the user to update (defaults to the caller).
  * @param {string} [event.queryStringParameters.colour] - The colour of the character to associate with the user.
  * @returns {Promise<Object>} - An HTTP response object.
  * 
- * @throws {Error} - Returns an error message for unsupported methods or missing/invalid parameters.
+ * Possible responses:
+ * - 200: The updated `character` attribute.
+ * - 400: Missing or unknown `colour`.
+ * - 401/403: Missing or invalid token, or another user's character updated without admin rights.
+ * - 403: The character is locked for the user.
+ * - 404: The user does not exist.
+ * - 405: Unsupported HTTP method.
+ * - 429: Too many requests; `Retry-After` gives the seconds to wait (see `config/rateLimits.js`).
  */
-import { DynamoDB } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocument } from '@aws-sdk/lib-dynamodb';
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { assertSelectable } from './lib/characters.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { enforceRateLimit } from './lib/rateLimit.js';
 
-const dynamo = DynamoDBDocument.from(new DynamoDB());
+/**
+ * Sets a user's character colour from the `colour` field of the JSON body. Routed as
+ * `PUT /users/{username}/character`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const updateCharacter = async (req) => {
+    const identity = await authenticate(req);
+    const { colour } = req.body || {};
+    const username = authorizeUser(identity, req.params.username);
+    await enforceRateLimit(req, identity, "PUT /users/{username}/character");
 
-export const handler = async (event) => {
-    let body;
-    let statusCode = '200';
-    const headers = {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET,OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type'
-    };
+    const { Item: stats } = await dynamo.get({
+        TableName: 'player-stats',
+        Key: { username },
+    });
+    assertSelectable(colour, stats);
 
+    // Update the 'character' field for the item with the given 'username' in the 'spacedash-user' table,
+    // without creating an item for a user that does not exist
     try {
-        if (event.httpMethod === 'GET') {
-            const { username, colour } = event.queryStringParameters;
-            
-            // Update the 'character' field for the item with the given 'username' in the 'spacedash-user' table
-            body = await dynamo.update({
-                TableName: 'spacedash-user',
-                Key: { username },
-                UpdateExpression: 'set #character = :colour',
-                ExpressionAttributeNames: {
-                    '#character': 'character'
-                },
-                ExpressionAttributeValues: {
-                    ':colour': colour
-                },
-                ReturnValues: 'UPDATED_NEW'
-            });
-        } else if (event.httpMethod === 'OPTIONS') {
-            // Handle pre-flight requests
-            statusCode = '204';
-            body = '';
-        } else {
-            throw new Error(`Unsupported method "${event.httpMethod}"`);
+        const result = await dynamo.update({
+            TableName: 'spacedash-user',
+            Key: { username },
+            UpdateExpression: 'set #character = :colour',
+            ConditionExpression: 'attribute_exists(username)',
+            ExpressionAttributeNames: {
+                '#character': 'character'
+            },
+            ExpressionAttributeValues: {
+                ':colour': colour
+            },
+            ReturnValues: 'UPDATED_NEW'
+        });
+
+        return { data: result.Attributes };
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new HttpError(404, "User not found.");
         }
-    } catch (err) {
-        statusCode = '400';
-        body = err.message;
-    } finally {
-        body = JSON.stringify(body);
+        throw error;
     }
-
-    return {
-        statusCode,
-        body,
-        headers,
-    };
 };
+
+export const handler = createHandler({
+    GET: queryAdapter(updateCharacter, { params: ['username'], body: ['colour'] })
+});
@@ -0,0 +1,97 @@
+/**
+ * AWS Lambda function to write a player's cloud save slot in the `player-saves` DynamoDB table.
+ *
+ * Writes use optimistic concurrency: the body names the `version` of the slot the save replaces (`0` for
+ * an empty slot), and the write only succeeds if that is still the stored version. Otherwise another
+ * device saved first, and the response is a 409 whose `details.server` holds the stored slot so the game
+ * can ask the player which save to keep. The caller is authenticated with a Bearer JWT (see `lib/auth.js`)
+ * and may only write their own saves, unless the token has admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} [event.queryStringParameters.username] - The player (defaults to the caller).
+ * @param {string} event.queryStringParameters.slot - The slot to write.
+ * @param {string} event.body - JSON body `{ "version": number, "schemaVersion": number, "data": object }`.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The saved slot, with its new version.
+ * - 400: Invalid slot, version, schema version or data.
+ * - 401/403: Missing or invalid token, or another player's save written without admin rights.
+ * - 409: The slot's version has changed; `details.server` is the stored slot.
+ * - 413: The save data is larger than `MAX_SAVE_BYTES` (see `config/saves.js`).
+ * - 429: Too many requests; `Retry-After` gives the seconds to wait (see `config/rateLimits.js`).
+ */
+
+import { MAX_SAVE_BYTES } from './config/saves.js';
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { enforceRateLimit } from './lib/rateLimit.js';
+import { getSaveItem, parseSlot, saveConflict, SAVES_TABLE_NAME, toSave } from './lib/saves.js';
+
+/**
+ * Writes a save slot from the JSON body. Routed as `PUT /players/{username}/saves/{slot}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const updatePlayerSave = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    await enforceRateLimit(req, identity, "PUT /players/{username}/saves/{slot}");
+    const slot = parseSlot(req.params.slot);
+    const { version, schemaVersion, data } = req.body || {};
+
+    if (!Number.isInteger(version) || version < 0) {
+        throw new HttpError(400, "Version must be the slot's current version, or 0 for an empty slot.");
+    }
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+        throw new HttpError(400, "Schema version must be a positive integer.");
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new HttpError(400, "Data must be a JSON object.");
+    }
+
+    const serialised = JSON.stringify(data);
+    if (Buffer.byteLength(serialised) > MAX_SAVE_BYTES) {
+        throw new HttpError(413, `Save data must not exceed ${MAX_SAVE_BYTES} bytes.`, {
+            code: 'save_too_large'
+        });
+    }
+
+    const item = {
+        username,
+        slot,
+        version: version + 1,
+        'schema-version': schemaVersion,
+        data: serialised,
+        'updated-at': new Date().toISOString()
+    };
+
+    try {
+        await dynamo.put({
+            TableName: SAVES_TABLE_NAME,
+            Item: item,
+            ...(version === 0
+                ? { ConditionExpression: 'attribute_not_exists(slot)' }
+                : {
+                    ConditionExpression: '#version = :expected',
+                    ExpressionAttributeNames: { '#version': 'version' },
+                    ExpressionAttributeValues: { ':expected': version }
+                })
+        });
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw saveConflict(await getSaveItem(dynamo, username, slot));
+        }
+        throw error;
+    }
+
+    return { message: "Game saved successfully.", data: toSave(item) };
+};
+
+export const handler = createHandler({
+    PUT: queryAdapter(updatePlayerSave, { params: ['username', 'slot'] })
+});
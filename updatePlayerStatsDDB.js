@@ -1,85 +1,365 @@
 /**
- * @fileoverview AWS Lambda function to update or overwrite player statistics in a DynamoDB table.
+ * @fileoverview AWS Lambda function to submit a finished run and merge it into a player's statistics
+ * in a DynamoDB table.
  */
 
-import { DynamoDB } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocument } from '@aws-sdk/lib-dynamodb';
+import { MAX_TIMES_PER_LEVEL } from './config/levels.js';
+import { awardAchievements } from './lib/achievements.js';
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { log, putMetric } from './lib/instrumentation.js';
+import { addScore, putScore } from './lib/leaderboard.js';
+import { moderationStatus, readModeration } from './lib/moderation.js';
+import { currentPeriodKeys } from './lib/periods.js';
+import { enforceRateLimit } from './lib/rateLimit.js';
+import { unlinkStaleReplays } from './lib/replays.js';
+import { validateRun } from './lib/runValidation.js';
 
-const dynamo = DynamoDBDocument.from(new DynamoDB());
 const TABLE_NAME = "player-stats";
+const SUSPICIOUS_TABLE_NAME = "suspicious-submissions";
+
+/** Attempts made before giving up when concurrent submissions keep changing the same item. */
+const MAX_MERGE_ATTEMPTS = 3;
 
 /**
- * AWS Lambda handler to update or overwrite player stats in the DynamoDB table.
+ * Parses and validates the submitted run.
  *
- * @param {object} event - The Lambda event object, containing query string parameters.
- * @param {object} [event.queryStringParameters] - The query parameters from the HTTP request.
- * @param {string} [event.queryStringParameters.username] - The username of the player (required).
- * @param {string} [event.queryStringParameters.coinsCollected] - The number of coins collected by the player.
- * @param {string} [event.queryStringParameters.enemiesDefeated] - The number of enemies defeated by the player.
- * @param {string} [event.queryStringParameters.levelsCompleted] - JSON string of levels completed by the player.
- * @param {string} [event.queryStringParameters.fastestTimes] - JSON string of the player's fastest times for levels.
+ * @param {object} params - The run fields from the request body.
+ * @returns {object} - The parsed run.
+ * @throws {HttpError} - 400 describing the first invalid field.
+ */
+const parseRun = ({ level, coinsCollected, enemiesDefeated, completionTime }) => {
+    const run = {
+        level: Number(level),
+        coinsCollected: Number(coinsCollected ?? 0),
+        enemiesDefeated: Number(enemiesDefeated ?? 0),
+        completionTime: Number(completionTime),
+    };
+
+    if (!Number.isInteger(run.level) || run.level < 1) {
+        throw new HttpError(400, "Level must be a positive integer.");
+    }
+    if (!Number.isInteger(run.coinsCollected) || run.coinsCollected < 0) {
+        throw new HttpError(400, "Coins collected must be a non-negative integer.");
+    }
+    if (!Number.isInteger(run.enemiesDefeated) || run.enemiesDefeated < 0) {
+        throw new HttpError(400, "Enemies defeated must be a non-negative integer.");
+    }
+    if (!Number.isFinite(run.completionTime) || run.completionTime <= 0) {
+        throw new HttpError(400, "Completion time must be a positive number of seconds.");
+    }
+
+    return run;
+};
+
+/**
+ * Reads a list of times for one level, tolerating items written before times were validated.
  *
- * @returns {Promise<object>} - The HTTP response object with status code, headers, and body.
+ * @param {*} times - The stored value of `fastest-times[level]`.
+ * @returns {number[]} - The valid times, in the order they were stored.
+ */
+const toTimes = (times) =>
+    Array.isArray(times) ? times.map(Number).filter(Number.isFinite) : [];
+
+/**
+ * Builds the conditional update that merges a run into the stored player item.
  *
- * @throws {Error} - Returns a 500 status code with an error message if the operation fails.
+ * Counters and the completed-levels set are merged with `ADD`, which is atomic on its own. The fastest
+ * times for the level need the previous value, so that part is guarded by a condition on the value that
+ * was read; a concurrent submission makes the update fail and the merge is retried.
+ *
+ * @param {string} username - The username of the player (partition key).
+ * @param {object} run - The parsed run.
+ * @param {object} current - The player item as currently stored (empty for a new player).
+ * @returns {{ params: object, newPersonalBest: boolean, newLevelUnlocked: boolean }}
  */
-export const handler = async (event) => {
-    try {
-        // Extract query parameters from the event
-        const {
-            username,
-            coinsCollected,
-            enemiesDefeated,
-            levelsCompleted,
-            fastestTimes,
-        } = event.queryStringParameters || {};
-
-        // Validate required fields
-        if (!username) {
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ message: "Username is required." }),
-            };
+const buildMergeUpdate = (username, run, current) => {
+    const levelKey = String(run.level);
+    const storedTimes = current["fastest-times"];
+    const previousTimes = toTimes(storedTimes?.[levelKey]);
+    const storedLevels = current["levels-completed"];
+    const completedLevels = new Set(storedLevels ? [...storedLevels].map(Number) : []);
+
+    const newPersonalBest = previousTimes.length === 0 || run.completionTime < Math.min(...previousTimes);
+    const newLevelUnlocked = !completedLevels.has(run.level);
+    const times = [...previousTimes, run.completionTime]
+        .sort((a, b) => a - b)
+        .slice(0, MAX_TIMES_PER_LEVEL);
+
+    const setClauses = [];
+    const addClauses = ["#coins :coins", "#enemies :enemies"];
+    const conditions = [];
+    const names = {
+        "#coins": "coins-collected",
+        "#enemies": "enemies-defeated",
+        "#levels": "levels-completed",
+    };
+    const values = {
+        ":coins": run.coinsCollected,
+        ":enemies": run.enemiesDefeated,
+    };
+
+    if (Array.isArray(storedLevels)) {
+        // Items written by the old overwrite handler hold a list, which cannot be added to as a set
+        completedLevels.add(run.level);
+        setClauses.push("#levels = :levels");
+        conditions.push("#levels = :previousLevels");
+        values[":levels"] = completedLevels;
+        values[":previousLevels"] = storedLevels;
+    } else {
+        addClauses.push("#levels :level");
+        values[":level"] = new Set([run.level]);
+    }
+
+    if (times.includes(run.completionTime)) {
+        names["#times"] = "fastest-times";
+        if (storedTimes && typeof storedTimes === "object") {
+            names["#level"] = levelKey;
+            setClauses.push("#times.#level = :times");
+            values[":times"] = times;
+            if (storedTimes[levelKey] === undefined) {
+                conditions.push("attribute_not_exists(#times.#level)");
+            } else {
+                conditions.push("#times.#level = :previousTimes");
+                values[":previousTimes"] = storedTimes[levelKey];
+            }
+        } else {
+            setClauses.push("#times = :times");
+            conditions.push("attribute_not_exists(#times)");
+            values[":times"] = { [levelKey]: times };
         }
+    }
+
+    const updateExpression = [
+        setClauses.length > 0 ? `SET ${setClauses.join(", ")}` : "",
+        `ADD ${addClauses.join(", ")}`,
+    ].join(" ").trim();
 
-        // Parse levelsCompleted and fastestTimes
-        const parsedLevels = JSON.parse(levelsCompleted || "[]");
-        const parsedFastestTimes = JSON.parse(fastestTimes || "{}");
+    const params = {
+        TableName: TABLE_NAME,
+        Key: { username },
+        UpdateExpression: updateExpression,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: "ALL_NEW",
+    };
+    if (conditions.length > 0) {
+        params.ConditionExpression = conditions.join(" AND ");
+    }
+
+    return { params, newPersonalBest, newLevelUnlocked };
+};
+
+/**
+ * Reads the player's stored statistics.
+ *
+ * @param {string} username - The username of the player.
+ * @returns {Promise<object>} - The stored item, or an empty object for a new player.
+ */
+const getPlayerStats = async (username) => {
+    const { Item } = await dynamo.get({
+        TableName: TABLE_NAME,
+        Key: { username },
+        ConsistentRead: true,
+    });
+    return Item || {};
+};
 
-        // Prepare the item to be saved
-        const item = {
+/**
+ * Records a rejected run in the suspicious submissions table for review.
+ *
+ * @param {string} username - The username of the player.
+ * @param {object} run - The parsed run.
+ * @param {object[]} violations - The rule violations found in the run.
+ * @param {object} req - The request, used for the caller's source IP and user agent.
+ * @returns {Promise<void>}
+ */
+const recordSuspiciousSubmission = async (username, run, violations, { event }) => {
+    await dynamo.put({
+        TableName: SUSPICIOUS_TABLE_NAME,
+        Item: {
             username, // Partition key
-            "coins-collected": parseInt(coinsCollected) || 0,
-            "enemies-defeated": parseInt(enemiesDefeated) || 0,
-            "levels-completed": parsedLevels,
-            "fastest-times": parsedFastestTimes,
-        };
-
-        // Save the item to DynamoDB (overwriting existing data)
-        await dynamo.put({
-            TableName: TABLE_NAME,
-            Item: item,
-        });
-
-        // Return a success response
-        return {
-            statusCode: 200,
-            headers: {
-                "Content-Type": "application/json",
-                "Access-Control-Allow-Origin": "*",
-                "Access-Control-Allow-Headers": "Content-Type",
-                "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-            },
-            body: JSON.stringify({
-                message: "Player stats overwritten successfully.",
-                data: item,
-            }),
-        };
+            "submitted-at": new Date().toISOString(), // Sort key
+            run,
+            violations,
+            "source-ip": event.requestContext?.identity?.sourceIp ?? null,
+            "user-agent": event.requestContext?.identity?.userAgent ?? null,
+        },
+    });
+};
+
+/**
+ * Merges a run into the player's stored statistics, retrying if a concurrent submission for the same
+ * player changed the item between the read and the conditional update.
+ *
+ * @param {string} username - The username of the player.
+ * @param {object} run - The parsed run.
+ * @param {object} current - The player's stats as read before validating the run.
+ * @returns {Promise<{ data: object, item: object }>} - The player's updated totals and what this run
+ * changed, and the updated `player-stats` item.
+ */
+const mergeRun = async (username, run, current) => {
+    for (let attempt = 1; attempt <= MAX_MERGE_ATTEMPTS; attempt++) {
+        if (attempt > 1) {
+            current = await getPlayerStats(username);
+        }
+        const { params, newPersonalBest, newLevelUnlocked } = buildMergeUpdate(username, run, current);
+
+        try {
+            const { Attributes: updated } = await dynamo.update(params);
+            const data = {
+                username,
+                level: run.level,
+                coinsCollected: updated["coins-collected"] || 0,
+                enemiesDefeated: updated["enemies-defeated"] || 0,
+                levelsCompleted: [...(updated["levels-completed"] || [])].map(Number).sort((a, b) => a - b),
+                fastestTimes: toTimes(updated["fastest-times"]?.[String(run.level)]),
+                newPersonalBest,
+                newLevelUnlocked,
+            };
+            return { data, item: updated };
+        } catch (error) {
+            if (error.name !== "ConditionalCheckFailedException" || attempt === MAX_MERGE_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Copies the scores changed by a merged run to the leaderboard table.
+ *
+ * All-time boards receive the player's new totals and personal best. The daily, weekly and seasonal boards
+ * the run falls in receive this run's coins and enemies, and its time if it beats the player's best for
+ * the period.
+ *
+ * The leaderboard is derived data, so a failure here is logged rather than failing a run that has
+ * already been merged into `player-stats`; retrying the submission would count the run twice.
+ *
+ * @param {object} data - The totals returned by {@link mergeRun}.
+ * @param {object} run - The parsed run.
+ * @returns {Promise<void>}
+ */
+const updateLeaderboards = async (data, run) => {
+    const writes = [
+        putScore(dynamo, "coins", undefined, data.username, data.coinsCollected),
+        putScore(dynamo, "enemies", undefined, data.username, data.enemiesDefeated),
+    ];
+    if (data.newPersonalBest) {
+        writes.push(putScore(dynamo, "time", run.level, data.username, run.completionTime));
+    }
+    for (const periodKey of currentPeriodKeys(new Date())) {
+        writes.push(
+            addScore(dynamo, "coins", data.username, run.coinsCollected, periodKey),
+            addScore(dynamo, "enemies", data.username, run.enemiesDefeated, periodKey),
+            putScore(dynamo, "time", run.level, data.username, run.completionTime, periodKey),
+        );
+    }
+
+    const results = await Promise.allSettled(writes);
+    for (const { status, reason } of results) {
+        if (status === "rejected") {
+            log.error("Error updating leaderboard", { error: reason });
+        }
+    }
+};
+
+/**
+ * Stores the achievements earned with a merged run (see `lib/achievements.js`).
+ *
+ * Like the leaderboards, achievements are derived from `player-stats`, so a failure is logged rather than
+ * failing the run; every later submission evaluates the full stats again and unlocks anything missed.
+ *
+ * @param {string} username - The username of the player.
+ * @param {object} item - The updated `player-stats` item.
+ * @returns {Promise<object[]>} - The newly unlocked achievements.
+ */
+const updateAchievements = async (username, item) => {
+    try {
+        return await awardAchievements(dynamo, username, item);
     } catch (error) {
-        console.error("Error updating player stats:", error);
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ message: "Failed to update player stats.", error }),
-        };
+        log.error("Error updating achievements", { error });
+        return [];
     }
 };
+
+/**
+ * Submits one finished run for a player. Routed as `POST /players/{username}/stats`.
+ *
+ * The run is merged into the stored stats rather than replacing them: coins and enemies are added to the
+ * lifetime totals, the level is added to the completed levels, and the completion time is kept if it is
+ * among the player's fastest {@link MAX_TIMES_PER_LEVEL} for that level. Runs that break the level rules in
+ * `config/levels.js` are rejected with a 422 listing each violation and recorded in the
+ * `suspicious-submissions` table. Accepted runs also update the player's entries in the `leaderboard` table,
+ * unlock any achievements the new stats earn, and remove the replays of times no longer among the fastest
+ * (see `lib/replays.js`). Banned players have their runs rejected with a 403, and
+ * the runs of shadow-banned players are kept off the leaderboards (see `lib/moderation.js`).
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and may only submit runs for
+ * themselves, unless the token has admin rights.
+ *
+ * @param {object} req - The request (see `lib/http.js`).
+ * @param {string} [req.params.username] - The username of the player (defaults to the caller).
+ * @param {object} req.body - The run, as a JSON body.
+ * @param {number} req.body.level - The level that was completed (required).
+ * @param {number} [req.body.coinsCollected] - The number of coins collected during the run.
+ * @param {number} [req.body.enemiesDefeated] - The number of enemies defeated during the run.
+ * @param {number} req.body.completionTime - The run's completion time in seconds (required).
+ *
+ * @returns {Promise<object>} - The result, whose `data` holds the updated totals, the level's fastest times,
+ * the `newPersonalBest` and `newLevelUnlocked` flags, and the `newAchievements` unlocked by the run.
+ *
+ * @throws {HttpError} - 400 for an invalid run, 401/403 for an unauthorised caller or a banned player, 422
+ * with the rule violations in `details` for an implausible run, and 429 when the caller submits too often
+ * (see `config/rateLimits.js`).
+ */
+export const submitRun = async (req) => {
+    // Only the player themselves, or an admin, may submit runs for a username
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    await enforceRateLimit(req, identity, "POST /players/{username}/stats");
+
+    const run = parseRun(req.body || {});
+
+    // Reject implausible runs before they reach the stats and the leaderboard
+    const [current, moderation] = await Promise.all([getPlayerStats(username), readModeration(dynamo, username)]);
+    if (moderationStatus(moderation) === "banned") {
+        throw new HttpError(403, "Player is banned from submitting runs.");
+    }
+    const violations = validateRun(run, current);
+    if (violations.length > 0) {
+        putMetric("RejectedRuns");
+        try {
+            await recordSuspiciousSubmission(username, run, violations, req);
+        } catch (recordError) {
+            log.error("Error recording suspicious submission", { error: recordError });
+        }
+        throw new HttpError(422, "Run rejected.", { details: { violations } });
+    }
+
+    const { data, item } = await mergeRun(username, run, current);
+    const [newAchievements] = await Promise.all([
+        updateAchievements(username, item),
+        // Shadow-banned players are not told their runs are kept off the leaderboards
+        moderationStatus(moderation) ? undefined : updateLeaderboards(data, run),
+        // A time pushed out of the fastest times takes its replay with it
+        unlinkStaleReplays(dynamo, username, item),
+    ]);
+    putMetric("RunSubmissions");
+
+    return {
+        message: "Run submitted successfully.",
+        data: { ...data, newAchievements },
+    };
+};
+
+/**
+ * AWS Lambda handler to submit one finished run for a player, with the username and run in the query string.
+ */
+const submitRunFromQuery = queryAdapter(submitRun, {
+    params: ["username"],
+    body: ["level", "coinsCollected", "enemiesDefeated", "completionTime"],
+});
+
+export const handler = createHandler({ GET: submitRunFromQuery, POST: submitRunFromQuery });
@@ -0,0 +1,90 @@
+/**
+ * AWS Lambda function to edit a user's profile in the `spacedash-user` DynamoDB table.
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and may only edit their own profile,
+ * unless the token has admin rights. The display name and the character can be changed; the character
+ * must be unlocked by the user's `player-stats`, as in `updateCharacterDDB`. The username cannot be
+ * changed.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} [event.queryStringParameters] - Query parameters sent in the request.
+ * @param {string} [event.queryStringParameters.username] - The user to edit (defaults to the caller).
+ * @param {string} event.body - JSON body `{ "displayName"?: string, "character"?: string }`.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 200: The updated user.
+ * - 400: No editable field, or an invalid display name or character.
+ * - 401/403: Missing or invalid token, or another user edited without admin rights.
+ * - 403: The character is locked for the user.
+ * - 404: The user does not exist.
+ * - 429: Too many requests; `Retry-After` gives the seconds to wait (see `config/rateLimits.js`).
+ */
+
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { assertSelectable } from './lib/characters.js';
+import { dynamo } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { enforceRateLimit } from './lib/rateLimit.js';
+import { USER_TABLE_NAME, validateDisplayName } from './lib/users.js';
+
+/**
+ * Edits a user's profile from the fields of the JSON body. Routed as `PATCH /users/{username}`.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const updateProfile = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    await enforceRateLimit(req, identity, "PATCH /users/{username}");
+    const { displayName, character } = req.body || {};
+
+    if (displayName === undefined && character === undefined) {
+        throw new HttpError(400, "At least one of displayName or character is required.");
+    }
+
+    const names = { '#updatedAt': 'updated-at' };
+    const values = { ':updatedAt': new Date().toISOString() };
+    const setClauses = ['#updatedAt = :updatedAt'];
+
+    if (displayName !== undefined) {
+        names['#displayName'] = 'display-name';
+        values[':displayName'] = validateDisplayName(displayName);
+        setClauses.push('#displayName = :displayName');
+    }
+    if (character !== undefined) {
+        const { Item: stats } = await dynamo.get({
+            TableName: 'player-stats',
+            Key: { username },
+        });
+        assertSelectable(character, stats);
+        names['#character'] = 'character';
+        values[':character'] = character;
+        setClauses.push('#character = :character');
+    }
+
+    try {
+        const result = await dynamo.update({
+            TableName: USER_TABLE_NAME,
+            Key: { username },
+            UpdateExpression: `SET ${setClauses.join(', ')}`,
+            ConditionExpression: 'attribute_exists(username)',
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values,
+            ReturnValues: 'ALL_NEW'
+        });
+
+        return { message: "Profile updated successfully.", data: result.Attributes };
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new HttpError(404, "User not found.");
+        }
+        throw error;
+    }
+};
+
+export const handler = createHandler({
+    PATCH: queryAdapter(updateProfile, { params: ['username'] })
+});
@@ -0,0 +1,163 @@
+/**
+ * AWS Lambda function to upload the ghost replay of one of a player's fastest times.
+ *
+ * After a run lands in the player's `fastest-times` (see `updatePlayerStatsDDB`), the game uploads the
+ * run's replay: the gzipped JSON described in `config/replays.js`, sent as `application/gzip` (the API
+ * must list it as a binary media type). The replay is checked for size and format, must record the same
+ * level and completion time, and that time must be one of the player's stored fastest times. It is stored
+ * in the asset bucket and linked from the player's `fastest-replays` (see `lib/replays.js`).
+ *
+ * The caller is authenticated with a Bearer JWT (see `lib/auth.js`) and may only upload their own
+ * replays, unless the token has admin rights.
+ *
+ * @param {Object} event - The API Gateway event object.
+ * @param {Object} [event.headers] - Request headers, including `Authorization: Bearer <token>`.
+ * @param {Object} event.queryStringParameters - Query parameters sent in the request.
+ * @param {string} [event.queryStringParameters.username] - The player (defaults to the caller).
+ * @param {string} event.queryStringParameters.level - The level of the run.
+ * @param {string} event.queryStringParameters.time - The completion time of the run, in seconds.
+ * @param {string} event.body - The gzipped replay, base64 encoded by API Gateway.
+ * @returns {Promise<Object>} - The HTTP response object.
+ *
+ * Possible responses:
+ * - 201: The replay was stored and linked.
+ * - 400: Invalid level or time.
+ * - 401/403: Missing or invalid token, or another player's replay uploaded without admin rights.
+ * - 404: The time is not one of the player's fastest times for the level.
+ * - 409: The player's stats changed while the replay was linked; upload it again.
+ * - 413: The replay is too large.
+ * - 415: The replay is not gzipped.
+ * - 422: The replay is not valid or does not match the run.
+ * - 429: Too many requests; `Retry-After` gives the seconds to wait (see `config/rateLimits.js`).
+ */
+
+import { PutObjectCommand } from '@aws-sdk/client-s3';
+import { getAssetConfig } from './config/assets.js';
+import { MAX_REPLAYS_PER_LEVEL } from './config/replays.js';
+import { authenticate, authorizeUser } from './lib/auth.js';
+import { dynamo, s3Client } from './lib/clients.js';
+import { createHandler, HttpError, queryAdapter } from './lib/http.js';
+import { log } from './lib/instrumentation.js';
+import { enforceRateLimit } from './lib/rateLimit.js';
+import { deleteReplayObjects, parseReplay, replayKey } from './lib/replays.js';
+
+/**
+ * Links a stored replay from the player's `fastest-replays`, keeping the {@link MAX_REPLAYS_PER_LEVEL}
+ * fastest of the level.
+ *
+ * The update is conditional on the time still being in `fastest-times` and on the level's links not having
+ * changed since they were read.
+ *
+ * @param {string} username - The player.
+ * @param {number} level - The level.
+ * @param {number} time - The completion time.
+ * @param {object} stats - The player's `player-stats` item as read before the upload.
+ * @returns {Promise<string[]>} - Keys of the replays that are no longer linked.
+ * @throws {HttpError} - 409 if the condition failed.
+ */
+const linkReplay = async (username, level, time, stats) => {
+    const levelKey = String(level);
+    const storedReplays = stats['fastest-replays'];
+    const previous = storedReplays?.[levelKey];
+    const linked = Object.entries({ ...previous, [String(time)]: replayKey(username, level, time) })
+        .sort(([a], [b]) => Number(a) - Number(b));
+    const levelReplays = Object.fromEntries(linked.slice(0, MAX_REPLAYS_PER_LEVEL));
+
+    const names = { '#times': 'fastest-times', '#replays': 'fastest-replays', '#level': levelKey };
+    const values = { ':time': time };
+    const conditions = ['contains(#times.#level, :time)'];
+    let updateExpression;
+
+    if (storedReplays && typeof storedReplays === 'object') {
+        updateExpression = 'SET #replays.#level = :levelReplays';
+        values[':levelReplays'] = levelReplays;
+        if (previous === undefined) {
+            conditions.push('attribute_not_exists(#replays.#level)');
+        } else {
+            conditions.push('#replays.#level = :previous');
+            values[':previous'] = previous;
+        }
+    } else {
+        updateExpression = 'SET #replays = :replays';
+        conditions.push('attribute_not_exists(#replays)');
+        values[':replays'] = { [levelKey]: levelReplays };
+    }
+
+    try {
+        await dynamo.update({
+            TableName: 'player-stats',
+            Key: { username },
+            UpdateExpression: updateExpression,
+            ConditionExpression: conditions.join(' AND '),
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values
+        });
+    } catch (error) {
+        if (error.name === 'ConditionalCheckFailedException') {
+            throw new HttpError(409, "Player stats changed while the replay was uploaded; upload it again.");
+        }
+        throw error;
+    }
+
+    return linked.slice(MAX_REPLAYS_PER_LEVEL).map(([, key]) => key);
+};
+
+/**
+ * Stores the replay of a fastest time from the gzipped body. Routed as
+ * `PUT /players/{username}/replays/{level}` with the completion time in the `time` query parameter.
+ *
+ * @param {import('./lib/http.js').Request} req - The request.
+ * @returns {Promise<import('./lib/http.js').OperationResult>}
+ */
+export const uploadReplay = async (req) => {
+    const identity = await authenticate(req);
+    const username = authorizeUser(identity, req.params.username);
+    await enforceRateLimit(req, identity, "PUT /players/{username}/replays/{level}");
+    const level = Number(req.params.level);
+    const time = Number(req.query.time);
+
+    if (!Number.isInteger(level) || level < 1) {
+        throw new HttpError(400, "Level must be a positive integer.");
+    }
+    if (!Number.isFinite(time) || time <= 0) {
+        throw new HttpError(400, "Time query parameter must be a positive number of seconds.");
+    }
+
+    const { Item: stats = {} } = await dynamo.get({
+        TableName: 'player-stats',
+        Key: { username },
+        ConsistentRead: true
+    });
+    const times = stats['fastest-times']?.[String(level)];
+    if (!Array.isArray(times) || !times.map(Number).includes(time)) {
+        throw new HttpError(404, `${time}s is not one of the fastest times of level ${level}.`);
+    }
+
+    parseReplay(req.body, { level, completionTime: time });
+
+    const key = replayKey(username, level, time);
+    await s3Client.send(new PutObjectCommand({
+        Bucket: getAssetConfig().bucket,
+        Key: key,
+        Body: req.body,
+        ContentType: 'application/json',
+        ContentEncoding: 'gzip'
+    }));
+
+    const unlinked = await linkReplay(username, level, time, stats);
+    try {
+        await deleteReplayObjects(unlinked);
+    } catch (error) {
+        log.error("Error deleting unlinked replays", { keys: unlinked, error });
+    }
+
+    return {
+        statusCode: 201,
+        message: "Replay uploaded successfully.",
+        data: { username, level, time }
+    };
+};
+
+export const handler = createHandler({
+    PUT: queryAdapter(uploadReplay, { params: ['username', 'level'] })
+});